@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const { engines, resolveEngine } = require('../src/lib/engines');
+const { parseRepositoryUrl } = require('../src/lib/providers');
+const { parseScanScope } = require('../src/lib/scanScope');
+const { parseAllowlist, parseBaseline } = require('../src/lib/suppressions');
+const { parseCustomRules } = require('../src/lib/customRules');
+const { isVerificationEnabled } = require('../src/lib/verifiers');
+const { isInspectionEnabled } = require('../src/lib/inspection');
+const { renderReport } = require('../src/lib/reports');
+const { redactResult } = require('../src/lib/redact');
+const { scrubToken } = require('../src/lib/credentials');
+const { runScanPipeline, describeLocalRepository } = require('../src/lib/scanPipeline');
+const { version } = require('../package.json');
+
+/**
+ * secretsniffer: scan a local directory or a remote repository from the
+ * command line, e.g. as a CI step. Runs the same pipeline as the API.
+ *
+ * Exit codes: 0 when no finding reaches the --fail-on severity, 1 when one
+ * does, 2 for usage errors and failed scans.
+ */
+
+// Most severe first; --fail-on fails on its level and everything above it
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+const OUTPUT_FORMATS = ['table', 'json', 'sarif', 'csv'];
+
+const EXIT_CLEAN = 0;
+const EXIT_FINDINGS = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: secretsniffer [options] <path-or-repository-url>
+
+Scans a local directory (its git history, or its files when it is not a git
+repository) or a remote repository for secrets.
+
+Options:
+  -f, --format <format>    Output format: ${OUTPUT_FORMATS.join(', ')} (default: table)
+  -o, --output <file>      Write the report to a file instead of stdout
+      --fail-on <level>    Exit with 1 when a finding is at least this severe:
+                           ${SEVERITY_ORDER.join(', ')} or none (default: high)
+  -e, --engine <engine>    Scan engine: ${Object.keys(engines).join(', ')}
+                           (default: SCAN_ENGINE or native)
+      --depth <n|full>     Commits of history to scan (default: 50)
+      --branch <name>      Branch or tag of a remote repository
+      --all-branches       Scan every branch
+      --since <commit>     Only scan commits after this one
+      --until <commit>     Only scan commits up to this one
+      --rules <file>       JSON custom rules ([...] or { "rules": [...] })
+      --allowlist <file>   JSON allowlist ({ "paths", "regexes", "stopwords",
+                           "fingerprints" })
+      --baseline <file>    Previous JSON report; its findings are not reported
+      --verify             Check detected credentials with their provider
+      --inspect            Also inspect committed archives, notebooks, encoded
+                           strings and configuration values
+  -v, --verbose            Log scan progress to stderr
+  -h, --help               Show this help
+      --version            Show the version
+
+Private remote repositories are cloned with the token in the
+SECRETSNIFFER_TOKEN environment variable.`;
+
+const OPTIONS = {
+    format: { type: 'string', short: 'f', default: 'table' },
+    output: { type: 'string', short: 'o' },
+    'fail-on': { type: 'string', default: 'high' },
+    engine: { type: 'string', short: 'e' },
+    depth: { type: 'string' },
+    branch: { type: 'string' },
+    'all-branches': { type: 'boolean', default: false },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    rules: { type: 'string' },
+    allowlist: { type: 'string' },
+    baseline: { type: 'string' },
+    verify: { type: 'boolean', default: false },
+    inspect: { type: 'boolean', default: false },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+    version: { type: 'boolean', default: false }
+};
+
+class UsageError extends Error {}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_CLEAN;
+    }
+    if (values.version) {
+        process.stdout.write(`${version}\n`);
+        return EXIT_CLEAN;
+    }
+    if (positionals.length !== 1) {
+        throw new UsageError('Expected exactly one path or repository URL');
+    }
+
+    const format = values.format.toLowerCase();
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new UsageError(`Unknown format '${values.format}'; use one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    const failOn = values['fail-on'].toLowerCase();
+    if (failOn !== 'none' && !SEVERITY_ORDER.includes(failOn)) {
+        throw new UsageError(`Unknown severity '${values['fail-on']}'; use one of ${SEVERITY_ORDER.join(', ')} or none`);
+    }
+
+    const engine = resolveEngine(values.engine || process.env.SCAN_ENGINE || 'native');
+    if (!engine) {
+        throw new UsageError(`Unknown engine; use one of ${Object.keys(engines).join(', ')}`);
+    }
+
+    const target = await resolveTarget(positionals[0]);
+    if (target.localPath && values.branch) {
+        throw new UsageError('--branch only applies to remote repositories; check the branch out or use --until');
+    }
+
+    const { scope, error: scopeError } = parseScanScope({
+        depth: values.depth,
+        branch: values.branch,
+        allBranches: values['all-branches'],
+        since: values.since,
+        until: values.until
+    });
+    if (scopeError) throw new UsageError(scopeError);
+
+    const { rules: requestRules, error: rulesError } = parseCustomRules(
+        await readRulesFile(values.rules),
+        values.rules
+    );
+    if (rulesError) throw new UsageError(rulesError);
+
+    const { allowlist, error: allowlistError } = parseAllowlist(await readJsonFile(values.allowlist));
+    if (allowlistError) throw new UsageError(allowlistError);
+
+    const { baseline, error: baselineError } = parseBaseline(await readJsonFile(values.baseline));
+    if (baselineError) throw new UsageError(baselineError);
+
+    const context = {
+        log: values.verbose ? (...args) => console.error(...args) : () => {}
+    };
+
+    const token = process.env.SECRETSNIFFER_TOKEN || null;
+    let result;
+    try {
+        result = await runScanPipeline({
+            ...target,
+            engine,
+            scope,
+            requestRules,
+            allowlist,
+            baseline,
+            verify: isVerificationEnabled(values.verify),
+            inspect: isInspectionEnabled(values.inspect),
+            token
+        }, context, {
+            onState: (state) => context.log(`== ${state}`)
+        });
+    } catch (error) {
+        throw new Error(error.publicMessage || scrubToken(error.message, token));
+    }
+
+    const report = format === 'table'
+        ? renderTable(result, { color: !values.output && process.stdout.isTTY && !process.env.NO_COLOR })
+        : renderReport(result, format).body;
+
+    if (values.output) {
+        await fs.writeFile(values.output, report.endsWith('\n') ? report : `${report}\n`);
+        console.error(`Wrote ${format} report with ${result.totalSecrets} finding${result.totalSecrets === 1 ? '' : 's'} to ${values.output}`);
+    } else {
+        process.stdout.write(report.endsWith('\n') ? report : `${report}\n`);
+    }
+
+    const failing = countAtOrAbove(result.findings, failOn);
+    if (failing > 0) {
+        console.error(`${failing} finding${failing === 1 ? '' : 's'} at or above ${failOn} severity`);
+        return EXIT_FINDINGS;
+    }
+    return EXIT_CLEAN;
+}
+
+/**
+ * A URL is cloned; anything else must be an existing local directory
+ */
+async function resolveTarget(input) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(input)) {
+        const repository = parseRepositoryUrl(input);
+        if (!repository) throw new UsageError(`Not a supported repository URL: ${input}`);
+        return { repository };
+    }
+
+    const localPath = path.resolve(input);
+    const stat = await fs.stat(localPath).catch(() => null);
+    if (!stat || !stat.isDirectory()) {
+        throw new UsageError(`Not a directory: ${input}`);
+    }
+    return { repository: describeLocalRepository(localPath), localPath };
+}
+
+async function readJsonFile(file) {
+    if (!file) return undefined;
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Could not read ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Rules files hold a bare array or, like CUSTOM_RULES_FILE, { "rules": [...] }
+ */
+async function readRulesFile(file) {
+    const content = await readJsonFile(file);
+    return content && !Array.isArray(content) ? content.rules : content;
+}
+
+function countAtOrAbove(findings, failOn) {
+    if (failOn === 'none') return 0;
+    const threshold = SEVERITY_ORDER.indexOf(failOn);
+    return findings.filter(finding => {
+        const rank = SEVERITY_ORDER.indexOf(finding.severity);
+        return rank !== -1 && rank <= threshold;
+    }).length;
+}
+
+/**
+ * Human readable table of redacted findings, most severe first
+ */
+function renderTable(result, { color }) {
+    const paint = (code, text) => (color ? `\u001b[${code}m${text}\u001b[0m` : text);
+    const severityColors = { critical: '1;31', high: '31', medium: '33', low: '36' };
+
+    const findings = redactResult(result).findings
+        .slice()
+        .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+
+    const lines = [`${result.repoName}: ${result.scope.description} (${result.scanEngine} ${result.version})`, ''];
+    if (findings.length === 0) {
+        lines.push('No secrets found.');
+        return `${lines.join('\n')}\n`;
+    }
+
+    const rows = findings.map(finding => [
+        finding.severity.toUpperCase(),
+        finding.secretType,
+        `${finding.file}:${finding.lineNumber}`,
+        finding.commit || '-',
+        finding.snippet
+    ]);
+    const headers = ['SEVERITY', 'TYPE', 'LOCATION', 'COMMIT', 'MATCH'];
+    // The last column is left unpadded so long matches do not widen every row
+    const widths = headers.slice(0, -1).map((header, column) =>
+        Math.max(header.length, ...rows.map(row => row[column].length)));
+    const formatRow = (row) => row
+        .map((cell, column) => (column < widths.length ? cell.padEnd(widths[column]) : cell))
+        .join('  ');
+
+    lines.push(paint('1', formatRow(headers)));
+    rows.forEach((row, index) => {
+        const line = formatRow(row);
+        const severity = findings[index].severity;
+        lines.push(paint(severityColors[severity] || '0', line.slice(0, widths[0])) + line.slice(widths[0]));
+    });
+
+    const counts = SEVERITY_ORDER
+        .map(severity => [severity, findings.filter(finding => finding.severity === severity).length])
+        .filter(([, count]) => count > 0)
+        .map(([severity, count]) => `${count} ${severity}`);
+    lines.push('', `${findings.length} finding${findings.length === 1 ? '' : 's'} (${counts.join(', ')})`);
+    if (result.suppressed && result.suppressed.total > 0) {
+        lines.push(`${result.suppressed.total} suppressed by allowlists or the baseline`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+main(process.argv.slice(2)).then(
+    (exitCode) => { process.exitCode = exitCode; },
+    (error) => {
+        console.error(`secretsniffer: ${error.message}`);
+        if (error instanceof UsageError) console.error('Run secretsniffer --help for usage.');
+        process.exitCode = EXIT_ERROR;
+    }
+);
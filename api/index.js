@@ -4,3 +4,11 @@
 // Import all function handlers
 require('./src/functions/health');
 require('./src/functions/scanRepo');
+require('./src/functions/scanHistory');
+require('./src/functions/bulkScan');
+require('./src/functions/webhook');
+require('./src/functions/scanUpload');
+require('./src/functions/remediation');
+require('./src/functions/watches');
+require('./src/functions/scheduledScans');
+require('./src/functions/metrics');
@@ -0,0 +1,285 @@
+const { app } = require('@azure/functions');
+const { engines, resolveEngine } = require('../lib/engines');
+const { MAX_CONCURRENT_SCANS, BUSY_RETRY_AFTER_SECONDS, countActiveJobs } = require('../lib/jobs');
+const { readAccessToken, hashToken } = require('../lib/credentials');
+const { parseRepositoryUrl } = require('../lib/providers');
+const { parseScanScope } = require('../lib/scanScope');
+const { isVerificationEnabled, isVerificationAuthorized } = require('../lib/verifiers');
+const { isInspectionEnabled } = require('../lib/inspection');
+const { getClientIp, consumeRateLimit } = require('../lib/rateLimit');
+const { listOwnerRepositories } = require('../lib/github');
+const { MAX_BULK_REPOSITORIES, createBulkScan, getBulkScan, runBulkScan, toBulkScanStatus, toBulkScanReport } = require('../lib/bulkScans');
+const { corsHeaders, withCors, withRequestLogging } = require('../lib/http');
+
+// GitHub organization and user names
+const OWNER_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,38})$/i;
+
+/**
+ * Bulk scan of many repositories: `POST /bulk-scans` with either a GitHub
+ * `owner` (organization or user; repositories are listed through the GitHub
+ * API, forks and archived ones only with `includeForks`/`includeArchived`)
+ * or an explicit `repoUrls` list, plus the shared `engine`, `depth`,
+ * `allBranches`, `verify` and `inspect` options (`verify` with the reveal key
+ * only, see verifiers/index.js).
+ *
+ * Each repository is scanned as a regular job (see scanRepo.js), a few at a
+ * time; the client polls `GET /bulk-scans/{id}` for per-repository progress
+ * and the roll-up, and downloads the aggregated report with `?format=json`
+ * once the bulk scan is done.
+ *
+ * The access token from the Authorization header is used both to list the
+ * owner's (private) repositories and to clone them. Every repository counts
+ * as one request against the rate limit, and the scans wait for the
+ * instance's MAX_CONCURRENT_SCANS slots like any other scan.
+ */
+app.http('bulkScan', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'bulk-scans',
+    handler: withRequestLogging(withCors(async (request, context) => {
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders, body: '' };
+        }
+
+        try {
+            const token = readAccessToken(request);
+            const ownerTokenHash = hashToken(token);
+
+            const rateLimit = consumeRateLimit({ ip: getClientIp(request), tokenHash: ownerTokenHash });
+            if (!rateLimit.allowed) {
+                return tooManyRequests(rateLimit, context);
+            }
+
+            const params = await request.json();
+            const owner = typeof params.owner === 'string' ? params.owner.trim() : '';
+            const repoUrls = params.repoUrls;
+
+            if (Boolean(owner) === Array.isArray(repoUrls)) {
+                return badRequest('Invalid bulk scan', 'Provide either a GitHub owner or a list of repository URLs');
+            }
+            if (owner && !OWNER_PATTERN.test(owner)) {
+                return badRequest('Invalid owner', `'${owner}' is not a GitHub organization or user name`);
+            }
+
+            const engine = resolveEngine(params.engine);
+            if (!engine) {
+                return badRequest('Invalid scan engine', `Supported engines: ${Object.keys(engines).join(', ')}`);
+            }
+
+            // The same history for every repository; branches and ranges are per repository
+            const { scope, error: scopeError } = parseScanScope({ depth: params.depth, allBranches: params.allBranches });
+            if (scopeError) {
+                return badRequest('Invalid scan scope', scopeError);
+            }
+
+            const verify = isVerificationEnabled(params.verify);
+            if (verify && !isVerificationAuthorized(request)) {
+                return {
+                    status: 403,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: 'Verification not authorized',
+                        message: 'Verifying detected credentials requires a valid reveal key'
+                    })
+                };
+            }
+
+            let repositories;
+            let truncated = false;
+            if (owner) {
+                let listing;
+                try {
+                    listing = await listOwnerRepositories(owner, token, {
+                        includeForks: params.includeForks === true,
+                        includeArchived: params.includeArchived === true,
+                        limit: MAX_BULK_REPOSITORIES
+                    });
+                } catch (error) {
+                    context.log(`Failed to list repositories of ${owner}: ${error.message}`);
+                    return listingErrorResponse(owner, error);
+                }
+
+                // Repositories on hosts the scanner does not accept are left out
+                repositories = listing.repositories
+                    .map(repo => ({ repository: parseRepositoryUrl(repo.url), size: repo.size }))
+                    .filter(entry => entry.repository);
+                truncated = listing.truncated;
+            } else {
+                if (repoUrls.length > MAX_BULK_REPOSITORIES) {
+                    return badRequest('Too many repositories', `A bulk scan covers at most ${MAX_BULK_REPOSITORIES} repositories`);
+                }
+
+                const invalid = repoUrls.filter(url => typeof url !== 'string' || !parseRepositoryUrl(url));
+                if (invalid.length > 0) {
+                    return badRequest('Invalid repository URL', `Not a supported repository URL: ${invalid.slice(0, 3).join(', ')}`);
+                }
+
+                const seen = new Set();
+                repositories = repoUrls
+                    .map(url => ({ repository: parseRepositoryUrl(url), size: null }))
+                    .filter(entry => !seen.has(entry.repository.url) && seen.add(entry.repository.url));
+            }
+
+            if (repositories.length === 0) {
+                return badRequest('No repositories to scan', owner
+                    ? `${owner} has no repositories that can be scanned`
+                    : 'Please provide at least one repository URL');
+            }
+
+            // The request itself counted for the first repository
+            const bulkRateLimit = consumeRateLimit({ ip: getClientIp(request), tokenHash: ownerTokenHash, cost: repositories.length - 1 });
+            if (!bulkRateLimit.allowed) {
+                return tooManyRequests(bulkRateLimit, context, repositories.length);
+            }
+
+            if (countActiveJobs() >= MAX_CONCURRENT_SCANS) {
+                context.log(`Rejected bulk scan: ${MAX_CONCURRENT_SCANS} scans already running`);
+                return {
+                    status: 503,
+                    headers: { ...corsHeaders, 'Retry-After': String(BUSY_RETRY_AFTER_SECONDS) },
+                    body: JSON.stringify({
+                        error: 'Scanner busy',
+                        message: `The scanner is busy with other scans. Try again in ${BUSY_RETRY_AFTER_SECONDS} seconds.`,
+                        retryAfter: BUSY_RETRY_AFTER_SECONDS
+                    })
+                };
+            }
+
+            const bulkScan = createBulkScan({ owner: owner || null, repositories, truncated, ownerTokenHash });
+            context.log(`Queued bulk scan ${bulkScan.id} of ${repositories.length} repositories${owner ? ` of ${owner}` : ''}${truncated ? ' (truncated)' : ''}`);
+
+            // Deliberately not awaited: the bulk scan reports its own progress
+            runBulkScan(bulkScan, { engine, scope, verify, inspect: isInspectionEnabled(params.inspect), token }, context)
+                .catch(error => context.log(`Bulk scan ${bulkScan.id} failed: ${error.message}`));
+
+            return {
+                status: 202,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    ...toBulkScanStatus(bulkScan),
+                    statusUrl: `${new URL(request.url).pathname.replace(/\/$/, '')}/${bulkScan.id}`
+                })
+            };
+        } catch (error) {
+            context.error('Failed to start bulk scan:', error);
+            return {
+                status: 500,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: 'Internal server error',
+                    message: 'Failed to start bulk scan. Please try again later.'
+                })
+            };
+        }
+    }))
+});
+
+/**
+ * Progress and roll-up of a bulk scan; `?format=json` downloads the
+ * aggregated report with every repository's redacted findings
+ */
+app.http('bulkScanStatus', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'bulk-scans/{id}',
+    handler: withRequestLogging(withCors(async (request, context) => {
+        const bulkScan = getBulkScan(request.params.id);
+
+        // Bulk scans started with a token are only visible to callers presenting the same token
+        const isOwner = bulkScan && (!bulkScan.ownerTokenHash || bulkScan.ownerTokenHash === hashToken(readAccessToken(request)));
+        if (!isOwner) {
+            context.log(`Bulk scan not found: ${request.params.id}`);
+            return {
+                status: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: 'Bulk scan not found',
+                    message: 'The bulk scan does not exist or has expired'
+                })
+            };
+        }
+
+        const format = request.query.get('format');
+        if (!format) {
+            return {
+                status: 200,
+                headers: corsHeaders,
+                body: JSON.stringify(toBulkScanStatus(bulkScan))
+            };
+        }
+
+        if (format.toLowerCase() !== 'json') {
+            return badRequest('Invalid report format', 'Bulk scan reports are available as json');
+        }
+        if (bulkScan.state !== 'done') {
+            return {
+                status: 409,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: 'Bulk scan not finished',
+                    message: 'The report is available once every repository has been scanned'
+                })
+            };
+        }
+
+        return {
+            status: 200,
+            headers: {
+                ...corsHeaders,
+                'Content-Disposition': `attachment; filename="${bulkScan.owner || 'bulk'}-secrets.json"`
+            },
+            body: JSON.stringify(toBulkScanReport(bulkScan), null, 2)
+        };
+    }))
+});
+
+function tooManyRequests(rateLimit, context, repositories = 1) {
+    const per = rateLimit.kind === 'token' ? 'token' : 'client';
+    context.log(`Rate limit exceeded (${rateLimit.kind}) by a bulk scan of ${repositories} repositories`);
+
+    // A bulk scan larger than the limit itself cannot be retried as it is
+    if (rateLimit.retryAfterSeconds === null) {
+        return {
+            status: 429,
+            headers: corsHeaders,
+            body: JSON.stringify({
+                error: 'Too many requests',
+                message: `A bulk scan of ${repositories} repositories exceeds the scan limit of ${rateLimit.limit} per ${per}.`
+            })
+        };
+    }
+    return {
+        status: 429,
+        headers: { ...corsHeaders, 'Retry-After': String(rateLimit.retryAfterSeconds) },
+        body: JSON.stringify({
+            error: 'Too many requests',
+            message: `Scan limit of ${rateLimit.limit} per ${per} reached.`,
+            retryAfter: rateLimit.retryAfterSeconds
+        })
+    };
+}
+
+function badRequest(error, message) {
+    return {
+        status: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ error, message })
+    };
+}
+
+/**
+ * Response for a failed repository listing, passing on what the caller can fix
+ */
+function listingErrorResponse(owner, error) {
+    const message = error.status === 404
+        ? `No GitHub organization or user named ${owner}`
+        : error.status === 401 || error.status === 403
+            ? 'GitHub refused to list the repositories. Check the access token, or try again later if the API rate limit was reached.'
+            : 'Could not list the repositories on GitHub. Please try again later.';
+
+    return {
+        status: error.status === 404 ? 404 : 502,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Repository listing failed', message })
+    };
+}
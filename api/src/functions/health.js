@@ -1,26 +1,64 @@
 const { app } = require('@azure/functions');
+const { checkReadiness } = require('../lib/readiness');
+const { isMetricsAuthorized } = require('../lib/credentials');
+const { withRequestLogging } = require('../lib/http');
+const { version } = require('../../package.json');
+
+const startedAt = new Date();
+
+const probeHeaders = {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+};
 
 /**
- * Health check endpoint for the Azure Function App
+ * Liveness of the Function App: answers whenever the process is up, without
+ * touching any dependency (restarting would not fix those)
  */
 app.http('health', {
     methods: ['GET'],
     authLevel: 'anonymous',
     route: 'health',
-    handler: async (request, context) => {
-        context.log('Health check requested');
-        
+    handler: withRequestLogging(async () => {
         return {
             status: 200,
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers: probeHeaders,
             body: JSON.stringify({
                 status: 'healthy',
                 timestamp: new Date().toISOString(),
                 service: 'GFaaS API',
-                version: '1.0.0'
+                version,
+                uptimeSeconds: Math.round((Date.now() - startedAt.getTime()) / 1000)
             })
         };
-    }
+    })
+});
+
+/**
+ * Readiness to scan: git, the scan engine and temp space (see readiness.js).
+ * Answers 503 when any check fails. Monitoring that sends METRICS_TOKEN as a
+ * bearer token gets the details of every check (versions, free space, errors);
+ * anonymous probes get the status only, and failures are logged either way.
+ */
+app.http('ready', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'ready',
+    handler: withRequestLogging(async (request, context) => {
+        const { ready, checks } = await checkReadiness();
+        if (!ready) {
+            const failed = Object.keys(checks).filter(name => !checks[name].ok);
+            context.log(`Readiness check failed: ${failed.map(name => `${name} (${checks[name].error})`).join(', ')}`);
+            context.log(`Readiness check details: ${JSON.stringify(checks)}`);
+        }
+
+        const status = ready ? 'ready' : 'not ready';
+        return {
+            status: ready ? 200 : 503,
+            headers: probeHeaders,
+            body: JSON.stringify(isMetricsAuthorized(request)
+                ? { status, timestamp: new Date().toISOString(), service: 'GFaaS API', version, checks }
+                : { status })
+        };
+    })
 });
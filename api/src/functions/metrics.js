@@ -0,0 +1,35 @@
+const { app } = require('@azure/functions');
+const { renderMetrics } = require('../lib/metrics');
+const { isMetricsAuthorized } = require('../lib/credentials');
+
+/**
+ * Aggregate counters of this instance (requests, scans by outcome, phase
+ * timings, repository sizes, findings, cache hits) in the Prometheus text
+ * format. When METRICS_TOKEN is set, scrapers must send it as a bearer token.
+ */
+app.http('metrics', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'metrics',
+    handler: async (request) => {
+        if (process.env.METRICS_TOKEN && !isMetricsAuthorized(request)) {
+            return {
+                status: 401,
+                headers: { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' },
+                body: JSON.stringify({
+                    error: 'Unauthorized',
+                    message: 'A valid metrics token is required'
+                })
+            };
+        }
+
+        return {
+            status: 200,
+            headers: {
+                'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+                'Cache-Control': 'no-store'
+            },
+            body: renderMetrics()
+        };
+    }
+});
@@ -0,0 +1,115 @@
+const { app } = require('@azure/functions');
+const { getJob } = require('../lib/jobs');
+const { readAccessToken, hashToken, isRevealAuthorized } = require('../lib/credentials');
+const { getStoredScan } = require('../lib/history');
+const { buildPurgePlan } = require('../lib/purgePlan');
+const { corsHeaders, withCors, withRequestLogging } = require('../lib/http');
+
+/**
+ * History remediation: `GET /scan/{id}/remediation` (scan jobs) and
+ * `GET /scans/{id}/remediation` (stored scans) return a purge plan for the
+ * scan's findings: git filter-repo/BFG replacement expressions, files to
+ * remove, the affected commits, .gitignore additions and a script running it
+ * all on a mirror clone. `?format=script` downloads the script alone.
+ *
+ * Literal secret values only appear for jobs started with `revealSecrets` by
+ * a caller presenting the reveal key; otherwise the expressions match the
+ * values by their redacted form (see purgePlan.js).
+ */
+app.http('scanRemediation', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'scan/{id}/remediation',
+    handler: withRequestLogging(withCors(async (request, context) => {
+        const job = getJob(request.params.id);
+        const isOwner = job && (!job.ownerTokenHash || job.ownerTokenHash === hashToken(readAccessToken(request)));
+
+        if (!isOwner) {
+            context.log(`Scan job not found: ${request.params.id}`);
+            return notFound('The scan job does not exist or has expired');
+        }
+        if (job.state !== 'done') {
+            return {
+                status: 409,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: 'Scan not finished',
+                    message: `A purge plan is available once the scan is done (current state: ${job.state})`
+                })
+            };
+        }
+
+        return planResponse(request, job.result, {
+            scanId: job.id,
+            reveal: job.revealSecrets && isRevealAuthorized(request)
+        });
+    }))
+});
+
+app.http('storedScanRemediation', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'scans/{id}/remediation',
+    handler: withRequestLogging(withCors(async (request, context) => {
+        try {
+            const record = await getStoredScan(request.params.id, hashToken(readAccessToken(request)));
+            if (!record) {
+                context.log(`Stored scan not found: ${request.params.id}`);
+                return notFound('No stored scan with this id');
+            }
+
+            // Stored results are redacted, so there are no values to reveal
+            return planResponse(request, record.result, { scanId: record.id });
+        } catch (error) {
+            context.error('Failed to read stored scan:', error);
+            return {
+                status: 500,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: 'Internal server error',
+                    message: 'Failed to read scan history. Please try again later.'
+                })
+            };
+        }
+    }))
+});
+
+function planResponse(request, result, options) {
+    if (result.scope && result.scope.noGit) {
+        return {
+            status: 409,
+            headers: corsHeaders,
+            body: JSON.stringify({
+                error: 'No history to purge',
+                message: 'The scan covered files without git history; remove the secrets from the files and rotate them'
+            })
+        };
+    }
+
+    const plan = buildPurgePlan(result, options);
+    if (request.query.get('format') === 'script') {
+        return {
+            status: 200,
+            headers: {
+                ...corsHeaders,
+                'Content-Type': 'text/x-shellscript; charset=utf-8',
+                'Content-Disposition': `attachment; filename="purge-${String(result.repoName || 'scan').replace(/[^\w.-]+/g, '_')}.sh"`
+            },
+            body: plan.script
+        };
+    }
+
+    return {
+        status: 200,
+        headers: corsHeaders,
+        body: JSON.stringify(plan)
+    };
+}
+
+function notFound(message) {
+    return {
+        status: 404,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Scan not found', message })
+    };
+}
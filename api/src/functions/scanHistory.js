@@ -0,0 +1,111 @@
+const { app } = require('@azure/functions');
+const { readAccessToken, hashToken } = require('../lib/credentials');
+const { parseRepositoryUrl } = require('../lib/providers');
+const { listRepositoryScans, getStoredScan, toPublicSummary } = require('../lib/history');
+const { corsHeaders, withCors, withRequestLogging, reportResponse } = require('../lib/http');
+
+/**
+ * Scan history of a repository: `GET /scans?repoUrl=...&limit=20` lists the
+ * stored scans newest first with finding counts and new/resolved totals.
+ *
+ * Scans run with an access token are only listed for callers presenting the
+ * same token. Stored results are always redacted.
+ */
+app.http('scanHistory', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'scans',
+    handler: withRequestLogging(withCors(async (request, context) => {
+        const repoUrl = request.query.get('repoUrl');
+        const repository = repoUrl && parseRepositoryUrl(repoUrl);
+        if (!repository) {
+            return {
+                status: 400,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: 'Invalid repository URL',
+                    message: 'Please provide the repoUrl of a scanned repository'
+                })
+            };
+        }
+
+        try {
+            const scans = await listRepositoryScans(
+                repository.url,
+                hashToken(readAccessToken(request)),
+                request.query.get('limit')
+            );
+
+            return {
+                status: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({ repoUrl: repository.url, scans })
+            };
+        } catch (error) {
+            context.error('Failed to list scan history:', error);
+            return storageErrorResponse(error);
+        }
+    }))
+});
+
+/**
+ * A stored scan with its changes since the previous scan; with
+ * `?format=json|sarif|csv` the stored result as a report download
+ */
+app.http('storedScan', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'scans/{id}',
+    handler: withRequestLogging(withCors(async (request, context) => {
+        try {
+            const record = await getStoredScan(request.params.id, hashToken(readAccessToken(request)));
+            if (!record) {
+                context.log(`Stored scan not found: ${request.params.id}`);
+                return {
+                    status: 404,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: 'Scan not found',
+                        message: 'No stored scan with this id'
+                    })
+                };
+            }
+
+            const format = request.query.get('format');
+            if (format) {
+                return reportResponse(record.result, format);
+            }
+
+            return {
+                status: 200,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    ...toPublicSummary({
+                        id: record.id,
+                        repoUrl: record.repoUrl,
+                        scanDate: record.scanDate,
+                        ownerTokenHash: record.ownerTokenHash,
+                        previousScanId: record.previousScanId
+                    }),
+                    changes: record.changes,
+                    result: record.result
+                })
+            };
+        } catch (error) {
+            context.error('Failed to read stored scan:', error);
+            return storageErrorResponse(error);
+        }
+    }))
+});
+
+function storageErrorResponse(error) {
+    return {
+        status: 500,
+        headers: corsHeaders,
+        body: JSON.stringify({
+            error: 'Internal server error',
+            message: 'Failed to read scan history. Please try again later.',
+            details: process.env.NODE_ENV === 'development' ? (error.stack || error.message) : undefined
+        })
+    };
+}
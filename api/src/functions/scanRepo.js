@@ -1,28 +1,69 @@
 const { app } = require('@azure/functions');
-const simpleGit = require('simple-git');
-const fs = require('fs').promises;
-const path = require('path');
-const tmp = require('tmp');
-const { spawn } = require('child_process');
+const { engines, resolveEngine, getEngineVersion } = require('../lib/engines');
+const { MAX_CONCURRENT_SCANS, BUSY_RETRY_AFTER_SECONDS, createJob, countActiveJobs, getJob, setJobState, toJobStatus } = require('../lib/jobs');
+const { readAccessToken, hashToken, isRevealAuthorized } = require('../lib/credentials');
+const { parseRepositoryUrl } = require('../lib/providers');
+const { parseScanScope } = require('../lib/scanScope');
+const { redactResult } = require('../lib/redact');
+const { parseAllowlist, parseBaseline } = require('../lib/suppressions');
+const { parseCustomRules, loadAppRules, mergeRules } = require('../lib/customRules');
+const { isVerificationEnabled, isVerificationAuthorized } = require('../lib/verifiers');
+const { isInspectionEnabled } = require('../lib/inspection');
+const { getClientIp, consumeRateLimit } = require('../lib/rateLimit');
+const { resolveRemoteHead, scanCacheKey, getCachedScan } = require('../lib/scanCache');
+const { MAX_REPO_SIZE_BYTES, fetchRemoteRepositorySize, formatSize } = require('../lib/repoSize');
+const { getStoredScan, getLatestStoredScan } = require('../lib/history');
+const { runScanJob } = require('../lib/scanPipeline');
+const { corsHeaders, withCors, withRequestLogging, reportResponse } = require('../lib/http');
 
 /**
- * Azure Function to scan GitHub repositories for secrets using Gitleaks
+ * Azure Function to scan git repositories (GitHub, GitLab, Bitbucket, Azure Repos
+ * or any https:// remote) for secrets using Gitleaks or the
+ * native in-process engine (selected per request or via SCAN_ENGINE)
  * Implements security best practices with proper error handling and logging
+ *
+ * The scan runs as a background job: the response carries the job id and the
+ * client polls `GET /scan/{id}` for progress and the final result.
+ *
+ * Private repositories are cloned with a token from the Authorization header;
+ * the token is kept in memory for the scan only and never logged or returned.
+ *
+ * Secret values are redacted in every response unless the caller sets
+ * `revealSecrets` and presents the X-Reveal-Key configured in SECRET_REVEAL_KEY.
+ *
+ * Known findings can be suppressed with an `allowlist` (merged with the
+ * repository's own .gitleaks.toml/.secretsniffer.json) or a `baseline` report.
+ *
+ * Custom `rules` extend the built-in detection rules for this scan, on top of
+ * any rules from the CUSTOM_RULES_FILE app setting.
+ *
+ * With `verify` (or VERIFY_SECRETS=true) detected credentials are checked
+ * against their provider's API and marked active, revoked or unknown. Asking
+ * for it per request needs the reveal key, unless VERIFY_SECRETS is set.
+ *
+ * With `inspect` (or DEEP_INSPECTION=true) committed archives, notebooks,
+ * encoded strings and configuration values are inspected as well.
+ *
+ * Finished scans are also recorded in the scan history (see scanHistory.js).
+ *
+ * Incremental scans (`baseScanId`, `baseCommit`, or `incremental: true` for
+ * the latest stored scan) only clone and scan the commits after the base and
+ * merge their findings, marked `introduced`, with the base scan's findings.
+ *
+ * Results are cached by repository, remote head commit and options: an
+ * unchanged repository is answered at once with `cached: true` unless the
+ * request sets `force`.
+ *
+ * Abuse protection: requests are rate limited per client IP and per token
+ * (429), concurrent scans are capped (503) and repositories larger than
+ * MAX_REPO_SIZE_MB are refused (413 before cloning, or a failed job after).
  */
 app.http('scanRepo', {
     methods: ['GET', 'POST'],
     authLevel: 'anonymous',
     route: 'scan',
-    handler: async (request, context) => {
+    handler: withRequestLogging(withCors(async (request, context) => {
         context.log('Starting repository scan request');
-        
-        // Enable CORS for frontend
-        const corsHeaders = {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-            'Content-Type': 'application/json'
-        };
 
         // Handle preflight OPTIONS request
         if (request.method === 'OPTIONS') {
@@ -34,16 +75,31 @@ app.http('scanRepo', {
         }
 
         try {
-            // Extract repository URL from request
-            let repoUrl;
-            if (request.method === 'POST') {
-                const body = await request.json();
-                repoUrl = body.repoUrl;
-            } else {
-                // Fix: Use request.query.repoUrl instead of request.query.get('repoUrl')
-                repoUrl = request.query.repoUrl;
+            const token = readAccessToken(request);
+            const ownerTokenHash = hashToken(token);
+
+            const rateLimit = consumeRateLimit({ ip: getClientIp(request), tokenHash: ownerTokenHash });
+            if (!rateLimit.allowed) {
+                context.log(`Rate limit exceeded (${rateLimit.kind}), retry after ${rateLimit.retryAfterSeconds}s`);
+                return {
+                    status: 429,
+                    headers: { ...corsHeaders, 'Retry-After': String(rateLimit.retryAfterSeconds) },
+                    body: JSON.stringify({
+                        error: 'Too many requests',
+                        message: `Scan limit of ${rateLimit.limit} per ${rateLimit.kind === 'token' ? 'token' : 'client'} reached. Try again in ${formatWait(rateLimit.retryAfterSeconds)}.`,
+                        retryAfter: rateLimit.retryAfterSeconds
+                    })
+                };
             }
 
+            // Extract scan parameters from the JSON body or the query string
+            // (request.query is a URLSearchParams instance in the v4 programming model)
+            const params = request.method === 'POST'
+                ? await request.json()
+                : Object.fromEntries(request.query);
+            const repoUrl = params.repoUrl;
+            const requestedEngine = params.engine;
+
             // Validate input
             if (!repoUrl) {
                 context.log('No repository URL provided');
@@ -52,56 +108,208 @@ app.http('scanRepo', {
                     headers: corsHeaders,
                     body: JSON.stringify({ 
                         error: 'Repository URL is required',
-                        message: 'Please provide a valid GitHub repository URL'
+                        message: 'Please provide a valid git repository URL'
                     })
                 };
             }
 
-            // Validate GitHub URL format
-            if (!repoUrl.includes('github.com')) {
+            // Validate and normalize the URL for its hosting provider
+            const repository = parseRepositoryUrl(repoUrl);
+            if (!repository) {
                 context.log(`Invalid repository URL: ${repoUrl}`);
                 return {
                     status: 400,
                     headers: corsHeaders,
                     body: JSON.stringify({ 
                         error: 'Invalid repository URL',
-                        message: 'Please provide a valid GitHub repository URL'
+                        message: 'Please provide an https:// URL of a GitHub, GitLab, Bitbucket, Azure Repos or other git repository'
+                    })
+                };
+            }
+
+            const engine = resolveEngine(requestedEngine);
+            if (!engine) {
+                context.log(`Unknown scan engine requested: ${requestedEngine}`);
+                return {
+                    status: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: 'Invalid scan engine',
+                        message: `Supported engines: ${Object.keys(engines).join(', ')}`
+                    })
+                };
+            }
+
+            // Incremental scans continue from a stored scan (explicit, or the latest
+            // one when `incremental` is set) or from a given base commit
+            const { baseScan, error: baseError } = await resolveBaseScan(params, repository, ownerTokenHash);
+            if (baseError) {
+                context.log(`Invalid base scan: ${baseError}`);
+                return {
+                    status: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: 'Invalid base scan',
+                        message: baseError
                     })
                 };
             }
 
-            context.log(`Processing repository: ${repoUrl}`);
-
-            // Create temporary directory for cloning
-            const tmpDir = await createTempDirectory();
-            context.log(`Created temporary directory: ${tmpDir}`);
-
-            try {
-                // Clone repository
-                await cloneRepository(repoUrl, tmpDir, context);
-                
-                // Run Gitleaks scan
-                const scanResults = await runGitleaksScan(tmpDir, context);
-                
-                // Process and format results
-                const formattedResults = await formatScanResults(scanResults, repoUrl, context);
-                
-                context.log(`Scan completed successfully. Found ${formattedResults.totalSecrets} secrets`);
-                
+            // Which history to clone and scan (depth, branch, all branches, commit range, base commit)
+            const { scope, error: scopeError } = parseScanScope({
+                ...params,
+                baseCommit: baseScan ? baseScan.result.headCommit : params.baseCommit
+            });
+            if (scopeError) {
+                context.log(`Invalid scan scope: ${scopeError}`);
+                return {
+                    status: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: 'Invalid scan scope',
+                        message: scopeError
+                    })
+                };
+            }
+
+            // Suppression of accepted (allowlist) and already known (baseline) findings
+            const { allowlist, error: allowlistError } = parseAllowlist(params.allowlist);
+            const { baseline, error: baselineError } = parseBaseline(params.baseline);
+            if (allowlistError || baselineError) {
+                context.log(`Invalid suppression options: ${allowlistError || baselineError}`);
+                return {
+                    status: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: allowlistError ? 'Invalid allowlist' : 'Invalid baseline',
+                        message: allowlistError || baselineError
+                    })
+                };
+            }
+
+            const { rules: requestRules, error: rulesError } = parseCustomRules(params.rules);
+            if (rulesError) {
+                context.log(`Invalid custom rules: ${rulesError}`);
+                return {
+                    status: 400,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: 'Invalid custom rules',
+                        message: rulesError
+                    })
+                };
+            }
+
+            // Full secret values are opt-in and limited to holders of the reveal key
+            const revealSecrets = params.revealSecrets === true || params.revealSecrets === 'true';
+            if (revealSecrets && !isRevealAuthorized(request)) {
+                context.log('Rejected request to reveal secret values without a valid reveal key');
+                return {
+                    status: 403,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: 'Reveal not authorized',
+                        message: 'Full secret values require a valid reveal key'
+                    })
+                };
+            }
+
+            // Verification tells which leaked credentials still work, so it is guarded like revealing them
+            const verify = isVerificationEnabled(params.verify);
+            if (verify && !isVerificationAuthorized(request)) {
+                context.log('Rejected request to verify secrets without a valid reveal key');
+                return {
+                    status: 403,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: 'Verification not authorized',
+                        message: 'Verifying detected credentials requires a valid reveal key'
+                    })
+                };
+            }
+            const inspect = isInspectionEnabled(params.inspect);
+            const force = params.force === true || params.force === 'true';
+
+            // Results only depend on the commits the scope resolves to and the options,
+            // so an unchanged repository is answered from the cache
+            const headCommit = await resolveRemoteHead(repository, scope, token);
+            const cacheKey = headCommit && scanCacheKey({
+                repository,
+                headCommit,
+                engine,
+                engineVersion: await getEngineVersion(engine),
+                scope,
+                // An unreadable rules file fails the job itself, with a proper error
+                customRules: mergeRules(await loadAppRules().catch(() => []), requestRules),
+                allowlist: params.allowlist,
+                baseline,
+                baseScanId: baseScan ? baseScan.id : null,
+                verify,
+                inspect,
+                ownerTokenHash
+            });
+
+            // Cached results are redacted, so revealing secrets always needs a fresh scan
+            const cachedResult = cacheKey && !force && !revealSecrets ? await getCachedScan(cacheKey) : null;
+            if (cachedResult) {
+                const job = createJob({ repoUrl: repository.url, ownerTokenHash, revealSecrets: false });
+                setJobState(job.id, 'done', { result: cachedResult });
+                context.log(`Answered scan of ${repository.url} at ${headCommit} from the cache (job ${job.id})`);
+
                 return {
                     status: 200,
                     headers: corsHeaders,
-                    body: JSON.stringify(formattedResults)
+                    body: JSON.stringify({
+                        ...toJobStatus(job),
+                        statusUrl: `${new URL(request.url).pathname.replace(/\/$/, '')}/${job.id}`
+                    })
                 };
+            }
 
-            } finally {
-                // Cleanup temporary directory
-                await cleanupTempDirectory(tmpDir, context);
+            const remoteSize = await fetchRemoteRepositorySize(repository, token);
+            if (remoteSize !== null && remoteSize > MAX_REPO_SIZE_BYTES) {
+                context.log(`Rejected scan of ${repository.url}: ${formatSize(remoteSize)} exceeds the size limit`);
+                return {
+                    status: 413,
+                    headers: corsHeaders,
+                    body: JSON.stringify({
+                        error: 'Repository too large',
+                        message: `The repository is ${formatSize(remoteSize)}; the maximum size that can be scanned is ${formatSize(MAX_REPO_SIZE_BYTES)}.`
+                    })
+                };
+            }
+
+            // Checked right before the job is created, with no await in between
+            if (countActiveJobs() >= MAX_CONCURRENT_SCANS) {
+                context.log(`Rejected scan: ${MAX_CONCURRENT_SCANS} scans already running`);
+                return {
+                    status: 503,
+                    headers: { ...corsHeaders, 'Retry-After': String(BUSY_RETRY_AFTER_SECONDS) },
+                    body: JSON.stringify({
+                        error: 'Scanner busy',
+                        message: `The scanner is busy with other scans. Try again in ${formatWait(BUSY_RETRY_AFTER_SECONDS)}.`,
+                        retryAfter: BUSY_RETRY_AFTER_SECONDS
+                    })
+                };
             }
 
+            const job = createJob({ repoUrl: repository.url, ownerTokenHash, revealSecrets });
+            context.log(`Queued scan job ${job.id} for ${repository.url} (${repository.providerName}) with ${engine.name} engine${token ? ' (authenticated)' : ''}`);
+
+            // Deliberately not awaited: the job reports its own outcome
+            runScanJob(job.id, { repository, engine, scope, requestRules, allowlist, baseline, verify, inspect, baseScan, token, ownerTokenHash, headCommit, cacheKey }, context);
+
+            return {
+                status: 202,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    ...toJobStatus(job),
+                    statusUrl: `${new URL(request.url).pathname.replace(/\/$/, '')}/${job.id}`
+                })
+            };
+
         } catch (error) {
-            context.log('Error during repository scan:', error);
-            context.log('Error stack:', error.stack);
+            context.error('Error during repository scan:', error);
             return {
                 status: 500,
                 headers: corsHeaders,
@@ -112,193 +320,95 @@ app.http('scanRepo', {
                 })
             };
         }
-    }
+    }))
 });
 
-
 /**
- * Create a temporary directory for repository cloning
+ * Status of a scan job: current state, progress and (once done) the result.
+ * With `?format=json|sarif|csv` a finished scan is returned as a redacted
+ * report download instead.
  */
-async function createTempDirectory() {
-    return new Promise((resolve, reject) => {
-        tmp.dir({ unsafeCleanup: true }, (err, path) => {
-            if (err) reject(err);
-            else resolve(path);
-        });
-    });
-}
+app.http('scanStatus', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'scan/{id}',
+    handler: withRequestLogging(withCors(async (request, context) => {
+        const job = getJob(request.params.id);
 
-/**
- * Clone repository to temporary directory
- */
-async function cloneRepository(repoUrl, tmpDir, context) {
-    try {
-        const git = simpleGit();
-        
-        // For private repos, you would use GitHub token here
-        // const authUrl = repoUrl.replace('https://github.com/', `https://${process.env.GITHUB_TOKEN}@github.com/`);
-        
-        context.log(`Cloning repository to ${tmpDir}`);
-        await git.clone(repoUrl, tmpDir, ['--depth', '50']); // Shallow clone for performance
-        
-        context.log('Repository cloned successfully');
-    } catch (error) {
-        context.log('Failed to clone repository:', error);
-        throw new Error(`Failed to clone repository: ${error.message}`);
-    }
-}
+        // Jobs started with a token are only visible to callers presenting the same token
+        const isOwner = job && (!job.ownerTokenHash || job.ownerTokenHash === hashToken(readAccessToken(request)));
 
-/**
- * Run Gitleaks scan on the cloned repository using Docker
- */
-async function runGitleaksScan(repoPath, context) {
-    return new Promise((resolve, reject) => {
-        context.log('Starting Gitleaks scan via Docker');
-        const gitleaksImage = 'zricethez/gitleaks:latest';
-        const args = [
-            'run',
-            '--rm',
-            '-v', `${repoPath}:/repo`,
-            gitleaksImage,
-            'detect',
-            '--source', '/repo',
-            '--report-format', 'json'
-        ];
-        const scanTimeoutMs = 60 * 1000; // 1 minute timeout
-
-        let output = '';
-        let errorOutput = '';
-        let timedOut = false;
-
-        const dockerProcess = spawn('docker', args);
-
-        const timeout = setTimeout(() => {
-            timedOut = true;
-            dockerProcess.kill();
-            context.log('Gitleaks scan timed out');
-            reject(new Error('Gitleaks scan timed out'));
-        }, scanTimeoutMs);
-
-        dockerProcess.stdout.on('data', (data) => {
-            output += data.toString();
-        });
-
-        dockerProcess.stderr.on('data', (data) => {
-            errorOutput += data.toString();
-        });
-
-        dockerProcess.on('close', (code) => {
-            clearTimeout(timeout);
-            if (timedOut) return;
-            context.log(`Gitleaks Docker process exited with code ${code}`);
-            if (code === 0) {
-                // No secrets found
-                resolve('[]');
-            } else if (code === 1) {
-                // Secrets found
-                resolve(output);
-            } else {
-                context.log('Gitleaks Docker error output:', errorOutput);
-                reject(new Error(`Gitleaks Docker scan failed with code ${code}: ${errorOutput}`));
-            }
-        });
-
-        dockerProcess.on('error', (error) => {
-            clearTimeout(timeout);
-            context.log('Failed to start Docker process:', error);
-            reject(new Error(`Failed to start Docker: ${error.message}`));
-        });
-    });
-}
+        if (!isOwner) {
+            context.log(`Scan job not found: ${request.params.id}`);
+            return {
+                status: 404,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: 'Scan not found',
+                    message: 'The scan job does not exist or has expired'
+                })
+            };
+        }
 
-/**
- * Format scan results for frontend consumption
- */
-async function formatScanResults(scanOutput, repoUrl, context) {
-    try {
-        const findings = JSON.parse(scanOutput);
-        // Sanitize repoName extraction
-        let repoName = '';
-        try {
-            const urlParts = repoUrl.split('/');
-            repoName = urlParts[urlParts.length - 1].replace(/\.git$/, '') || urlParts[urlParts.length - 2];
-        } catch {
-            repoName = 'unknown';
+        const format = request.query.get('format');
+        if (!format) {
+            const status = toJobStatus(job);
+            status.result = redactResult(status.result, {
+                reveal: job.revealSecrets && isRevealAuthorized(request)
+            });
+
+            return {
+                status: 200,
+                headers: corsHeaders,
+                body: JSON.stringify(status)
+            };
         }
-        // Map Gitleaks output to our format
-        const formattedFindings = findings.map((finding, index) => ({
-            id: index + 1,
-            file: finding.File,
-            commit: finding.Commit.substring(0, 7), // Short commit hash
-            secretType: mapSecretType(finding.Description, finding.RuleID),
-            severity: determineSeverity(finding.Description, finding.RuleID),
-            lineNumber: finding.StartLine,
-            snippet: finding.Match,
-            entropy: finding.Entropy,
-            author: finding.Author,
-            date: finding.Date
-        }));
-
-        return {
-            repoName,
-            totalSecrets: formattedFindings.length,
-            scanDate: new Date().toISOString(),
-            findings: formattedFindings,
-            scanEngine: 'Gitleaks',
-            version: '8.18.0'
-        };
-
-    } catch (error) {
-        context.log('Failed to parse scan results:', error);
-        throw new Error('Failed to process scan results');
-    }
-}
 
-/**
- * Map Gitleaks rule descriptions to user-friendly secret types
- */
-function mapSecretType(description, ruleId) {
-    const typeMap = {
-        'generic-api-key': 'API Key',
-        'aws-access-token': 'AWS Access Key',
-        'github-pat': 'GitHub Token',
-        'slack-bot-token': 'Slack Bot Token',
-        'discord-bot-token': 'Discord Bot Token',
-        'database-password': 'Database Password',
-        'private-key': 'Private Key',
-        'jwt': 'JWT Token'
-    };
-
-    return typeMap[ruleId] || description || 'Unknown Secret';
-}
+        if (job.state !== 'done') {
+            return {
+                status: 409,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: 'Scan not finished',
+                    message: `Reports are available once the scan is done (current state: ${job.state})`
+                })
+            };
+        }
+
+        return reportResponse(job.result, format);
+    }))
+});
 
 /**
- * Determine severity based on secret type
+ * The stored scan an incremental scan continues from. Returns { baseScan }
+ * (null for full scans, or when `incremental` is set but nothing is stored yet)
+ * or { error }.
  */
-function determineSeverity(description, ruleId) {
-    const highSeverityPatterns = ['private-key', 'aws-access-token', 'database-password'];
-    const mediumSeverityPatterns = ['api-key', 'github-pat', 'jwt'];
-    
-    const desc = (description + ' ' + ruleId).toLowerCase();
-    
-    if (highSeverityPatterns.some(pattern => desc.includes(pattern))) {
-        return 'high';
-    } else if (mediumSeverityPatterns.some(pattern => desc.includes(pattern))) {
-        return 'medium';
-    } else {
-        return 'low';
+async function resolveBaseScan(params, repository, ownerTokenHash) {
+    const incremental = params.incremental === true || params.incremental === 'true';
+    if (!params.baseScanId && !incremental) return { baseScan: null };
+
+    const baseScan = params.baseScanId
+        ? await getStoredScan(String(params.baseScanId), ownerTokenHash)
+        : await getLatestStoredScan(repository.url, ownerTokenHash);
+
+    if (!baseScan) {
+        return params.baseScanId
+            ? { error: 'The base scan does not exist' }
+            : { baseScan: null };
     }
+    if (baseScan.repoUrl !== repository.url) {
+        return { error: 'The base scan is of a different repository' };
+    }
+    if (!baseScan.result.headCommit) {
+        return { error: 'The base scan does not record the commit it scanned; run a full scan first' };
+    }
+    return { baseScan };
 }
 
 /**
- * Cleanup temporary directory
+ * Human readable wait for Retry-After messages
  */
-async function cleanupTempDirectory(tmpDir, context) {
-    try {
-        await fs.rm(tmpDir, { recursive: true, force: true });
-        context.log(`Cleaned up temporary directory: ${tmpDir}`);
-    } catch (error) {
-        context.log('Failed to cleanup temporary directory:', error);
-        // Don't throw here as cleanup failure shouldn't fail the request
-    }
+function formatWait(seconds) {
+    return seconds < 120 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
 }
@@ -0,0 +1,227 @@
+const { app } = require('@azure/functions');
+const path = require('path');
+const { engines, resolveEngine } = require('../lib/engines');
+const { MAX_CONCURRENT_SCANS, BUSY_RETRY_AFTER_SECONDS, createJob, countActiveJobs, setJobState, toJobStatus } = require('../lib/jobs');
+const { readAccessToken, hashToken } = require('../lib/credentials');
+const { parseScanScope } = require('../lib/scanScope');
+const { parseAllowlist } = require('../lib/suppressions');
+const { parseCustomRules } = require('../lib/customRules');
+const { isVerificationEnabled, isVerificationAuthorized } = require('../lib/verifiers');
+const { isInspectionEnabled } = require('../lib/inspection');
+const { getClientIp, consumeRateLimit } = require('../lib/rateLimit');
+const { formatSize } = require('../lib/repoSize');
+const { MAX_UPLOAD_BYTES, ARCHIVE_EXTENSIONS, extractArchive } = require('../lib/archives');
+const { runScanJob, describeLocalRepository, createTempDirectory, cleanupTempDirectory } = require('../lib/scanPipeline');
+const { corsHeaders, withCors, withRequestLogging } = require('../lib/http');
+
+// Room for the multipart boundaries and the options field around the file
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+/**
+ * Scan an uploaded archive (`POST /uploads`) for code that is not on a git
+ * host: a .zip or .tar.gz sent as the `file` field of a multipart form (with
+ * an optional `options` field of JSON { engine, rules, allowlist, verify, inspect }),
+ * or as the raw request body with the file name in `?name=`.
+ *
+ * The archive is extracted into a temporary directory (see archives.js for
+ * the path traversal and size protections) and its files are scanned without
+ * git history. The scan is a regular job: poll `GET /scan/{id}` as for
+ * repository scans. Uploads are limited to MAX_UPLOAD_MB. As for repository
+ * scans, `verify` needs the X-Reveal-Key unless VERIFY_SECRETS is set.
+ *
+ * Uploads sent with an access token are recorded in that token's scan history
+ * under the archive's file name; anonymous uploads are not recorded, since
+ * their history would be shared by everyone uploading a file of that name.
+ */
+app.http('scanUpload', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'uploads',
+    handler: withRequestLogging(withCors(async (request, context) => {
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders, body: '' };
+        }
+
+        try {
+            const token = readAccessToken(request);
+            const ownerTokenHash = hashToken(token);
+
+            const rateLimit = consumeRateLimit({ ip: getClientIp(request), tokenHash: ownerTokenHash });
+            if (!rateLimit.allowed) {
+                context.log(`Rate limit exceeded (${rateLimit.kind}), retry after ${rateLimit.retryAfterSeconds}s`);
+                return {
+                    status: 429,
+                    headers: { ...corsHeaders, 'Retry-After': String(rateLimit.retryAfterSeconds) },
+                    body: JSON.stringify({
+                        error: 'Too many requests',
+                        message: `Scan limit of ${rateLimit.limit} per ${rateLimit.kind === 'token' ? 'token' : 'client'} reached.`,
+                        retryAfter: rateLimit.retryAfterSeconds
+                    })
+                };
+            }
+
+            // Refuse oversized uploads before reading them
+            const declaredLength = Number(request.headers.get('content-length'));
+            if (declaredLength > MAX_UPLOAD_BYTES + MULTIPART_OVERHEAD_BYTES) {
+                return tooLarge();
+            }
+
+            const upload = await readUpload(request);
+            if (upload.error) {
+                return errorResponse(400, 'Invalid upload', upload.error);
+            }
+            if (upload.buffer.length > MAX_UPLOAD_BYTES) {
+                return tooLarge();
+            }
+
+            const { options } = upload;
+            const engine = resolveEngine(options.engine);
+            if (!engine) {
+                return errorResponse(400, 'Invalid scan engine', `Supported engines: ${Object.keys(engines).join(', ')}`);
+            }
+            const { rules: requestRules, error: rulesError } = parseCustomRules(options.rules);
+            const { allowlist, error: allowlistError } = parseAllowlist(options.allowlist);
+            if (rulesError || allowlistError) {
+                return errorResponse(400, 'Invalid scan options', rulesError || allowlistError);
+            }
+
+            const verify = isVerificationEnabled(options.verify);
+            if (verify && !isVerificationAuthorized(request)) {
+                return errorResponse(403, 'Verification not authorized', 'Verifying detected credentials requires a valid reveal key');
+            }
+
+            // Checked right before the job is created, with no await in between
+            if (countActiveJobs() >= MAX_CONCURRENT_SCANS) {
+                context.log(`Rejected upload scan: ${MAX_CONCURRENT_SCANS} scans already running`);
+                return {
+                    status: 503,
+                    headers: { ...corsHeaders, 'Retry-After': String(BUSY_RETRY_AFTER_SECONDS) },
+                    body: JSON.stringify({
+                        error: 'Scanner busy',
+                        message: `The scanner is busy with other scans. Try again in ${BUSY_RETRY_AFTER_SECONDS} seconds.`,
+                        retryAfter: BUSY_RETRY_AFTER_SECONDS
+                    })
+                };
+            }
+
+            // The job holds its scan slot while the archive is extracted
+            const repoUrl = `upload:${upload.fileName}`;
+            const job = createJob({ repoUrl, ownerTokenHash, revealSecrets: false });
+
+            // Extracted before answering so unsafe or oversized archives are refused right away
+            let tmpDir = null;
+            try {
+                tmpDir = await createTempDirectory();
+                const { files, bytes } = await extractArchive(upload.buffer, tmpDir);
+                context.log(`Extracted ${upload.fileName}: ${files} entries, ${formatSize(bytes)}`);
+            } catch (error) {
+                setJobState(job.id, 'failed', {
+                    error: { error: 'Invalid archive', message: error.publicMessage || 'Failed to extract the archive', correlationId: context.correlationId }
+                });
+                if (tmpDir) await cleanupTempDirectory(tmpDir, context);
+                if (!error.publicMessage) throw error;
+
+                context.log(`Rejected archive ${upload.fileName}: ${error.message}`);
+                return errorResponse(error.status, 'Invalid archive', error.publicMessage);
+            }
+
+            const repository = {
+                ...describeLocalRepository(tmpDir, upload.fileName),
+                provider: 'upload',
+                providerName: 'Uploaded archive',
+                // Uploads of the same file name share their owner's scan history
+                url: repoUrl
+            };
+            context.log(`Queued scan job ${job.id} for uploaded archive ${upload.fileName} with ${engine.name} engine`);
+
+            // Deliberately not awaited: the job reports its own outcome and the files go afterwards
+            runScanJob(job.id, {
+                repository,
+                localPath: tmpDir,
+                noGit: true,
+                engine,
+                scope: parseScanScope({ depth: 'full' }).scope,
+                requestRules,
+                allowlist,
+                verify,
+                inspect: isInspectionEnabled(options.inspect),
+                ownerTokenHash,
+                recordHistory: Boolean(ownerTokenHash)
+            }, context).finally(() => cleanupTempDirectory(tmpDir, context));
+
+            return {
+                status: 202,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    ...toJobStatus(job),
+                    statusUrl: `${new URL(request.url).pathname.replace(/\/uploads\/?$/, '/scan')}/${job.id}`
+                })
+            };
+        } catch (error) {
+            context.error('Error during archive upload:', error);
+            return {
+                status: 500,
+                headers: corsHeaders,
+                body: JSON.stringify({
+                    error: 'Internal server error',
+                    message: 'Failed to scan the archive. Please try again later.'
+                })
+            };
+        }
+    }))
+});
+
+/**
+ * The uploaded file, its sanitized name and the scan options, from a
+ * multipart form or a raw body. Returns { error } for unusable uploads.
+ */
+async function readUpload(request) {
+    const contentType = request.headers.get('content-type') || '';
+    let fileName;
+    let buffer;
+    let options = {};
+
+    if (/^multipart\/form-data/i.test(contentType)) {
+        const form = await request.formData();
+        const file = form.get('file');
+        if (!file || typeof file === 'string') {
+            return { error: 'Attach the archive as the "file" field' };
+        }
+        fileName = file.name;
+        buffer = Buffer.from(await file.arrayBuffer());
+
+        const rawOptions = form.get('options');
+        if (rawOptions) {
+            try {
+                options = JSON.parse(rawOptions);
+            } catch {
+                return { error: 'The "options" field must be JSON' };
+            }
+        }
+    } else {
+        fileName = request.query.get('name') || 'upload.zip';
+        buffer = Buffer.from(await request.arrayBuffer());
+        options = { engine: request.query.get('engine'), verify: request.query.get('verify'), inspect: request.query.get('inspect') };
+    }
+
+    fileName = path.basename(String(fileName)).replace(/[^\w.-]+/g, '_').slice(0, 100);
+    if (!ARCHIVE_EXTENSIONS.some(extension => fileName.toLowerCase().endsWith(extension))) {
+        return { error: 'Upload a .zip or .tar.gz archive' };
+    }
+    if (buffer.length === 0) {
+        return { error: 'The uploaded file is empty' };
+    }
+    return { fileName, buffer, options };
+}
+
+function tooLarge() {
+    return errorResponse(413, 'Upload too large', `Archives of up to ${formatSize(MAX_UPLOAD_BYTES)} can be scanned`);
+}
+
+function errorResponse(status, error, message) {
+    return {
+        status,
+        headers: corsHeaders,
+        body: JSON.stringify({ error, message })
+    };
+}
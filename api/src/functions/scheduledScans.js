@@ -0,0 +1,32 @@
+const { app } = require('@azure/functions');
+const { runScheduledScans } = require('../lib/watches');
+const { createLogger } = require('../lib/logger');
+
+// NCRONTAB with seconds: every 10 minutes unless SCHEDULED_SCAN_CRON says otherwise
+const DEFAULT_SCHEDULE = '0 */10 * * * *';
+
+/**
+ * Timer-triggered re-scan of watched repositories (registered through
+ * `POST /watches`). Each trigger takes the next batch of watches that are due
+ * (see lib/watches.js), so every repository is checked about once per
+ * WATCH_INTERVAL_HOURS. Repositories whose scanned commits have not moved
+ * since their last run are skipped; new findings go to each watch's
+ * notification channels. Set SCHEDULED_SCANS_DISABLED=true to keep the timer
+ * from scanning.
+ */
+app.timer('scheduledScans', {
+    schedule: process.env.SCHEDULED_SCAN_CRON || DEFAULT_SCHEDULE,
+    handler: async (timer, invocationContext) => {
+        // No request to take a correlation id from; the run is tagged with its invocation id
+        const context = createLogger(invocationContext, { correlationId: invocationContext.invocationId });
+        if (process.env.SCHEDULED_SCANS_DISABLED === 'true') {
+            context.log('Scheduled scans are disabled');
+            return;
+        }
+        if (timer.isPastDue) {
+            context.log('Scheduled scans are running late');
+        }
+
+        await runScheduledScans(context);
+    }
+});
@@ -0,0 +1,239 @@
+const { app } = require('@azure/functions');
+const { engines, resolveEngine } = require('../lib/engines');
+const { readAccessToken, hashToken } = require('../lib/credentials');
+const { parseRepositoryUrl } = require('../lib/providers');
+const { parseScanScope } = require('../lib/scanScope');
+const { isVerificationEnabled, isVerificationAuthorized } = require('../lib/verifiers');
+const { isInspectionEnabled } = require('../lib/inspection');
+const { getClientIp, consumeRateLimit } = require('../lib/rateLimit');
+const { parseNotificationChannels } = require('../lib/notifications');
+const { MAX_CONCURRENT_SCANS, BUSY_RETRY_AFTER_SECONDS, countActiveJobs, toJobStatus } = require('../lib/jobs');
+const { createWatch, listWatches, getWatch, deleteWatch, startWatchRun, toPublicWatch } = require('../lib/watches');
+const { corsHeaders, withCors, withRequestLogging } = require('../lib/http');
+
+/**
+ * Watched repositories for the scheduled scans (see lib/watches.js):
+ *  - `POST /watches` registers { repoUrl, branch, depth, allBranches, engine,
+ *    verify, inspect, notify: [{ type: 'webhook' | 'slack', url } | { type: 'email', to }] }
+ *  - `GET /watches` lists the caller's watches with the outcome of their last run
+ *  - `GET|DELETE /watches/{id}` shows or removes a watch
+ *  - `POST /watches/{id}/run` scans the repository now instead of waiting for
+ *    the schedule, e.g. to try the notification channels; answered with the
+ *    scan job to poll at `GET /scan/{id}`
+ *
+ * Every request needs an access token (Authorization header): a watch belongs
+ * to the token that registered it, which must be able to read the repository,
+ * and the scheduled scans run with that token (see lib/watches.js). Watches
+ * that `verify` their findings need the reveal key to be registered.
+ */
+app.http('watches', {
+    methods: ['GET', 'POST'],
+    authLevel: 'anonymous',
+    route: 'watches',
+    handler: withRequestLogging(withCors(async (request, context) => {
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders, body: '' };
+        }
+
+        try {
+            const token = readAccessToken(request);
+            if (!token) {
+                return tokenRequired();
+            }
+
+            const ownerTokenHash = hashToken(token);
+            if (request.method === 'GET') {
+                const watches = await listWatches(ownerTokenHash);
+                return jsonResponse(200, { watches: watches.map(toPublicWatch) });
+            }
+
+            const rateLimited = checkRateLimit(request, ownerTokenHash, context);
+            if (rateLimited) return rateLimited;
+
+            const params = await request.json();
+            const repository = parseRepositoryUrl(params.repoUrl);
+            if (!repository) {
+                return errorResponse(400, 'Invalid repository URL', 'Please provide an https:// URL of a GitHub, GitLab, Bitbucket, Azure Repos or other git repository');
+            }
+
+            const engine = params.engine ? resolveEngine(params.engine) : null;
+            if (params.engine && !engine) {
+                return errorResponse(400, 'Invalid scan engine', `Supported engines: ${Object.keys(engines).join(', ')}`);
+            }
+
+            // Every run scans the same history; ranges and base commits would never move
+            const { scope, error: scopeError } = parseScanScope({
+                depth: params.depth,
+                branch: params.branch,
+                allBranches: params.allBranches
+            });
+            if (scopeError) {
+                return errorResponse(400, 'Invalid scan scope', scopeError);
+            }
+
+            const verify = isVerificationEnabled(params.verify);
+            if (verify && !isVerificationAuthorized(request)) {
+                return errorResponse(403, 'Verification not authorized', 'Verifying detected credentials requires a valid reveal key');
+            }
+
+            const { channels, error: notifyError } = parseNotificationChannels(params.notify);
+            if (notifyError) {
+                return errorResponse(400, 'Invalid notification channels', notifyError);
+            }
+
+            const { watch, error, status } = await createWatch({
+                repository,
+                scope,
+                engine: engine ? engine.id : null,
+                verify,
+                inspect: isInspectionEnabled(params.inspect),
+                notify: channels,
+                token,
+                ownerTokenHash
+            });
+            if (error) {
+                return errorResponse(status, 'Cannot watch repository', error);
+            }
+
+            context.log(`Registered watch ${watch.id} for ${repository.url} with ${channels.length} notification channel(s)`);
+            return jsonResponse(201, toPublicWatch(watch));
+        } catch (error) {
+            context.error('Failed to handle watch request:', error);
+            return storageErrorResponse(error);
+        }
+    }))
+});
+
+app.http('watch', {
+    methods: ['GET', 'DELETE'],
+    authLevel: 'anonymous',
+    route: 'watches/{id}',
+    handler: withRequestLogging(withCors(async (request, context) => {
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders, body: '' };
+        }
+
+        try {
+            const token = readAccessToken(request);
+            if (!token) {
+                return tokenRequired();
+            }
+
+            const watch = await getWatch(request.params.id, hashToken(token));
+            if (!watch) {
+                return notFound();
+            }
+
+            if (request.method === 'DELETE') {
+                await deleteWatch(watch.id);
+                context.log(`Deleted watch ${watch.id} for ${watch.repoUrl}`);
+                return { status: 204, headers: corsHeaders };
+            }
+            return jsonResponse(200, toPublicWatch(watch));
+        } catch (error) {
+            context.error('Failed to handle watch request:', error);
+            return storageErrorResponse(error);
+        }
+    }))
+});
+
+app.http('watchRun', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'watches/{id}/run',
+    handler: withRequestLogging(withCors(async (request, context) => {
+        if (request.method === 'OPTIONS') {
+            return { status: 200, headers: corsHeaders, body: '' };
+        }
+
+        try {
+            const token = readAccessToken(request);
+            if (!token) {
+                return tokenRequired();
+            }
+
+            const ownerTokenHash = hashToken(token);
+            const watch = await getWatch(request.params.id, ownerTokenHash);
+            if (!watch) {
+                return notFound();
+            }
+
+            const rateLimited = checkRateLimit(request, ownerTokenHash, context);
+            if (rateLimited) return rateLimited;
+
+            // Checked right before the job is created, with no await in between
+            if (countActiveJobs() >= MAX_CONCURRENT_SCANS) {
+                context.log(`Rejected watch run: ${MAX_CONCURRENT_SCANS} scans already running`);
+                return {
+                    status: 503,
+                    headers: { ...corsHeaders, 'Retry-After': String(BUSY_RETRY_AFTER_SECONDS) },
+                    body: JSON.stringify({
+                        error: 'Scanner busy',
+                        message: `The scanner is busy with other scans. Try again in ${BUSY_RETRY_AFTER_SECONDS} seconds.`,
+                        retryAfter: BUSY_RETRY_AFTER_SECONDS
+                    })
+                };
+            }
+
+            const { job, outcome, error } = startWatchRun(watch, context);
+            if (error) {
+                return errorResponse(409, 'Cannot scan repository', error);
+            }
+
+            // Deliberately not awaited: the job reports the scan, the watch its outcome
+            outcome.catch(runError => context.error(`Run of watch ${watch.id} failed:`, runError));
+
+            return jsonResponse(202, {
+                ...toJobStatus(job),
+                statusUrl: `${new URL(request.url).pathname.replace(/\/watches\/[^/]+\/run\/?$/, '/scan')}/${job.id}`
+            });
+        } catch (error) {
+            context.error('Failed to run watch:', error);
+            return storageErrorResponse(error);
+        }
+    }))
+});
+
+function checkRateLimit(request, ownerTokenHash, context) {
+    const rateLimit = consumeRateLimit({ ip: getClientIp(request), tokenHash: ownerTokenHash });
+    if (rateLimit.allowed) return null;
+
+    context.log(`Rate limit exceeded (${rateLimit.kind}), retry after ${rateLimit.retryAfterSeconds}s`);
+    return {
+        status: 429,
+        headers: { ...corsHeaders, 'Retry-After': String(rateLimit.retryAfterSeconds) },
+        body: JSON.stringify({
+            error: 'Too many requests',
+            message: `Scan limit of ${rateLimit.limit} per ${rateLimit.kind === 'token' ? 'token' : 'client'} reached.`,
+            retryAfter: rateLimit.retryAfterSeconds
+        })
+    };
+}
+
+function tokenRequired() {
+    return errorResponse(401, 'Access token required', 'Watched repositories belong to the access token in the Authorization header');
+}
+
+function notFound() {
+    return errorResponse(404, 'Watch not found', 'No watched repository with this id');
+}
+
+function storageErrorResponse(error) {
+    return {
+        status: 500,
+        headers: corsHeaders,
+        body: JSON.stringify({
+            error: 'Internal server error',
+            message: 'Failed to read or update the watched repositories. Please try again later.',
+            details: process.env.NODE_ENV === 'development' ? (error.stack || error.message) : undefined
+        })
+    };
+}
+
+function jsonResponse(status, body) {
+    return { status, headers: corsHeaders, body: JSON.stringify(body) };
+}
+
+function errorResponse(status, error, message) {
+    return jsonResponse(status, { error, message });
+}
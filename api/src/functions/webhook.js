@@ -0,0 +1,261 @@
+const { app } = require('@azure/functions');
+const crypto = require('crypto');
+const { resolveEngine } = require('../lib/engines');
+const { MAX_CONCURRENT_SCANS, BUSY_RETRY_AFTER_SECONDS, createJob, countActiveJobs } = require('../lib/jobs');
+const { hashToken } = require('../lib/credentials');
+const { parseRepositoryUrl } = require('../lib/providers');
+const { parseScanScope, MAX_DEPTH } = require('../lib/scanScope');
+const { isVerificationEnabled } = require('../lib/verifiers');
+const { isInspectionEnabled } = require('../lib/inspection');
+const { runScanJob } = require('../lib/scanPipeline');
+const { createCommitStatus, createPullRequestComment } = require('../lib/github');
+const { withRequestLogging } = require('../lib/http');
+
+// A push's `before` for a newly created branch
+const NULL_SHA = /^0+$/;
+const PULL_REQUEST_ACTIONS = ['opened', 'synchronize', 'reopened'];
+// Findings listed in a pull request comment; the rest are summarised
+const MAX_COMMENT_FINDINGS = 20;
+
+const jsonHeaders = { 'Content-Type': 'application/json' };
+
+/**
+ * GitHub webhook (`POST /webhook`) that scans pushed commits and pull
+ * requests as they arrive.
+ *
+ * Deliveries must be signed with GITHUB_WEBHOOK_SECRET (X-Hub-Signature-256);
+ * the endpoint refuses everything while the secret is not configured.
+ *
+ * - `push` to a branch scans the commits between `before` and `after` (only
+ *   the pushed commits for a new branch)
+ * - `pull_request` (opened, synchronize, reopened) scans the pull request's
+ *   commits on top of its base
+ *
+ * Scans run as regular background jobs with GITHUB_TOKEN as their access
+ * token and are recorded in the scan history. With WEBHOOK_COMMIT_STATUS=true
+ * the outcome is posted as a commit status, and with WEBHOOK_PR_COMMENT=true
+ * pull requests with findings get a comment listing them (GitHub API at
+ * GITHUB_API_URL). Secret values never leave the scanner.
+ */
+app.http('webhook', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'webhook',
+    handler: withRequestLogging(async (request, context) => {
+        const secret = process.env.GITHUB_WEBHOOK_SECRET;
+        if (!secret) {
+            context.log('Rejected webhook delivery: GITHUB_WEBHOOK_SECRET is not configured');
+            return errorResponse(503, 'Webhook not configured', 'The webhook secret is not configured on the server');
+        }
+
+        // The signature covers the exact bytes GitHub sent, so verify before parsing
+        const body = await request.text();
+        if (!hasValidSignature(body, request.headers.get('x-hub-signature-256'), secret)) {
+            context.log('Rejected webhook delivery with a missing or invalid signature');
+            return errorResponse(401, 'Invalid signature', 'The X-Hub-Signature-256 header does not match the payload');
+        }
+
+        const event = request.headers.get('x-github-event');
+        const delivery = request.headers.get('x-github-delivery');
+        let payload;
+        try {
+            payload = parsePayload(body, request.headers.get('content-type'));
+        } catch {
+            return errorResponse(400, 'Invalid payload', 'The webhook payload is not valid JSON');
+        }
+
+        context.log(`Received GitHub ${event} event (delivery ${delivery})`);
+        if (event === 'ping') {
+            return { status: 200, headers: jsonHeaders, body: JSON.stringify({ message: 'pong' }) };
+        }
+
+        const target = describeScanTarget(event, payload);
+        if (target.ignored) {
+            context.log(`Ignoring ${event} event: ${target.ignored}`);
+            return { status: 200, headers: jsonHeaders, body: JSON.stringify({ ignored: target.ignored }) };
+        }
+        if (target.error) {
+            return errorResponse(400, 'Unsupported event payload', target.error);
+        }
+
+        // GitHub shows failed deliveries for redelivery, so a busy scanner is not an outage
+        if (countActiveJobs() >= MAX_CONCURRENT_SCANS) {
+            context.log(`Rejected webhook scan: ${MAX_CONCURRENT_SCANS} scans already running`);
+            return {
+                status: 503,
+                headers: { ...jsonHeaders, 'Retry-After': String(BUSY_RETRY_AFTER_SECONDS) },
+                body: JSON.stringify({ error: 'Scanner busy', retryAfter: BUSY_RETRY_AFTER_SECONDS })
+            };
+        }
+
+        const token = process.env.GITHUB_TOKEN || null;
+        const ownerTokenHash = hashToken(token);
+        const engine = resolveEngine();
+        if (!engine) {
+            return errorResponse(500, 'Invalid engine', 'The SCAN_ENGINE app setting names an unknown engine');
+        }
+
+        const job = createJob({ repoUrl: target.repository.url, ownerTokenHash, revealSecrets: false });
+        context.log(`Queued webhook scan job ${job.id} for ${target.repository.url} at ${target.sha.slice(0, 7)} (${target.scope.since ? `since ${target.scope.since.slice(0, 7)}` : `last ${target.scope.depth} commits`})`);
+
+        await postCommitStatus(target, { state: 'pending', description: 'Scanning for secrets' }, context);
+
+        // Deliberately not awaited: GitHub expects an answer within 10 seconds
+        runScanJob(job.id, {
+            repository: target.repository,
+            engine,
+            scope: target.scope,
+            verify: isVerificationEnabled(),
+            inspect: isInspectionEnabled(),
+            token,
+            ownerTokenHash
+        }, context).then(result => reportToGitHub(target, result, context));
+
+        return {
+            status: 202,
+            headers: jsonHeaders,
+            body: JSON.stringify({
+                jobId: job.id,
+                state: job.state,
+                statusUrl: `/api/scan/${job.id}`
+            })
+        };
+    })
+});
+
+/**
+ * Constant-time check of the `sha256=<hex>` HMAC GitHub signs deliveries with
+ */
+function hasValidSignature(body, header, secret) {
+    if (!header) return false;
+
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+    const provided = Buffer.from(header);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Webhooks send JSON, or the same JSON in a `payload` form field
+ */
+function parsePayload(body, contentType) {
+    if (/application\/x-www-form-urlencoded/i.test(contentType || '')) {
+        return JSON.parse(new URLSearchParams(body).get('payload'));
+    }
+    return JSON.parse(body);
+}
+
+/**
+ * What an event asks to scan: { repository, scope, sha, statusRepository,
+ * pullRequest } or { ignored } for events that need no scan, or { error }
+ */
+function describeScanTarget(event, payload) {
+    if (event === 'push') {
+        if (!payload.ref || !payload.ref.startsWith('refs/heads/')) return { ignored: 'not a branch push' };
+        if (payload.deleted) return { ignored: 'branch deleted' };
+
+        const repository = payload.repository && parseRepositoryUrl(payload.repository.html_url);
+        if (!repository) return { error: 'The push does not name a supported repository' };
+
+        const branch = payload.ref.slice('refs/heads/'.length);
+        // A new branch has no previous head; scan the commits the push brought
+        const { scope, error } = NULL_SHA.test(payload.before || '')
+            ? parseScanScope({ branch, depth: Math.min(Math.max((payload.commits || []).length, 1), MAX_DEPTH) })
+            : parseScanScope({ branch, baseCommit: payload.before });
+        if (error) return { error };
+
+        return { repository, scope, sha: payload.after, statusRepository: repository, pullRequest: null };
+    }
+
+    if (event === 'pull_request') {
+        const pullRequest = payload.pull_request;
+        if (!PULL_REQUEST_ACTIONS.includes(payload.action)) return { ignored: `pull request ${payload.action}` };
+        if (!pullRequest || !pullRequest.head.repo) return { ignored: 'pull request source repository is gone' };
+
+        // Clone the source (possibly a fork); statuses and comments go to the base repository
+        const repository = parseRepositoryUrl(pullRequest.head.repo.html_url);
+        const statusRepository = payload.repository && parseRepositoryUrl(payload.repository.html_url);
+        if (!repository || !statusRepository) return { error: 'The pull request does not name a supported repository' };
+
+        const { scope, error } = parseScanScope({ branch: pullRequest.head.ref, baseCommit: pullRequest.base.sha });
+        if (error) return { error };
+
+        return { repository, scope, sha: pullRequest.head.sha, statusRepository, pullRequest: pullRequest.number };
+    }
+
+    return { ignored: `unsupported event ${event}` };
+}
+
+/**
+ * Post the scan outcome to GitHub as configured
+ */
+async function reportToGitHub(target, result, context) {
+    if (!result) {
+        await postCommitStatus(target, { state: 'error', description: 'Secret scan failed' }, context);
+        return;
+    }
+
+    const count = result.totalSecrets;
+    await postCommitStatus(target, {
+        state: count > 0 ? 'failure' : 'success',
+        description: count > 0
+            ? `${count} potential secret${count === 1 ? '' : 's'} found`
+            : 'No secrets found'
+    }, context);
+
+    if (target.pullRequest && count > 0 && process.env.WEBHOOK_PR_COMMENT === 'true') {
+        try {
+            await createPullRequestComment(target.statusRepository, target.pullRequest, formatComment(result), process.env.GITHUB_TOKEN);
+            context.log(`Commented on pull request #${target.pullRequest} of ${target.statusRepository.url}`);
+        } catch (error) {
+            context.log(`Failed to comment on pull request #${target.pullRequest}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Set the commit status when WEBHOOK_COMMIT_STATUS is enabled; failures are
+ * only logged since the scan itself is recorded either way
+ */
+async function postCommitStatus(target, { state, description }, context) {
+    if (process.env.WEBHOOK_COMMIT_STATUS !== 'true') return;
+
+    try {
+        await createCommitStatus(target.statusRepository, target.sha, {
+            state,
+            description,
+            context: process.env.WEBHOOK_STATUS_CONTEXT || 'secretsniffer'
+        }, process.env.GITHUB_TOKEN);
+    } catch (error) {
+        context.log(`Failed to set commit status on ${target.sha.slice(0, 7)}: ${error.message}`);
+    }
+}
+
+/**
+ * Markdown comment listing a pull request's findings, without secret values
+ */
+function formatComment(result) {
+    const rows = result.findings.slice(0, MAX_COMMENT_FINDINGS).map(finding => {
+        const location = `\`${finding.file}:${finding.lineNumber}\``;
+        return `| ${finding.severity} | ${finding.secretType} | ${finding.links.file ? `[${location}](${finding.links.file})` : location} | ${finding.commit} |`;
+    });
+    const more = result.findings.length - rows.length;
+
+    return [
+        `### SecretSniffer found ${result.totalSecrets} potential secret${result.totalSecrets === 1 ? '' : 's'} in this pull request`,
+        '',
+        '| Severity | Type | Location | Commit |',
+        '| --- | --- | --- | --- |',
+        ...rows,
+        ...(more > 0 ? ['', `…and ${more} more.`] : []),
+        '',
+        'Secret values are not shown. Rotate any real credential: removing it in a later commit leaves it in the history.'
+    ].join('\n');
+}
+
+function errorResponse(status, error, message) {
+    return {
+        status,
+        headers: jsonHeaders,
+        body: JSON.stringify({ error, message })
+    };
+}
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const tar = require('tar');
+const { MAX_REPO_SIZE_BYTES, formatSize } = require('./repoSize');
+
+/**
+ * Uploaded archives (.zip, .tar.gz) scanned in place of a repository, and
+ * archives committed to a repository read for deep inspection.
+ *
+ * Extraction only ever writes regular files and directories below the target
+ * directory: entries with absolute or `..` paths fail the upload (zip-slip),
+ * links are skipped, and the number of entries and the extracted size are
+ * capped (MAX_ARCHIVE_ENTRIES, MAX_REPO_SIZE_MB) against archive bombs.
+ * Reading entries into memory (readArchiveEntries) writes nothing and stops
+ * at the budget it is given.
+ */
+
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB, 10) || 50) * 1024 * 1024;
+const MAX_ARCHIVE_ENTRIES = parseInt(process.env.MAX_ARCHIVE_ENTRIES, 10) || 20000;
+
+const ARCHIVE_EXTENSIONS = ['.zip', '.tar.gz', '.tgz'];
+
+/**
+ * Archive type from the content's magic bytes: 'zip', 'tar.gz', 'tar' or null
+ */
+function detectArchiveType(buffer) {
+    if (buffer.length >= 4 && buffer[0] === 0x50 && buffer[1] === 0x4b &&
+        ((buffer[2] === 0x03 && buffer[3] === 0x04) || (buffer[2] === 0x05 && buffer[3] === 0x06))) {
+        return 'zip';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        return 'tar.gz';
+    }
+    // POSIX and GNU tar headers carry "ustar" at offset 257
+    if (buffer.length >= 262 && buffer.toString('latin1', 257, 262) === 'ustar') {
+        return 'tar';
+    }
+    return null;
+}
+
+/**
+ * Error for a rejected archive, with the message and status shown to the uploader
+ */
+function archiveError(message, status = 400) {
+    const error = new Error(message);
+    error.publicMessage = message;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Extract an archive into `destDir`. Resolves with { files, bytes }; rejects
+ * with an archiveError for unsafe or oversized archives.
+ */
+async function extractArchive(buffer, destDir) {
+    const type = detectArchiveType(buffer);
+    if (type === 'zip') return extractZip(buffer, destDir);
+    if (type === 'tar.gz') return extractTarGz(buffer, destDir);
+    throw archiveError('Only .zip and .tar.gz archives are supported');
+}
+
+/**
+ * Absolute path of an entry below the root, or null if it would escape it
+ */
+function resolveInside(root, entryName) {
+    const target = path.resolve(root, entryName);
+    return target === root || target.startsWith(root + path.sep) ? target : null;
+}
+
+/**
+ * Running totals shared by both formats
+ */
+function createLimits() {
+    const totals = { files: 0, bytes: 0 };
+    return {
+        totals,
+        addEntry() {
+            if (++totals.files > MAX_ARCHIVE_ENTRIES) {
+                throw archiveError(`The archive has more than ${MAX_ARCHIVE_ENTRIES} entries`, 413);
+            }
+        },
+        addBytes(count) {
+            totals.bytes += count;
+            if (totals.bytes > MAX_REPO_SIZE_BYTES) {
+                throw archiveError(`The extracted archive is larger than ${formatSize(MAX_REPO_SIZE_BYTES)}`, 413);
+            }
+        }
+    };
+}
+
+async function extractZip(buffer, destDir) {
+    const root = path.resolve(destDir);
+    const limits = createLimits();
+
+    let zipFile;
+    try {
+        // yauzl rejects absolute paths, backslashes and `..` segments in entry names
+        zipFile = await yauzl.fromBufferPromise(buffer, { lazyEntries: true, validateEntrySizes: true });
+    } catch (error) {
+        throw archiveError(`The zip archive is invalid: ${error.message}`);
+    }
+
+    return new Promise((resolve, reject) => {
+        const fail = (error) => {
+            zipFile.close();
+            reject(error.status ? error : archiveError(`The zip archive is invalid: ${error.message}`));
+        };
+
+        zipFile.on('error', fail);
+        zipFile.on('end', () => resolve(limits.totals));
+        zipFile.on('entry', async (entry) => {
+            try {
+                limits.addEntry();
+                const target = resolveInside(root, entry.fileName);
+                if (!target) throw archiveError(`The archive entry ${entry.fileName} points outside the archive`);
+
+                // Unix mode lives in the upper half of the external attributes
+                const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+                if (entry.fileName.endsWith('/')) {
+                    await fs.promises.mkdir(target, { recursive: true });
+                } else if (mode === 0o120000) {
+                    // Symbolic link: never followed or created
+                } else {
+                    limits.addBytes(entry.uncompressedSize);
+                    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+                    const stream = await new Promise((resolveStream, rejectStream) => {
+                        zipFile.openReadStream(entry, (error, readStream) => (error ? rejectStream(error) : resolveStream(readStream)));
+                    });
+                    await pipeline(stream, fs.createWriteStream(target, { flags: 'wx' }));
+                }
+                zipFile.readEntry();
+            } catch (error) {
+                fail(error);
+            }
+        });
+
+        zipFile.readEntry();
+    });
+}
+
+async function extractTarGz(buffer, destDir) {
+    const root = path.resolve(destDir);
+    const limits = createLimits();
+    let rejected = null;
+
+    const extractor = tar.x({
+        cwd: root,
+        // Unsafe paths (absolute, `..`) become errors rather than warnings
+        strict: true,
+        preservePaths: false,
+        filter: (entryPath, entry) => {
+            if (rejected) return false;
+            try {
+                limits.addEntry();
+                if (!resolveInside(root, entryPath)) {
+                    throw archiveError(`The archive entry ${entryPath} points outside the archive`);
+                }
+                if (entry.type === 'File' || entry.type === 'OldFile' || entry.type === 'ContiguousFile') {
+                    limits.addBytes(entry.size);
+                    return true;
+                }
+                // Links and device files are skipped
+                return entry.type === 'Directory';
+            } catch (error) {
+                rejected = error;
+                return false;
+            }
+        }
+    });
+
+    try {
+        await pipeline(Readable.from([buffer]), extractor);
+    } catch (error) {
+        throw rejected || archiveError(`The tar.gz archive is invalid: ${error.message}`);
+    }
+    if (rejected) throw rejected;
+    return limits.totals;
+}
+
+/**
+ * Regular files of an archive (zip, tar or tar.gz) as [{ name, data }], read
+ * into memory. `budget.take(bytes)` is asked before each file and reading
+ * stops, keeping what was read, once it refuses. Anything that is not an
+ * archive yields no files; a corrupt one rejects.
+ */
+async function readArchiveEntries(buffer, budget) {
+    const type = detectArchiveType(buffer);
+    if (type === 'zip') return readZipEntries(buffer, budget);
+    if (type === 'tar.gz' || type === 'tar') return readTarEntries(buffer, budget);
+    return [];
+}
+
+async function readZipEntries(buffer, budget) {
+    const zipFile = await yauzl.fromBufferPromise(buffer, { lazyEntries: true, validateEntrySizes: true });
+    const files = [];
+
+    return new Promise((resolve, reject) => {
+        zipFile.on('error', reject);
+        zipFile.on('end', () => resolve(files));
+        zipFile.on('entry', async (entry) => {
+            try {
+                const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+                if (!entry.fileName.endsWith('/') && mode !== 0o120000) {
+                    if (!budget.take(entry.uncompressedSize)) {
+                        zipFile.close();
+                        resolve(files);
+                        return;
+                    }
+                    const stream = await zipFile.openReadStreamPromise(entry);
+                    files.push({ name: entry.fileName, data: await readStream(stream) });
+                }
+                zipFile.readEntry();
+            } catch (error) {
+                zipFile.close();
+                reject(error);
+            }
+        });
+
+        zipFile.readEntry();
+    });
+}
+
+async function readTarEntries(buffer, budget) {
+    const reads = [];
+    let exhausted = false;
+
+    // The parser recognises gzip compression by itself
+    const parser = new tar.Parser({
+        strict: true,
+        onReadEntry: (entry) => {
+            const isFile = entry.type === 'File' || entry.type === 'OldFile' || entry.type === 'ContiguousFile';
+            if (isFile && !exhausted && !budget.take(entry.size)) {
+                exhausted = true;
+            }
+            if (!isFile || exhausted) {
+                entry.resume();
+                return;
+            }
+            reads.push(readStream(entry).then(data => ({ name: entry.path, data })));
+        }
+    });
+
+    await pipeline(Readable.from([buffer]), parser);
+    return Promise.all(reads);
+}
+
+function readStream(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    MAX_ARCHIVE_ENTRIES,
+    ARCHIVE_EXTENSIONS,
+    detectArchiveType,
+    extractArchive,
+    readArchiveEntries
+};
@@ -0,0 +1,270 @@
+const { randomUUID } = require('crypto');
+const { JOB_TTL_MS, createJob, getJob, setJobState, waitForScanSlot } = require('./jobs');
+const { getEngineVersion } = require('./engines');
+const { loadAppRules } = require('./customRules');
+const { resolveRemoteHead, scanCacheKey, getCachedScan } = require('./scanCache');
+const { MAX_REPO_SIZE_BYTES, fetchRemoteRepositorySize, formatSize } = require('./repoSize');
+const { countBySeverity } = require('./history');
+const { redactResult } = require('./redact');
+const { runScanJob } = require('./scanPipeline');
+
+/**
+ * Bulk scans: one request covering many repositories (an owner's GitHub
+ * repositories or an explicit list).
+ *
+ * Every repository becomes a regular scan job, started only when one of the
+ * BULK_SCAN_CONCURRENCY slots is free so a large bulk scan never holds more
+ * than that many scans at once, and only when the instance-wide
+ * MAX_CONCURRENT_SCANS cap leaves room for it. Bulk scans live in memory alongside the jobs
+ * and expire with them; per-repository totals are kept on the bulk scan so
+ * the roll-up survives its jobs.
+ */
+
+const BULK_SCAN_CONCURRENCY = parseInt(process.env.BULK_SCAN_CONCURRENCY, 10) || 2;
+const MAX_BULK_REPOSITORIES = parseInt(process.env.BULK_MAX_REPOSITORIES, 10) || 100;
+// Secret types listed in the roll-up
+const TOP_SECRET_TYPES = 10;
+
+const bulkScans = new Map();
+
+/**
+ * Register a bulk scan of `repositories` ([{ repository, size }], size in
+ * bytes or null when unknown)
+ */
+function createBulkScan({ owner = null, repositories, truncated = false, ownerTokenHash = null }) {
+    pruneExpiredBulkScans();
+
+    const now = new Date().toISOString();
+    const bulkScan = {
+        id: randomUUID(),
+        owner,
+        state: 'running',
+        truncated,
+        ownerTokenHash,
+        createdAt: now,
+        updatedAt: now,
+        repositories: repositories.map(({ repository, size }) => ({
+            repository,
+            size,
+            jobId: null,
+            state: 'queued',
+            cached: false,
+            totalSecrets: null,
+            severityCounts: null,
+            secretTypes: null,
+            error: null
+        }))
+    };
+
+    bulkScans.set(bulkScan.id, bulkScan);
+    return bulkScan;
+}
+
+function getBulkScan(id) {
+    return bulkScans.get(id) || null;
+}
+
+/**
+ * Scan every repository of a bulk scan, BULK_SCAN_CONCURRENCY at a time.
+ * `options` are the shared scan options: { engine, scope, verify, inspect, token }.
+ */
+async function runBulkScan(bulkScan, options, context) {
+    let next = 0;
+    const worker = async () => {
+        while (next < bulkScan.repositories.length) {
+            const entry = bulkScan.repositories[next++];
+            try {
+                await scanEntry(entry, bulkScan, options, context);
+            } catch (error) {
+                context.log(`Bulk scan ${bulkScan.id}: ${entry.repository.url} failed: ${error.message}`);
+                finishEntry(entry, { state: 'failed', error: 'Failed to scan repository' });
+            }
+            bulkScan.updatedAt = new Date().toISOString();
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(BULK_SCAN_CONCURRENCY, bulkScan.repositories.length) }, worker));
+
+    bulkScan.state = 'done';
+    bulkScan.updatedAt = new Date().toISOString();
+    context.log(`Bulk scan ${bulkScan.id} finished ${bulkScan.repositories.length} repositories`);
+}
+
+/**
+ * Scan one repository of a bulk scan, answering from the scan cache when the
+ * repository has not changed
+ */
+async function scanEntry(entry, bulkScan, { engine, scope, verify, inspect, token }, context) {
+    const { repository } = entry;
+
+    const size = entry.size !== null ? entry.size : await fetchRemoteRepositorySize(repository, token);
+    if (size !== null && size > MAX_REPO_SIZE_BYTES) {
+        finishEntry(entry, {
+            state: 'skipped',
+            error: `The repository is ${formatSize(size)}; the maximum size that can be scanned is ${formatSize(MAX_REPO_SIZE_BYTES)}.`
+        });
+        return;
+    }
+
+    const { ownerTokenHash } = bulkScan;
+    const headCommit = await resolveRemoteHead(repository, scope, token);
+    const cacheKey = headCommit && scanCacheKey({
+        repository,
+        headCommit,
+        engine,
+        engineVersion: await getEngineVersion(engine),
+        scope,
+        customRules: await loadAppRules().catch(() => []),
+        allowlist: null,
+        baseline: null,
+        baseScanId: null,
+        verify,
+        inspect,
+        ownerTokenHash
+    });
+
+    const cachedResult = cacheKey ? await getCachedScan(cacheKey) : null;
+    if (cachedResult) {
+        const job = createJob({ repoUrl: repository.url, ownerTokenHash, revealSecrets: false, bulkScanId: bulkScan.id });
+        setJobState(job.id, 'done', { result: cachedResult });
+        entry.jobId = job.id;
+        finishEntry(entry, { state: 'done', cached: true, result: cachedResult });
+        return;
+    }
+
+    // Shares the scan slots with every other request on the instance
+    await waitForScanSlot();
+    const job = createJob({ repoUrl: repository.url, ownerTokenHash, revealSecrets: false, bulkScanId: bulkScan.id });
+    entry.jobId = job.id;
+
+    const result = await runScanJob(job.id, { repository, engine, scope, verify, inspect, token, ownerTokenHash, headCommit, cacheKey }, context);
+    finishEntry(entry, result
+        ? { state: 'done', result }
+        : { state: 'failed', error: getJob(job.id).error.message });
+}
+
+function finishEntry(entry, { state, cached = false, result = null, error = null }) {
+    entry.state = state;
+    entry.cached = cached;
+    entry.error = error;
+    if (result) {
+        entry.totalSecrets = result.totalSecrets;
+        entry.severityCounts = countBySeverity(result.findings);
+        entry.secretTypes = countSecretTypes(result.findings);
+    }
+}
+
+function countSecretTypes(findings) {
+    const counts = {};
+    for (const finding of findings) {
+        counts[finding.secretType] = (counts[finding.secretType] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Public view of a bulk scan: each repository's state and progress (live from
+ * its job while it runs) and the roll-up over the finished ones
+ */
+function toBulkScanStatus(bulkScan) {
+    const repositories = bulkScan.repositories.map(entry => {
+        const job = entry.jobId && entry.state !== 'done' && entry.state !== 'failed' ? getJob(entry.jobId) : null;
+        return {
+            repoUrl: entry.repository.url,
+            name: entry.repository.owner ? `${entry.repository.owner}/${entry.repository.name}` : entry.repository.name,
+            jobId: entry.jobId,
+            state: job ? job.state : entry.state,
+            progress: job ? job.progress : (entry.state === 'queued' ? 0 : 100),
+            cached: entry.cached,
+            totalSecrets: entry.totalSecrets,
+            severityCounts: entry.severityCounts,
+            error: entry.error
+        };
+    });
+
+    return {
+        id: bulkScan.id,
+        owner: bulkScan.owner,
+        state: bulkScan.state,
+        truncated: bulkScan.truncated,
+        createdAt: bulkScan.createdAt,
+        updatedAt: bulkScan.updatedAt,
+        progress: repositories.length > 0
+            ? Math.round(repositories.reduce((sum, entry) => sum + entry.progress, 0) / repositories.length)
+            : 100,
+        summary: summarizeBulkScan(bulkScan),
+        repositories
+    };
+}
+
+function summarizeBulkScan(bulkScan) {
+    const summary = {
+        repositories: bulkScan.repositories.length,
+        scanned: 0,
+        failed: 0,
+        skipped: 0,
+        withSecrets: 0,
+        totalSecrets: 0,
+        severityCounts: { critical: 0, high: 0, medium: 0, low: 0 },
+        secretTypes: []
+    };
+    const secretTypes = {};
+
+    for (const entry of bulkScan.repositories) {
+        if (entry.state === 'failed') summary.failed++;
+        if (entry.state === 'skipped') summary.skipped++;
+        if (entry.state !== 'done') continue;
+
+        summary.scanned++;
+        summary.totalSecrets += entry.totalSecrets;
+        if (entry.totalSecrets > 0) summary.withSecrets++;
+        for (const [severity, count] of Object.entries(entry.severityCounts)) {
+            summary.severityCounts[severity] = (summary.severityCounts[severity] || 0) + count;
+        }
+        for (const [type, count] of Object.entries(entry.secretTypes)) {
+            secretTypes[type] = (secretTypes[type] || 0) + count;
+        }
+    }
+
+    summary.secretTypes = Object.entries(secretTypes)
+        .map(([type, count]) => ({ type, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, TOP_SECRET_TYPES);
+    return summary;
+}
+
+/**
+ * Aggregated report of a finished bulk scan: the status plus every scanned
+ * repository's redacted findings (from its job, while the job is kept)
+ */
+function toBulkScanReport(bulkScan) {
+    const status = toBulkScanStatus(bulkScan);
+    return {
+        ...status,
+        repositories: status.repositories.map(entry => {
+            const job = entry.jobId ? getJob(entry.jobId) : null;
+            return {
+                ...entry,
+                findings: job && job.state === 'done' ? redactResult(job.result).findings : null
+            };
+        })
+    };
+}
+
+function pruneExpiredBulkScans() {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    for (const [id, bulkScan] of bulkScans) {
+        if (bulkScan.state === 'done' && Date.parse(bulkScan.updatedAt) < cutoff) {
+            bulkScans.delete(id);
+        }
+    }
+}
+
+module.exports = {
+    MAX_BULK_REPOSITORIES,
+    createBulkScan,
+    getBulkScan,
+    runBulkScan,
+    toBulkScanStatus,
+    toBulkScanReport
+};
@@ -0,0 +1,120 @@
+const fs = require('fs').promises;
+const path = require('path');
+const simpleGit = require('simple-git');
+const { redactSnippet } = require('./redact');
+
+/**
+ * Code context for findings: the lines around each finding, read from the
+ * file as of the finding's commit while the clone still exists.
+ *
+ * Every secret found in the same file is masked in the context, so it is as
+ * safe to hand out as a redacted snippet.
+ */
+
+// Lines shown above and below the finding
+const CONTEXT_LINES = 3;
+const MAX_LINE_LENGTH = 300;
+// Distinct file versions read per scan, to bound the time spent on huge reports
+const MAX_FILES = 500;
+
+/**
+ * Copies of formatted findings with a `context` of { startLine, lines }
+ * (null when the file could not be read)
+ */
+async function addCodeContext(repoPath, findings, context) {
+    const git = simpleGit(repoPath);
+    const fileContents = new Map();
+
+    // Secrets per file version, so neighbouring findings are masked as well
+    const secretsByVersion = new Map();
+    for (const finding of findings) {
+        const key = versionKey(finding);
+        if (!secretsByVersion.has(key)) secretsByVersion.set(key, new Set());
+        if (finding.secret) secretsByVersion.get(key).add(finding.secret);
+    }
+
+    const readVersion = (finding) => {
+        const key = versionKey(finding);
+        if (!fileContents.has(key)) {
+            fileContents.set(key, fileContents.size < MAX_FILES && contextFile(finding)
+                ? readFileVersion(git, repoPath, finding).catch(() => null)
+                : Promise.resolve(null));
+        }
+        return fileContents.get(key);
+    };
+
+    const withContext = [];
+    for (const finding of findings) {
+        const content = await readVersion(finding);
+        withContext.push({
+            ...finding,
+            context: content === null
+                ? null
+                : extractContext(content, finding.lineNumber, secretsByVersion.get(versionKey(finding)))
+        });
+    }
+
+    const missing = withContext.filter(finding => !finding.context).length;
+    if (missing > 0) {
+        context.log(`Code context unavailable for ${missing} finding(s)`);
+    }
+    return withContext;
+}
+
+function versionKey(finding) {
+    return `${finding.commit || ''}:${contextFile(finding)}`;
+}
+
+/**
+ * File whose lines surround the finding. Deep inspection findings only have
+ * one when the secret is written out in the file itself (a configuration
+ * value); the lines of archives, notebook cells and encoded strings are not
+ * the file's.
+ */
+function contextFile(finding) {
+    if (!finding.inspection) return finding.file;
+    return finding.inspection.kind === 'config' ? finding.inspection.path : null;
+}
+
+/**
+ * File content at the finding's commit, or from disk for findings without one
+ */
+async function readFileVersion(git, repoPath, finding) {
+    const file = contextFile(finding);
+    if (!finding.commit) {
+        const filePath = path.resolve(repoPath, file);
+        // Never follow a reported path out of the scanned directory
+        if (!filePath.startsWith(path.resolve(repoPath) + path.sep)) return null;
+        return fs.readFile(filePath, 'utf8');
+    }
+    return git.show([`${finding.commit}:${file}`]);
+}
+
+function extractContext(content, lineNumber, secrets) {
+    const lines = content.split(/\r?\n/);
+    if (!lineNumber || lineNumber > lines.length) return null;
+
+    const start = Math.max(1, lineNumber - CONTEXT_LINES);
+    const end = Math.min(lines.length, lineNumber + CONTEXT_LINES);
+
+    return {
+        startLine: start,
+        lines: lines.slice(start - 1, end).map(line => truncate(redactLine(line, secrets)))
+    };
+}
+
+function redactLine(line, secrets) {
+    let redacted = line;
+    for (const secret of secrets) {
+        redacted = redactSnippet(redacted, secret);
+    }
+    return redacted;
+}
+
+function truncate(line) {
+    return line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH)}…` : line;
+}
+
+module.exports = {
+    addCodeContext
+};
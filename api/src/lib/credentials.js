@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+/**
+ * Helpers for per-request git credentials.
+ *
+ * Tokens only ever live in memory for the duration of a scan: they are handed
+ * to git through environment variables (never the clone URL or process args)
+ * and scrubbed from anything that may end up in logs or responses. The one
+ * exception are the tokens of watched repositories, which are stored
+ * encrypted with WATCH_TOKEN_KEY (see sealToken) so scheduled scans run with
+ * their owner's credentials.
+ */
+
+/**
+ * Read an access token from the Authorization header (`Bearer <token>` or `token <token>`)
+ */
+function readAccessToken(request) {
+    const header = request.headers.get('authorization');
+    if (!header) return null;
+
+    const match = /^(?:bearer|token)\s+(\S+)\s*$/i.exec(header);
+    return match ? match[1] : null;
+}
+
+/**
+ * Environment for git commands that authenticates HTTPS remotes with the token.
+ * `username` is the host-specific user paired with the token (see providers.js).
+ */
+function gitAuthEnv(token, username = 'x-access-token') {
+    const env = {
+        ...process.env,
+        // Fail instead of waiting for credentials on a terminal that does not exist
+        GIT_TERMINAL_PROMPT: '0'
+    };
+
+    if (token) {
+        const basic = Buffer.from(`${username}:${token}`).toString('base64');
+        env.GIT_CONFIG_COUNT = '1';
+        env.GIT_CONFIG_KEY_0 = 'http.extraHeader';
+        env.GIT_CONFIG_VALUE_0 = `Authorization: Basic ${basic}`;
+    }
+
+    return env;
+}
+
+/**
+ * Hash identifying the token, used to tie jobs to the caller that created them
+ */
+function hashToken(token) {
+    return token ? crypto.createHash('sha256').update(token).digest('hex') : null;
+}
+
+/**
+ * Whether the request carries the reveal key (X-Reveal-Key header) that
+ * authorizes returning full secret values. Always false when the
+ * SECRET_REVEAL_KEY app setting is not configured.
+ */
+function isRevealAuthorized(request) {
+    const expected = process.env.SECRET_REVEAL_KEY;
+    const provided = request.headers.get('x-reveal-key');
+    if (!expected || !provided) return false;
+
+    // Compare digests so the comparison is constant-time regardless of length
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(expected), digest(provided));
+}
+
+/**
+ * Whether the request carries the METRICS_TOKEN app setting as its bearer
+ * token, which entitles monitoring to operational details. Always false when
+ * the setting is not configured.
+ */
+function isMetricsAuthorized(request) {
+    const expected = process.env.METRICS_TOKEN;
+    const provided = readAccessToken(request);
+    if (!expected || !provided) return false;
+
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(expected), digest(provided));
+}
+
+/**
+ * Encrypt a token for storage (AES-256-GCM with a key derived from the
+ * WATCH_TOKEN_KEY app setting). Null when no key is configured: tokens are
+ * then never stored.
+ */
+function sealToken(token) {
+    const key = storageKey();
+    if (!key || !token) return null;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt a token sealed with sealToken; throws if WATCH_TOKEN_KEY is missing
+ * or has changed since
+ */
+function openToken(sealed) {
+    const key = storageKey();
+    if (!key) {
+        throw new Error('WATCH_TOKEN_KEY is not configured');
+    }
+
+    const [iv, tag, data] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+function storageKey() {
+    const secret = process.env.WATCH_TOKEN_KEY;
+    return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+}
+
+/**
+ * Remove every representation of the token from a piece of text
+ */
+function scrubToken(text, token) {
+    if (!text || !token) return text;
+
+    const variants = [token, encodeURIComponent(token)];
+
+    return variants.reduce((result, variant) => result.split(variant).join('***'), String(text));
+}
+
+module.exports = {
+    readAccessToken,
+    gitAuthEnv,
+    hashToken,
+    isRevealAuthorized,
+    isMetricsAuthorized,
+    sealToken,
+    openToken,
+    scrubToken
+};
@@ -0,0 +1,150 @@
+const fs = require('fs').promises;
+const TOML = require('smol-toml');
+const { compileRE2, countCaptureGroups } = require('./patterns');
+
+/**
+ * Custom detection rules supplied per scan or by the app-level rules file
+ * (CUSTOM_RULES_FILE app setting, JSON: { "rules": [...] }).
+ *
+ * A custom rule has an id, a regex (capture group 1 is the secret, if any),
+ * optional keywords and entropy threshold, and the friendly type name and
+ * severity used in results. Custom rules extend the built-in ones and
+ * replace built-in rules with the same id.
+ *
+ * Rule regexes come from callers, so they are compiled with RE2 (the engine
+ * Gitleaks uses as well), which matches in linear time: a pattern like
+ * `(a+)+$` cannot stall the instance on a crafted line. Compiled patterns
+ * are shared between scans (see patterns.js).
+ */
+
+const SEVERITIES = ['high', 'medium', 'low'];
+const MAX_RULES = 100;
+const MAX_REGEX_LENGTH = 500;
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+// Constructs Gitleaks' RE2 engine does not support, so rules behave the same in both engines
+const UNSUPPORTED_REGEX = /\(\?<?[=!]|\\[1-9]/;
+
+let appRulesPromise = null;
+
+/**
+ * Validate and compile custom rules. Returns { rules } or { error }.
+ */
+function parseCustomRules(input, source = 'request') {
+    if (input === undefined || input === null) return { rules: [] };
+    if (!Array.isArray(input)) {
+        return { error: `Custom rules from ${source} must be an array` };
+    }
+    if (input.length > MAX_RULES) {
+        return { error: `At most ${MAX_RULES} custom rules are allowed` };
+    }
+
+    const rules = [];
+    for (const [index, rule] of input.entries()) {
+        const label = `Custom rule ${rule && rule.id ? `'${rule.id}'` : `#${index + 1}`} from ${source}`;
+
+        if (!rule || typeof rule !== 'object') {
+            return { error: `${label} must be an object` };
+        }
+        if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+            return { error: `${label} needs an id of letters, digits, '.', '_' or '-'` };
+        }
+        if (typeof rule.regex !== 'string' || !rule.regex || rule.regex.length > MAX_REGEX_LENGTH) {
+            return { error: `${label} needs a regex of at most ${MAX_REGEX_LENGTH} characters` };
+        }
+        if (UNSUPPORTED_REGEX.test(rule.regex)) {
+            return { error: `${label} uses lookarounds or backreferences, which are not supported` };
+        }
+        if (rule.keywords !== undefined &&
+            (!Array.isArray(rule.keywords) || rule.keywords.some(keyword => typeof keyword !== 'string'))) {
+            return { error: `${label} keywords must be an array of strings` };
+        }
+        if (rule.entropy !== undefined && (typeof rule.entropy !== 'number' || rule.entropy < 0 || rule.entropy > 8)) {
+            return { error: `${label} entropy must be a number between 0 and 8` };
+        }
+        if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+            return { error: `${label} severity must be one of ${SEVERITIES.join(', ')}` };
+        }
+
+        let regex;
+        try {
+            regex = compileRE2(rule.regex, 'u');
+        } catch (error) {
+            return { error: `${label} has an invalid regex: ${error.message}` };
+        }
+
+        rules.push({
+            id: rule.id,
+            description: rule.description || rule.type || rule.id,
+            regex,
+            keywords: (rule.keywords || []).map(keyword => keyword.toLowerCase()),
+            entropy: rule.entropy,
+            type: rule.type || null,
+            severity: rule.severity || null,
+            custom: true
+        });
+    }
+
+    return { rules };
+}
+
+/**
+ * Rules from the CUSTOM_RULES_FILE app setting, read once per instance.
+ * An invalid file fails loudly since it is operator configuration.
+ */
+function loadAppRules() {
+    if (!appRulesPromise) {
+        appRulesPromise = (async () => {
+            const rulesFile = process.env.CUSTOM_RULES_FILE;
+            if (!rulesFile) return [];
+
+            const config = JSON.parse(await fs.readFile(rulesFile, 'utf8'));
+            const { rules, error } = parseCustomRules(config.rules, rulesFile);
+            if (error) throw new Error(error);
+            return rules;
+        })();
+        // Let a fixed file be picked up on the next scan
+        appRulesPromise.catch(() => { appRulesPromise = null; });
+    }
+    return appRulesPromise;
+}
+
+/**
+ * Combine rule lists; later lists replace earlier rules with the same id
+ */
+function mergeRules(...ruleLists) {
+    const merged = new Map();
+    for (const rule of ruleLists.flat()) {
+        merged.set(rule.id, rule);
+    }
+    return [...merged.values()];
+}
+
+/**
+ * Gitleaks TOML config that keeps the default rules and adds the custom ones
+ */
+function toGitleaksConfig(rules) {
+    return TOML.stringify({
+        title: 'SecretSniffer custom rules',
+        extend: { useDefault: true },
+        rules: rules.map(rule => {
+            const entry = {
+                id: rule.id,
+                description: rule.description,
+                regex: rule.regex.source,
+                // Report capture group 1 as the secret when the regex has one
+                secretGroup: countCaptureGroups(rule.regex.source) > 0 ? 1 : 0
+            };
+            if (rule.keywords.length > 0) entry.keywords = rule.keywords;
+            if (rule.entropy !== undefined) entry.entropy = rule.entropy;
+            return entry;
+        })
+    });
+}
+
+module.exports = {
+    SEVERITIES,
+    parseCustomRules,
+    loadAppRules,
+    mergeRules,
+    toGitleaksConfig
+};
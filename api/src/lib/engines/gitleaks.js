@@ -0,0 +1,147 @@
+const { spawn, execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { toGitleaksConfig } = require('../customRules');
+
+// Large repositories need more than a minute; keep below functionTimeout in host.json
+const SCAN_TIMEOUT_MS = parseInt(process.env.SCAN_TIMEOUT_MS, 10) || 9 * 60 * 1000;
+// Version and readiness checks must answer quickly, even with a hung daemon
+const CHECK_TIMEOUT_MS = 15000;
+const GITLEAKS_IMAGE = process.env.GITLEAKS_IMAGE || 'zricethez/gitleaks:latest';
+
+/**
+ * Run Gitleaks scan on the cloned repository using Docker.
+ * `options.revisions` is forwarded to Gitleaks' `git log` through --log-opts,
+ * `options.noGit` scans the files on disk instead of the history and
+ * `options.customRules` are added to Gitleaks' default rules via a generated config.
+ */
+async function runGitleaksScan(repoPath, context, options = {}) {
+    const customRules = options.customRules || [];
+    if (customRules.length === 0) {
+        return runGitleaksContainer(repoPath, null, context, options);
+    }
+
+    const configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gitleaks-config-'));
+    try {
+        await fs.writeFile(path.join(configDir, 'gitleaks.toml'), toGitleaksConfig(customRules));
+        context.log(`Running Gitleaks with ${customRules.length} custom rule(s)`);
+        return await runGitleaksContainer(repoPath, configDir, context, options);
+    } finally {
+        await fs.rm(configDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Start the Gitleaks container, optionally mounting a config directory
+ */
+async function runGitleaksContainer(repoPath, configDir, context, options) {
+    return new Promise((resolve, reject) => {
+        context.log('Starting Gitleaks scan via Docker');
+        const args = [
+            'run',
+            '--rm',
+            '-v', `${repoPath}:/repo`,
+            ...(configDir ? ['-v', `${configDir}:/config:ro`] : []),
+            GITLEAKS_IMAGE,
+            'detect',
+            '--source', '/repo',
+            '--report-format', 'json'
+        ];
+        if (configDir) {
+            args.push('--config', '/config/gitleaks.toml');
+        }
+        if (options.noGit) {
+            args.push('--no-git');
+        } else if (options.revisions) {
+            args.push(`--log-opts=${options.revisions.join(' ')}`);
+        }
+
+        let output = '';
+        let errorOutput = '';
+        let timedOut = false;
+
+        const dockerProcess = spawn('docker', args);
+
+        const timeout = setTimeout(() => {
+            timedOut = true;
+            dockerProcess.kill();
+            context.log('Gitleaks scan timed out');
+            reject(new Error('Gitleaks scan timed out'));
+        }, SCAN_TIMEOUT_MS);
+
+        dockerProcess.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+
+        dockerProcess.stderr.on('data', (data) => {
+            errorOutput += data.toString();
+        });
+
+        dockerProcess.on('close', (code) => {
+            clearTimeout(timeout);
+            if (timedOut) return;
+            context.log(`Gitleaks Docker process exited with code ${code}`);
+            if (code === 0) {
+                // No secrets found
+                resolve('[]');
+            } else if (code === 1) {
+                // Secrets found
+                resolve(output);
+            } else {
+                context.log('Gitleaks Docker error output:', errorOutput);
+                reject(new Error(`Gitleaks Docker scan failed with code ${code}: ${errorOutput}`));
+            }
+        });
+
+        dockerProcess.on('error', (error) => {
+            clearTimeout(timeout);
+            context.log('Failed to start Docker process:', error);
+            reject(new Error(`Failed to start Docker: ${error.message}`));
+        });
+    });
+}
+
+/**
+ * Gitleaks version reported by the image (which can change under the same tag)
+ */
+async function getGitleaksVersion() {
+    const output = await runDocker(['run', '--rm', GITLEAKS_IMAGE, 'version']);
+    return output.replace(/^v/, '');
+}
+
+/**
+ * Readiness details: the Docker daemon answers and the image is pulled, so a
+ * scan does not start with a download
+ */
+async function checkGitleaksAvailable() {
+    const daemon = await runDocker(['version', '--format', '{{.Server.Version}}']);
+    try {
+        await runDocker(['image', 'inspect', '--format', '{{.Id}}', GITLEAKS_IMAGE]);
+    } catch {
+        throw new Error(`The ${GITLEAKS_IMAGE} image is not available; pull it with docker pull ${GITLEAKS_IMAGE}`);
+    }
+    return { docker: daemon, image: GITLEAKS_IMAGE };
+}
+
+/**
+ * Output of a short docker command, rejecting with its error output
+ */
+function runDocker(args) {
+    return new Promise((resolve, reject) => {
+        execFile('docker', args, { timeout: CHECK_TIMEOUT_MS }, (error, stdout, stderr) => {
+            if (error) {
+                const message = error.code === 'ENOENT' ? 'Docker is not installed' : (stderr || error.message).trim();
+                reject(new Error(message));
+            } else {
+                resolve(stdout.trim());
+            }
+        });
+    });
+}
+
+module.exports = {
+    runGitleaksScan,
+    getGitleaksVersion,
+    checkGitleaksAvailable
+};
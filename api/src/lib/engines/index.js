@@ -0,0 +1,72 @@
+const { runGitleaksScan, getGitleaksVersion, checkGitleaksAvailable } = require('./gitleaks');
+const { runNativeScan } = require('./native');
+const { version } = require('../../../package.json');
+
+/**
+ * Available scan engines. Every engine resolves to findings in the Gitleaks
+ * JSON report shape (either the raw JSON string or the parsed array).
+ *
+ * `getVersion()` asks the engine for its version and `checkAvailable()`
+ * resolves with readiness details or rejects when the engine cannot scan.
+ */
+const engines = {
+    gitleaks: {
+        id: 'gitleaks',
+        name: 'Gitleaks',
+        getVersion: getGitleaksVersion,
+        checkAvailable: checkGitleaksAvailable,
+        scan: runGitleaksScan
+    },
+    native: {
+        id: 'native',
+        name: 'SecretSniffer',
+        getVersion: async () => version,
+        // Runs in process; it only needs git, which is checked on its own
+        checkAvailable: async () => ({ inProcess: true }),
+        scan: runNativeScan
+    }
+};
+
+const DEFAULT_ENGINE = 'gitleaks';
+// Re-asked now and then since an image tag can be updated underneath us
+const VERSION_TTL_MS = 10 * 60 * 1000;
+const UNKNOWN_VERSION = 'unknown';
+
+const versions = new Map();
+
+/**
+ * Pick the engine for a scan: explicit request value first, then the
+ * SCAN_ENGINE app setting, then the default. Returns null for unknown ids.
+ */
+function resolveEngine(requested) {
+    const id = String(requested || process.env.SCAN_ENGINE || DEFAULT_ENGINE).trim().toLowerCase();
+    return engines[id] || null;
+}
+
+/**
+ * Version reported by the engine, cached for VERSION_TTL_MS. Resolves with
+ * 'unknown' when the engine cannot tell, so a finished scan never fails on it.
+ */
+function getEngineVersion(engine) {
+    const cached = versions.get(engine.id);
+    if (cached && Date.now() - cached.checkedAt < VERSION_TTL_MS) {
+        return cached.version;
+    }
+
+    const pending = engine.getVersion().then(
+        (reported) => reported || UNKNOWN_VERSION,
+        () => {
+            // Failures are not cached; the next scan asks again
+            versions.delete(engine.id);
+            return UNKNOWN_VERSION;
+        }
+    );
+    versions.set(engine.id, { version: pending, checkedAt: Date.now() });
+    return pending;
+}
+
+module.exports = {
+    engines,
+    resolveEngine,
+    getEngineVersion
+};
@@ -0,0 +1,299 @@
+const simpleGit = require('simple-git');
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const { CachedRE2, compileRE2 } = require('../patterns');
+const { defaultRules, shannonEntropy } = require('../rules');
+const { mergeRules } = require('../customRules');
+
+// Lines longer than this are almost always minified bundles or data blobs
+const MAX_LINE_LENGTH = 10000;
+// Files larger than this are skipped when walking the working tree
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+// Prefix written by `git log --format` in front of every commit header
+const COMMIT_MARKER = '\u0000';
+
+/**
+ * Scan a repository for secrets without any external binary.
+ *
+ * Walks `git log -p` history when the directory is a git repository and falls
+ * back to walking the files on disk otherwise (or when `options.noGit` is set).
+ * `options.revisions` limits history to a `git log` revision range,
+ * `options.customRules` extend (or replace) the built-in rules and
+ * `options.onProgress` receives the fraction (0-1) of history processed.
+ * Resolves to an array of findings in the Gitleaks JSON report shape.
+ */
+async function runNativeScan(repoPath, context, options = {}) {
+    const rules = compileRules(mergeRules(defaultRules, options.customRules || []));
+    const useGit = !options.noGit && await isGitRepository(repoPath);
+
+    context.log(`Starting native scan (${useGit ? 'git history' : 'filesystem'})`);
+
+    const onProgress = options.onProgress || (() => {});
+    const findings = useGit
+        ? await scanHistory(repoPath, rules, options.revisions || ['HEAD'], onProgress)
+        : await scanDirectory(repoPath, rules);
+
+    context.log(`Native scan finished with ${findings.length} findings`);
+    return findings;
+}
+
+async function isGitRepository(repoPath) {
+    try {
+        await fs.access(path.join(repoPath, '.git'));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Scan every line added in the repository's history. The patches are read
+ * from `git log -p` line by line as git writes them, so memory stays flat
+ * however long the history is.
+ */
+async function scanHistory(repoPath, rules, revisions, onProgress) {
+    const totalCommits = parseInt(await simpleGit(repoPath).raw(['rev-list', '--count', ...revisions]), 10) || 0;
+    const progressStep = Math.max(Math.floor(totalCommits / 20), 1);
+
+    const gitLog = spawn('git', [
+        '-c', 'core.quotePath=false',
+        'log',
+        '-p',
+        '-U0',
+        '--no-color',
+        '--no-ext-diff',
+        `--format=%x00%H%x1f%an%x1f%ae%x1f%aI%x1f%s`,
+        ...revisions,
+        '--'
+    ], { cwd: repoPath, stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let errorOutput = '';
+    gitLog.stderr.on('data', (data) => {
+        errorOutput = (errorOutput + data.toString()).slice(-2000);
+    });
+    const exited = new Promise((resolve, reject) => {
+        gitLog.on('error', reject);
+        gitLog.on('close', (code, signal) => {
+            if (code === 0) resolve();
+            else reject(new Error(`git log failed with ${signal || `code ${code}`}: ${errorOutput.trim()}`));
+        });
+    });
+    // Awaited once the output is read; until then a failure must not go unhandled
+    exited.catch(() => {});
+
+    const findings = [];
+    let commit = null;
+    let commitCount = 0;
+    let file = null;
+    let lineNumber = 0;
+    let inHeader = false;
+
+    try {
+        for await (const line of readline.createInterface({ input: gitLog.stdout, crlfDelay: Infinity })) {
+            if (line.startsWith(COMMIT_MARKER)) {
+                const [hash, author, email, date, message] = line.slice(1).split('\u001f');
+                commit = { hash, author, email, date, message };
+                file = null;
+                if (commitCount % progressStep === 0) {
+                    onProgress(Math.min(commitCount / totalCommits, 1) || 0);
+                }
+                commitCount++;
+                continue;
+            }
+            if (line.startsWith('diff --git ')) {
+                inHeader = true;
+                file = null;
+                continue;
+            }
+            if (inHeader) {
+                if (line.startsWith('+++ ')) {
+                    file = parseDiffPath(line.slice(4));
+                } else if (line.startsWith('@@')) {
+                    inHeader = false;
+                    lineNumber = parseHunkStart(line);
+                }
+                continue;
+            }
+            if (line.startsWith('@@')) {
+                lineNumber = parseHunkStart(line);
+                continue;
+            }
+            if (line.startsWith('+') && file && commit) {
+                for (const match of scanLine(line.slice(1), rules)) {
+                    findings.push(toFinding(match, {
+                        file,
+                        lineNumber,
+                        commit: commit.hash,
+                        author: commit.author,
+                        email: commit.email,
+                        date: commit.date,
+                        message: commit.message
+                    }));
+                }
+                lineNumber++;
+            }
+        }
+    } catch (error) {
+        gitLog.kill();
+        throw error;
+    }
+
+    await exited;
+    return findings;
+}
+
+/**
+ * Scan the files currently on disk, ignoring git metadata
+ */
+async function scanDirectory(rootPath, rules) {
+    const findings = [];
+
+    for await (const filePath of walkFiles(rootPath)) {
+        const stat = await fs.stat(filePath);
+        if (stat.size > MAX_FILE_BYTES) continue;
+
+        const buffer = await fs.readFile(filePath);
+        if (isBinary(buffer)) continue;
+
+        const relativePath = path.relative(rootPath, filePath).split(path.sep).join('/');
+        const lines = buffer.toString('utf8').split(/\r?\n/);
+
+        lines.forEach((text, index) => {
+            for (const match of scanLine(text, rules)) {
+                findings.push(toFinding(match, { file: relativePath, lineNumber: index + 1 }));
+            }
+        });
+    }
+
+    return findings;
+}
+
+async function* walkFiles(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        if (entry.name === '.git') continue;
+
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            yield* walkFiles(fullPath);
+        } else if (entry.isFile()) {
+            yield fullPath;
+        }
+    }
+}
+
+/**
+ * Prepare a global copy of each rule's regex so it can be iterated with exec();
+ * custom rules keep their RE2 engine, shared between scans (see patterns.js)
+ */
+function compileRules(rules) {
+    return rules.map(rule => {
+        const flags = rule.regex.flags.includes('g') ? rule.regex.flags : rule.regex.flags + 'g';
+        return {
+            ...rule,
+            pattern: rule.regex instanceof CachedRE2 ? compileRE2(rule.regex.source, flags) : new RegExp(rule.regex.source, flags)
+        };
+    });
+}
+
+/**
+ * Apply every compiled rule to a single line of text
+ */
+function scanLine(text, rules) {
+    if (!text || text.length > MAX_LINE_LENGTH) return [];
+
+    const lower = text.toLowerCase();
+    const matches = [];
+
+    for (const rule of rules) {
+        if (rule.keywords && rule.keywords.length > 0 &&
+            !rule.keywords.some(keyword => lower.includes(keyword))) {
+            continue;
+        }
+
+        const regex = rule.pattern;
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+
+            const secret = match[1] !== undefined ? match[1] : match[0];
+            const entropy = shannonEntropy(secret);
+            if (rule.entropy && entropy < rule.entropy) continue;
+
+            matches.push({
+                rule,
+                match: match[0],
+                secret,
+                entropy,
+                startColumn: match.index + 1,
+                endColumn: match.index + match[0].length
+            });
+        }
+    }
+
+    // Fallback rules (e.g. generic-api-key) only report secrets no specific rule caught
+    return matches.filter(match => !match.rule.fallback ||
+        !matches.some(other => !other.rule.fallback && other.secret === match.secret));
+}
+
+/**
+ * Build a finding in the same shape as a Gitleaks JSON report entry
+ */
+function toFinding(match, location) {
+    const commit = location.commit || '';
+    return {
+        Description: match.rule.description,
+        StartLine: location.lineNumber,
+        EndLine: location.lineNumber,
+        StartColumn: match.startColumn,
+        EndColumn: match.endColumn,
+        Match: match.match,
+        Secret: match.secret,
+        File: location.file,
+        SymlinkFile: '',
+        Commit: commit,
+        Entropy: Number(match.entropy.toFixed(4)),
+        Author: location.author || '',
+        Email: location.email || '',
+        Date: location.date || '',
+        Message: location.message || '',
+        Tags: [],
+        RuleID: match.rule.id,
+        Fingerprint: [commit, location.file, match.rule.id, location.lineNumber].filter(Boolean).join(':')
+    };
+}
+
+function parseDiffPath(value) {
+    if (value === '/dev/null') return null;
+
+    // git appends a tab to paths containing spaces
+    let diffPath = value.replace(/\t$/, '');
+    if (diffPath.startsWith('"') && diffPath.endsWith('"')) {
+        diffPath = diffPath.slice(1, -1);
+    }
+    return diffPath.startsWith('b/') ? diffPath.slice(2) : diffPath;
+}
+
+function parseHunkStart(line) {
+    const match = /\+(\d+)/.exec(line);
+    return match ? parseInt(match[1], 10) : 0;
+}
+
+function isBinary(buffer) {
+    const sample = buffer.subarray(0, 8000);
+    return sample.includes(0);
+}
+
+module.exports = {
+    runNativeScan,
+    compileRules,
+    scanLine,
+    toFinding,
+    walkFiles
+};
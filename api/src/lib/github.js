@@ -0,0 +1,139 @@
+const axios = require('axios');
+
+/**
+ * Minimal GitHub REST client for listing an owner's repositories and writing
+ * back to repositories (commit statuses, pull request comments).
+ * GITHUB_API_URL points at GitHub Enterprise Server or a mock server.
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+const PAGE_SIZE = 100;
+// Repositories listed for an owner before filtering, bounding the pages fetched
+const MAX_LISTED_REPOSITORIES = 1000;
+
+function apiUrl(path) {
+    const baseUrl = process.env.GITHUB_API_URL || 'https://api.github.com';
+    return `${baseUrl.replace(/\/$/, '')}${path}`;
+}
+
+/**
+ * Send a request to the GitHub API, throwing with GitHub's message on any
+ * non-2xx response. Resolves with the full axios response.
+ */
+async function send(method, url, { token, data } = {}) {
+    const response = await axios({
+        method,
+        url,
+        data,
+        headers: {
+            Accept: 'application/vnd.github+json',
+            'User-Agent': 'SecretSniffer',
+            ...(token ? { Authorization: `token ${token}` } : {})
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        validateStatus: () => true
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+        const message = response.data && response.data.message ? response.data.message : 'request failed';
+        const error = new Error(`GitHub API ${method} ${new URL(url).pathname} returned ${response.status}: ${message}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response;
+}
+
+/**
+ * Response body of a GitHub API request
+ */
+async function githubRequest(method, path, options) {
+    return (await send(method, apiUrl(path), options)).data;
+}
+
+/**
+ * Items of a list endpoint across pages (following the Link header), up to `limit`.
+ * Resolves with { items, truncated }.
+ */
+async function githubPaginate(path, { token, limit }) {
+    const items = [];
+    let url = apiUrl(`${path}${path.includes('?') ? '&' : '?'}per_page=${PAGE_SIZE}`);
+
+    while (url) {
+        const response = await send('GET', url, { token });
+        items.push(...response.data);
+        if (items.length >= limit) {
+            return { items: items.slice(0, limit), truncated: items.length > limit || Boolean(nextPageUrl(response)) };
+        }
+        url = nextPageUrl(response);
+    }
+    return { items, truncated: false };
+}
+
+function nextPageUrl(response) {
+    const match = /<([^>]+)>;\s*rel="next"/.exec(response.headers.link || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Repositories of a GitHub organization, or of a user when no organization
+ * has that name. Forks and archived repositories are left out unless asked
+ * for. Resolves with { repositories: [{ url, size, private }], truncated }.
+ */
+async function listOwnerRepositories(owner, token, { includeForks = false, includeArchived = false, limit }) {
+    const name = encodeURIComponent(owner);
+    let listing;
+    try {
+        listing = await githubPaginate(`/orgs/${name}/repos?type=all`, { token, limit: MAX_LISTED_REPOSITORIES });
+    } catch (error) {
+        if (error.status !== 404) throw error;
+        listing = await githubPaginate(`/users/${name}/repos?type=owner`, { token, limit: MAX_LISTED_REPOSITORIES });
+    }
+
+    const repositories = listing.items
+        .filter(repo => (includeForks || !repo.fork) && (includeArchived || !repo.archived))
+        .map(repo => ({
+            url: repo.html_url,
+            // GitHub reports the size in kilobytes
+            size: typeof repo.size === 'number' ? repo.size * 1024 : null,
+            private: Boolean(repo.private)
+        }));
+
+    return {
+        repositories: repositories.slice(0, limit),
+        truncated: listing.truncated || repositories.length > limit
+    };
+}
+
+/**
+ * Set a commit status (`state` is pending, success, failure or error)
+ */
+function createCommitStatus({ owner, name }, sha, { state, description, context, targetUrl }, token) {
+    return githubRequest('POST', `/repos/${owner}/${name}/statuses/${sha}`, {
+        token,
+        data: {
+            state,
+            // GitHub rejects descriptions over 140 characters
+            description: description.slice(0, 140),
+            context,
+            ...(targetUrl ? { target_url: targetUrl } : {})
+        }
+    });
+}
+
+/**
+ * Comment on a pull request (pull requests are issues for comments)
+ */
+function createPullRequestComment({ owner, name }, number, body, token) {
+    return githubRequest('POST', `/repos/${owner}/${name}/issues/${number}/comments`, {
+        token,
+        data: { body }
+    });
+}
+
+module.exports = {
+    githubRequest,
+    githubPaginate,
+    listOwnerRepositories,
+    createCommitStatus,
+    createPullRequestComment
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { getScanStore } = require('./storage');
+const { redactResult, hashSecret } = require('./redact');
+
+/**
+ * Scan history: finished scans are persisted (redacted) per repository and
+ * compared with the previous scan of the same repository to show which
+ * findings are new and which have been resolved.
+ *
+ * Scans run with an access token are private to that token, like jobs.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Storage key of a repository, derived from its normalized URL
+ */
+function repositoryKey(repoUrl) {
+    return crypto.createHash('sha256').update(String(repoUrl).toLowerCase()).digest('hex').slice(0, 32);
+}
+
+/**
+ * Whether a stored scan (or summary) may be shown to the holder of this token hash
+ */
+function isVisibleTo(entry, tokenHash) {
+    return Boolean(entry) && (!entry.ownerTokenHash || entry.ownerTokenHash === tokenHash);
+}
+
+/**
+ * Persist a finished scan and return its summary, including the changes
+ * since the previous scan of the repository visible to the same owner
+ */
+async function recordScan({ id, result, ownerTokenHash = null }, context) {
+    const store = getScanStore();
+    const repoKey = repositoryKey(result.repository.url);
+    const redacted = redactResult(result);
+
+    const previousSummary = (await store.listScans(repoKey, { limit: MAX_LIMIT }))
+        .find(summary => summary.ownerTokenHash === ownerTokenHash);
+    const previous = previousSummary ? await store.getScan(previousSummary.id) : null;
+    const changes = compareScans(previous && previous.result, redacted);
+
+    const summary = {
+        id,
+        repoUrl: result.repository.url,
+        scanDate: result.scanDate,
+        ownerTokenHash,
+        totalSecrets: result.totalSecrets,
+        severityCounts: countBySeverity(result.findings),
+        newFindings: changes.added.length,
+        resolvedFindings: changes.resolved.length,
+        previousScanId: previous ? previous.id : null,
+        scope: result.scope ? result.scope.description : null,
+        scanEngine: result.scanEngine
+    };
+
+    await store.saveScan({
+        id,
+        repoKey,
+        repoUrl: result.repository.url,
+        scanDate: result.scanDate,
+        ownerTokenHash,
+        previousScanId: summary.previousScanId,
+        changes,
+        result: redacted
+    }, summary);
+
+    context.log(`Recorded scan ${id} in history (${summary.newFindings} new, ${summary.resolvedFindings} resolved)`);
+    return summary;
+}
+
+/**
+ * Findings added and resolved between two results, matched by findingKey.
+ * Without a previous result every finding counts as new.
+ */
+function compareScans(previousResult, currentResult) {
+    const previousFindings = previousResult ? previousResult.findings : [];
+    const previousKeys = new Set(previousFindings.map(findingKey));
+    const currentKeys = new Set(currentResult.findings.map(findingKey));
+
+    return {
+        added: currentResult.findings
+            .filter(finding => !previousKeys.has(findingKey(finding)))
+            .map(finding => finding.fingerprint),
+        resolved: previousFindings
+            .filter(finding => !currentKeys.has(findingKey(finding)))
+            .map(finding => ({
+                fingerprint: finding.fingerprint,
+                file: finding.file,
+                lineNumber: finding.lineNumber,
+                commit: finding.commit,
+                secretType: finding.secretType,
+                severity: finding.severity,
+                snippet: finding.snippet
+            }))
+    };
+}
+
+/**
+ * Identity of a finding across scans: its rule, file and secret. Fingerprints
+ * include the commit, which changes when a secret still present in HEAD drops
+ * out of a shallow scan's depth and is attributed to a later commit.
+ */
+function findingKey(finding) {
+    return [finding.ruleId, finding.file, finding.secretHash || hashSecret(finding.secret)].join(':');
+}
+
+/**
+ * Summaries of the stored scans of a repository visible to the caller, newest first
+ */
+async function listRepositoryScans(repoUrl, tokenHash, limit = DEFAULT_LIMIT) {
+    const count = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    // Read past the limit since other owners' scans are filtered out afterwards
+    const summaries = await getScanStore().listScans(repositoryKey(repoUrl), { limit: MAX_LIMIT });
+
+    return summaries
+        .filter(summary => isVisibleTo(summary, tokenHash))
+        .slice(0, count)
+        .map(toPublicSummary);
+}
+
+/**
+ * A stored scan visible to the caller, or null
+ */
+async function getStoredScan(id, tokenHash) {
+    const record = await getScanStore().getScan(id);
+    return isVisibleTo(record, tokenHash) ? record : null;
+}
+
+/**
+ * The most recent stored scan of a repository visible to the caller, or null
+ */
+async function getLatestStoredScan(repoUrl, tokenHash) {
+    const [latest] = await listRepositoryScans(repoUrl, tokenHash, 1);
+    return latest ? getStoredScan(latest.id, tokenHash) : null;
+}
+
+/**
+ * Result of an incremental scan: the findings from the new commits, marked as
+ * introduced, plus the base scan's findings from before them (still redacted)
+ */
+function mergeWithBaseScan(result, baseScan) {
+    const introduced = result.findings.map(finding => ({ ...finding, introduced: true }));
+    const introducedFingerprints = new Set(introduced.map(finding => finding.fingerprint));
+    const carriedOver = (baseScan ? baseScan.result.findings : [])
+        .filter(finding => !introducedFingerprints.has(finding.fingerprint))
+        .map(finding => ({ ...finding, introduced: false }));
+
+    const findings = [...introduced, ...carriedOver].map((finding, index) => ({ ...finding, id: index + 1 }));
+    return {
+        ...result,
+        findings,
+        totalSecrets: findings.length,
+        incremental: {
+            baseCommit: result.scope.since,
+            baseScanId: baseScan ? baseScan.id : null,
+            baseScanDate: baseScan ? baseScan.scanDate : null,
+            introduced: introduced.length,
+            carriedOver: carriedOver.length
+        }
+    };
+}
+
+/**
+ * Summary without the owner's token hash
+ */
+function toPublicSummary(summary) {
+    const { ownerTokenHash, ...rest } = summary;
+    return { ...rest, private: Boolean(ownerTokenHash) };
+}
+
+function countBySeverity(findings) {
+    const counts = { critical: 0, high: 0, medium: 0, low: 0 };
+    for (const finding of findings) {
+        counts[finding.severity] = (counts[finding.severity] || 0) + 1;
+    }
+    return counts;
+}
+
+module.exports = {
+    repositoryKey,
+    recordScan,
+    compareScans,
+    findingKey,
+    listRepositoryScans,
+    getStoredScan,
+    getLatestStoredScan,
+    mergeWithBaseScan,
+    toPublicSummary,
+    countBySeverity
+};
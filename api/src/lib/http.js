@@ -0,0 +1,111 @@
+const { formats, renderReport } = require('./reports');
+const { requestCorrelationId, createLogger } = require('./logger');
+const { incrementCounter, observe } = require('./metrics');
+
+/**
+ * Shared HTTP helpers for the function handlers
+ */
+
+// Browser origins allowed to call the API (comma separated, `*` for any)
+const ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || 'http://localhost:5173')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+// CORS headers for the frontend; the allowed origin is added per request by withCors
+const corsHeaders = {
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Reveal-Key, X-Correlation-Id',
+    'Access-Control-Expose-Headers': 'Content-Disposition, Retry-After, X-Correlation-Id',
+    'Content-Type': 'application/json'
+};
+
+/**
+ * Wrap a handler so its responses allow the request's origin if it is in
+ * CORS_ALLOWED_ORIGINS. Other origins get no Access-Control-Allow-Origin
+ * header, so browsers refuse to hand them the response.
+ */
+function withCors(handler) {
+    return async (request, context) => {
+        const response = await handler(request, context);
+        const origin = request.headers.get('origin');
+
+        const headers = { ...response.headers, Vary: 'Origin' };
+        if (ALLOWED_ORIGINS.includes('*')) {
+            headers['Access-Control-Allow-Origin'] = '*';
+        } else if (origin && ALLOWED_ORIGINS.includes(origin)) {
+            headers['Access-Control-Allow-Origin'] = origin;
+        }
+
+        return { ...response, headers };
+    };
+}
+
+/**
+ * Wrap a handler so it is handed a structured logger (see logger.js) in place
+ * of the invocation context. The request's correlation id is taken from its
+ * X-Correlation-Id header or generated, tags every line logged for the
+ * request (and the jobs it starts) and is returned in the X-Correlation-Id
+ * response header. Each request is logged and counted in the metrics.
+ */
+function withRequestLogging(handler) {
+    return async (request, context) => {
+        const correlationId = requestCorrelationId(request);
+        const log = createLogger(context, { correlationId });
+        const functionName = context.functionName || 'unknown';
+        const started = Date.now();
+
+        let status = 500;
+        try {
+            const response = await handler(request, log);
+            status = response.status || 200;
+            return {
+                ...response,
+                headers: { ...response.headers, 'X-Correlation-Id': correlationId }
+            };
+        } catch (error) {
+            log.error('Request failed:', error);
+            throw error;
+        } finally {
+            const durationMs = Date.now() - started;
+            log.log('Request handled', { method: request.method, path: new URL(request.url).pathname, status, durationMs });
+            incrementCounter('http_requests_total', { function: functionName, status });
+            observe('http_request_duration_seconds', { function: functionName }, durationMs / 1000);
+        }
+    };
+}
+
+/**
+ * Response carrying a scan result as a redacted report download,
+ * or a 400 for unknown formats
+ */
+function reportResponse(result, format) {
+    if (!formats[format.toLowerCase()]) {
+        return {
+            status: 400,
+            headers: corsHeaders,
+            body: JSON.stringify({
+                error: 'Invalid report format',
+                message: `Supported formats: ${Object.keys(formats).join(', ')}`
+            })
+        };
+    }
+
+    const report = renderReport(result, format);
+    return {
+        status: 200,
+        headers: {
+            ...corsHeaders,
+            'Content-Type': report.contentType,
+            'Content-Disposition': `attachment; filename="${report.fileName}"`
+        },
+        body: report.body
+    };
+}
+
+module.exports = {
+    corsHeaders,
+    withCors,
+    withRequestLogging,
+    reportResponse
+};
@@ -0,0 +1,446 @@
+const fs = require('fs').promises;
+const path = require('path');
+const simpleGit = require('simple-git');
+const { defaultRules, shannonEntropy } = require('./rules');
+const { mergeRules } = require('./customRules');
+const { compileRules, scanLine, toFinding, walkFiles } = require('./engines/native');
+const { MAX_ARCHIVE_ENTRIES, readArchiveEntries } = require('./archives');
+const { formatSize } = require('./repoSize');
+
+/**
+ * Deep inspection of content the engines only see as opaque or escaped text.
+ * It is unpacked and run through the detection rules (the native engine's,
+ * whichever engine scanned the history):
+ *
+ * - archives committed to the repository (zip, jar, tar, tar.gz, e.g. a
+ *   `docker save` image), nested ones included, reported as
+ *   `bundle.zip!/config/.env`
+ * - Jupyter notebook cells and their outputs, reported as
+ *   `analysis.ipynb#cell-3` and `analysis.ipynb#cell-3/output-0`
+ * - base64 and hex encoded strings, decoded and reported as `file!base64`
+ *   or `file!hex` at the line holding them
+ * - values of sensitive keys (password, secret, token, ...) in .env,
+ *   .properties and YAML files, base64 values such as those of Kubernetes
+ *   secrets included, reported as `config.yml#database.password`
+ *
+ * The checked-out tree is inspected (for incremental scans only the files
+ * changed since the base commit) and each finding is attributed to the last
+ * commit that touched its file. Findings carry `Inspection: { kind, path, line }`:
+ * how the secret was hidden, the repository file it was found in and, when the
+ * location maps onto that file, the line in it.
+ *
+ * Opt-in since it reads every file: per request (`inspect`) or for every scan
+ * (DEEP_INSPECTION=true). Archive contents are unpacked into memory, so all
+ * archives of a scan share one budget of MAX_ARCHIVE_ENTRIES files and
+ * INSPECT_MAX_UNPACKED_MB; entries beyond it are skipped.
+ */
+
+// Plain files larger than this are not inspected
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+// Committed archives larger than this are not opened
+const MAX_ARCHIVE_BYTES = (parseInt(process.env.INSPECT_MAX_ARCHIVE_MB, 10) || 50) * 1024 * 1024;
+// Archive contents unpacked into memory over a whole scan
+const MAX_UNPACKED_BYTES = (parseInt(process.env.INSPECT_MAX_UNPACKED_MB, 10) || 8) * 1024 * 1024;
+// Archives inside archives are opened this many levels deep
+const MAX_NESTING = 3;
+
+const ARCHIVE_FILE = /\.(zip|jar|war|ear|whl|nupkg|tar|tgz|tar\.gz)$/i;
+const NOTEBOOK_FILE = /\.ipynb$/i;
+const CONFIG_FORMATS = [
+    { pattern: /(^|\/)\.env(\.[\w-]+)*$/, entries: (text) => keyValueEntries(text, /^(\s*(?:export\s+)?([A-Za-z_][\w.-]*)\s*=\s*)(.*)$/) },
+    { pattern: /\.properties$/i, entries: (text) => keyValueEntries(text, /^(\s*([^#!\s=:][^=:\s]*)\s*[=:]\s*)(.*)$/) },
+    { pattern: /\.ya?ml$/i, entries: yamlEntries }
+];
+
+// Encoded strings worth decoding: 18+ bytes of base64, 16+ bytes of hex
+const BASE64_RUN = /[A-Za-z0-9+/_-]{24,}={0,2}/g;
+const HEX_STRING = /^(?:[0-9a-fA-F]{2}){16,}$/;
+const MAX_ENCODED_LENGTH = 64 * 1024;
+
+const SENSITIVE_KEY = /(password|passwd|passphrase|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)$/i;
+const PLACEHOLDER_VALUE = /^(\$\{.*\}|\{\{.*\}\}|<.*>|%\(.*\)s|.*(changeme|change_me|example|placeholder|your[_-]|dummy|redacted|xxxx|\*\*\*).*|true|false|null|none)$/i;
+const MIN_VALUE_LENGTH = 8;
+const MIN_VALUE_ENTROPY = 3;
+
+const CONFIG_RULE = { id: 'config-secret-value', description: 'Secret in configuration value' };
+
+// How a secret was hidden; a location keeps the first of these it passed through
+const KINDS = ['archive', 'base64', 'hex', 'notebook', 'config'];
+
+/**
+ * Whether to inspect this scan: the request's choice, else the app setting
+ */
+function isInspectionEnabled(requested) {
+    if (requested !== undefined && requested !== null) {
+        return requested === true || requested === 'true';
+    }
+    return process.env.DEEP_INSPECTION === 'true';
+}
+
+/**
+ * Inspect the files of a scanned directory. Resolves to findings in the
+ * Gitleaks JSON report shape; secrets the engine already reported in the same
+ * file (`knownFindings`) are left out.
+ */
+async function inspectRepository(repoPath, { customRules = [], useGit = false, scope = {}, knownFindings = [] }, context) {
+    const rules = compileRules(mergeRules(defaultRules, customRules));
+    const git = useGit ? simpleGit(repoPath) : null;
+    const files = useGit ? await listTrackedFiles(git, scope) : await listFiles(repoPath);
+
+    const known = new Set(knownFindings.map(finding => `${finding.File}\u0000${finding.Secret}`));
+    const budget = createBudget(MAX_ARCHIVE_ENTRIES, MAX_UNPACKED_BYTES);
+    const findings = [];
+
+    for (const file of files) {
+        const data = await readInspectableFile(repoPath, file);
+        if (!data) continue;
+
+        const reports = await inspectFile(file, data, rules, budget);
+        const fresh = reports.filter(({ match }) => !known.has(`${file}\u0000${match.secret}`));
+        if (fresh.length === 0) continue;
+
+        const commit = git ? await lastCommit(git, file) : {};
+        for (const { match, where, lineNumber } of fresh) {
+            findings.push({
+                ...toFinding(match, { ...commit, file: where.label, lineNumber }),
+                Inspection: { kind: where.kind, path: file, line: where.mapsToFile ? lineNumber : null }
+            });
+        }
+    }
+
+    if (budget.exhausted) {
+        context.log(`Deep inspection skipped archive entries beyond ${MAX_ARCHIVE_ENTRIES} files or ${formatSize(MAX_UNPACKED_BYTES)}`);
+    }
+    context.log(`Deep inspection of ${files.length} files found ${findings.length} findings`);
+    return findings;
+}
+
+/**
+ * Files to inspect, relative and with forward slashes
+ */
+async function listTrackedFiles(git, scope) {
+    const output = scope.incremental && scope.since
+        ? await git.raw(['diff', '--name-only', '-z', '--diff-filter=d', scope.since, 'HEAD'])
+        : await git.raw(['ls-files', '-z']);
+    return output.split('\u0000').filter(Boolean);
+}
+
+async function listFiles(rootPath) {
+    const files = [];
+    for await (const filePath of walkFiles(rootPath)) {
+        files.push(path.relative(rootPath, filePath).split(path.sep).join('/'));
+    }
+    return files;
+}
+
+/**
+ * Content of a regular file within the size limit for its kind, else null
+ */
+async function readInspectableFile(repoPath, file) {
+    const fullPath = path.resolve(repoPath, file);
+    // Links are never followed, not even within the repository
+    const stat = await fs.lstat(fullPath).catch(() => null);
+    if (!stat || !stat.isFile()) return null;
+
+    const limit = ARCHIVE_FILE.test(file) ? MAX_ARCHIVE_BYTES : MAX_FILE_BYTES;
+    return stat.size <= limit ? fs.readFile(fullPath) : null;
+}
+
+async function lastCommit(git, file) {
+    const output = await git.raw(['log', '-1', '--format=%H%x1f%an%x1f%ae%x1f%aI%x1f%s', '--', file]).catch(() => '');
+    const [commit, author, email, date, message] = output.trim().split('\u001f');
+    return commit ? { commit, author, email, date, message } : {};
+}
+
+/**
+ * Matches hidden in one repository file, as [{ match, where, lineNumber }]
+ */
+async function inspectFile(file, data, rules, budget) {
+    const reports = [];
+    const seen = new Set();
+    const inspector = {
+        rules,
+        budget,
+        // A secret is reported once per line of a file or cell, at the first location found
+        report(match, where, lineNumber) {
+            const key = `${where.entry}\u0000${lineNumber}\u0000${match.secret}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            reports.push({ match, where, lineNumber });
+        }
+    };
+
+    // The engine has already scanned the file's own lines
+    await inspectContent(data, { label: file, entry: file, kind: null, nesting: 0, scanned: true, mapsToFile: true }, inspector);
+    return reports;
+}
+
+/**
+ * Files and bytes archives may still unpack; once an entry does not fit,
+ * `exhausted` is set and every later entry is refused
+ */
+function createBudget(entries, bytes) {
+    return {
+        exhausted: false,
+        take(size) {
+            if (this.exhausted || entries <= 0 || size > bytes) {
+                this.exhausted = true;
+                return false;
+            }
+            entries--;
+            bytes -= size;
+            return true;
+        }
+    };
+}
+
+/**
+ * Inspect one piece of content; `where` describes its location: label, the
+ * file or cell it is in, kind, archive nesting, whether its lines were scanned
+ * already and whether its line numbers are those of the repository file
+ */
+async function inspectContent(data, where, inspector) {
+    if (where.nesting < MAX_NESTING && await inspectArchive(data, where, inspector)) {
+        return;
+    }
+    if (isBinary(data)) return;
+
+    const text = data.toString('utf8');
+    const name = where.label.split('!/').pop();
+    if (NOTEBOOK_FILE.test(name)) {
+        inspectNotebook(text, where, inspector);
+        return;
+    }
+
+    // Before the encoded strings, so a decoded value is reported under its key
+    const config = CONFIG_FORMATS.find(format => format.pattern.test(name));
+    if (config) {
+        inspectConfig(text, config, where, inspector);
+    }
+    inspectText(text, where, inspector);
+}
+
+/**
+ * Inspect the files of an archive; false when the content is not one
+ */
+async function inspectArchive(data, where, inspector) {
+    let entries;
+    try {
+        entries = await readArchiveEntries(data, inspector.budget);
+    } catch {
+        // Corrupt, or only looked like an archive
+        return false;
+    }
+    if (entries.length === 0) return false;
+
+    for (const entry of entries) {
+        const label = `${where.label}!/${entry.name}`;
+        await inspectContent(entry.data, {
+            label,
+            entry: label,
+            kind: 'archive',
+            nesting: where.nesting + 1,
+            scanned: false,
+            mapsToFile: false
+        }, inspector);
+    }
+    return true;
+}
+
+/**
+ * Scan the lines of text the engine has not seen and decode its encoded strings
+ */
+function inspectText(text, where, inspector) {
+    const lines = text.split(/\r?\n/);
+    lines.forEach((line, index) => {
+        if (!where.scanned) {
+            for (const match of scanLine(line, inspector.rules)) {
+                inspector.report(match, where, index + 1);
+            }
+        }
+
+        for (const { encoding, decoded } of decodeStrings(line)) {
+            const decodedWhere = { ...where, label: `${where.label}!${encoding}`, kind: innerKind(where.kind, encoding) };
+            for (const decodedLine of decoded.split(/\r?\n/)) {
+                for (const match of scanLine(decodedLine, inspector.rules)) {
+                    inspector.report(match, decodedWhere, index + 1);
+                }
+            }
+        }
+    });
+}
+
+function innerKind(outer, inner) {
+    return outer && KINDS.indexOf(outer) < KINDS.indexOf(inner) ? outer : inner;
+}
+
+/**
+ * Printable strings encoded in base64 or hex on a line, as [{ encoding, decoded }]
+ */
+function decodeStrings(line) {
+    const results = [];
+    for (const [candidate] of line.matchAll(BASE64_RUN)) {
+        if (candidate.length > MAX_ENCODED_LENGTH) continue;
+
+        const encoding = HEX_STRING.test(candidate) ? 'hex' : 'base64';
+        const decoded = decodePrintable(candidate, encoding);
+        if (decoded !== null) results.push({ encoding, decoded });
+    }
+    return results;
+}
+
+/**
+ * Decoded text, or null when the value does not decode to printable text
+ */
+function decodePrintable(value, encoding) {
+    const buffer = Buffer.from(value, encoding);
+    if (buffer.length < MIN_VALUE_LENGTH) return null;
+
+    // Anything that is not text (images, hashes, random keys) decodes to control bytes
+    let printable = 0;
+    for (const byte of buffer) {
+        if ((byte >= 0x20 && byte < 0x7f) || byte === 0x09 || byte === 0x0a || byte === 0x0d) printable++;
+    }
+    return printable / buffer.length >= 0.95 ? buffer.toString('utf8') : null;
+}
+
+/**
+ * Inspect the source and the outputs of every cell of a Jupyter notebook
+ */
+function inspectNotebook(text, where, inspector) {
+    let notebook;
+    try {
+        notebook = JSON.parse(text);
+    } catch {
+        inspectText(text, where, inspector);
+        return;
+    }
+
+    const cellWhere = (label) => ({ ...where, label, entry: label, kind: innerKind(where.kind, 'notebook'), scanned: false, mapsToFile: false });
+    (Array.isArray(notebook.cells) ? notebook.cells : []).forEach((cell, cellIndex) => {
+        const label = `${where.label}#cell-${cellIndex}`;
+        inspectText(joinText(cell.source), cellWhere(label), inspector);
+
+        (Array.isArray(cell.outputs) ? cell.outputs : []).forEach((output, outputIndex) => {
+            inspectText(outputText(output), cellWhere(`${label}/output-${outputIndex}`), inspector);
+        });
+    });
+}
+
+function joinText(value) {
+    if (Array.isArray(value)) return value.join('');
+    return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Text of a cell output: streams, text and JSON results, and error tracebacks
+ */
+function outputText(output) {
+    const data = output.data || {};
+    return [
+        joinText(output.text),
+        joinText(data['text/plain']),
+        data['application/json'] ? JSON.stringify(data['application/json'], null, 1) : '',
+        output.evalue || '',
+        Array.isArray(output.traceback) ? output.traceback.join('\n') : ''
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Report values of sensitive keys in a configuration file
+ */
+function inspectConfig(text, format, where, inspector) {
+    for (const entry of format.entries(text)) {
+        const keyName = entry.key.split('.').pop();
+        if (!SENSITIVE_KEY.test(keyName)) continue;
+
+        let secret = unquote(entry.value);
+        let text = entry.text.trim();
+        let kind = innerKind(where.kind, 'config');
+        // Kubernetes secrets and the like keep their values in base64
+        const decoded = /^[A-Za-z0-9+/]+={0,2}$/.test(secret) && secret.length % 4 === 0 && secret.length >= 12
+            ? decodePrintable(secret, 'base64')
+            : null;
+        if (decoded !== null && Buffer.from(decoded).toString('base64') === secret) {
+            // The snippet shows the decoded value so that redaction masks it
+            text = text.replace(secret, decoded.trim());
+            secret = decoded.trim();
+            kind = innerKind(where.kind, 'base64');
+        }
+
+        const entropy = shannonEntropy(secret);
+        if (secret.length < MIN_VALUE_LENGTH || entropy < MIN_VALUE_ENTROPY || PLACEHOLDER_VALUE.test(secret)) continue;
+
+        inspector.report({
+            rule: CONFIG_RULE,
+            match: text,
+            secret,
+            entropy,
+            startColumn: entry.column,
+            endColumn: entry.column + entry.value.length - 1
+        }, { ...where, label: `${where.label}#${entry.key}`, kind }, entry.line);
+    }
+}
+
+/**
+ * { key, value, line, column, text } of `key=value` style lines; `pattern`
+ * captures the part before the value, the key and the value
+ */
+function keyValueEntries(text, pattern) {
+    return text.split(/\r?\n/).flatMap((line, index) => {
+        const match = pattern.exec(line);
+        if (!match) return [];
+
+        const value = stripComment(match[3]);
+        return value ? [{ key: match[2], value, line: index + 1, column: match[1].length + 1, text: line }] : [];
+    });
+}
+
+/**
+ * Scalar values of a YAML file keyed by their dotted path (`database.password`).
+ * Block scalars and flow collections are skipped.
+ */
+function yamlEntries(text) {
+    const parents = [];
+    return text.split(/\r?\n/).flatMap((line, index) => {
+        const match = /^(\s*(?:-\s+)?)("[^"]+"|'[^']+'|[\w.-]+)\s*:(?:\s+(.*))?$/.exec(line);
+        if (!match) return [];
+
+        const indent = match[1].length;
+        while (parents.length > 0 && parents[parents.length - 1].indent >= indent) parents.pop();
+
+        const key = unquote(match[2]);
+        const value = stripComment(match[3] || '');
+        if (!value || /^[|>[{&*!]/.test(value)) {
+            parents.push({ indent, key });
+            return [];
+        }
+
+        return [{
+            key: [...parents.map(parent => parent.key), key].join('.'),
+            value,
+            line: index + 1,
+            column: line.indexOf(match[3], match[0].length - match[3].length) + 1,
+            text: line
+        }];
+    });
+}
+
+function stripComment(value) {
+    const trimmed = value.trim();
+    return /^["']/.test(trimmed) ? trimmed : trimmed.replace(/\s+#.*$/, '');
+}
+
+function unquote(value) {
+    const trimmed = value.trim();
+    return /^(["']).*\1$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+}
+
+function isBinary(buffer) {
+    return buffer.subarray(0, 8000).includes(0);
+}
+
+module.exports = {
+    isInspectionEnabled,
+    inspectRepository
+};
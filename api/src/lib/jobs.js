@@ -0,0 +1,158 @@
+const { randomUUID } = require('crypto');
+const { defineGauge } = require('./metrics');
+
+/**
+ * In-memory store for asynchronous scan jobs.
+ *
+ * Jobs live in the Function App instance that accepted them, so status polling
+ * relies on instance affinity (single instance or ARR affinity enabled).
+ */
+
+// Overall progress (0-100) reported when a job enters each state
+const JOB_STATES = {
+    queued: 0,
+    cloning: 5,
+    scanning: 30,
+    inspecting: 80,
+    formatting: 90,
+    verifying: 95,
+    done: 100,
+    failed: 100
+};
+
+// Scans running at once on this instance; each one clones a repository and may start a container
+const MAX_CONCURRENT_SCANS = parseInt(process.env.MAX_CONCURRENT_SCANS, 10) || 3;
+// Suggested wait before retrying when all scan slots are taken
+const BUSY_RETRY_AFTER_SECONDS = 30;
+// How often scans started in the background check for a free slot
+const SLOT_POLL_MS = 2000;
+
+// Finished jobs are kept around this long so clients can fetch the result
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000;
+
+const jobs = new Map();
+
+defineGauge('active_scans', 'Scan jobs queued or running on this instance', () => countActiveJobs());
+
+/**
+ * Register a new queued job
+ */
+function createJob(metadata = {}) {
+    pruneExpiredJobs();
+
+    const now = new Date().toISOString();
+    const job = {
+        id: randomUUID(),
+        state: 'queued',
+        progress: JOB_STATES.queued,
+        createdAt: now,
+        updatedAt: now,
+        result: null,
+        error: null,
+        ...metadata
+    };
+
+    jobs.set(job.id, job);
+    return job;
+}
+
+/**
+ * Jobs still queued or running on this instance
+ */
+function countActiveJobs() {
+    let count = 0;
+    for (const job of jobs.values()) {
+        if (job.state !== 'done' && job.state !== 'failed') count++;
+    }
+    return count;
+}
+
+/**
+ * Resolve once fewer than MAX_CONCURRENT_SCANS jobs are active, for scans
+ * started in the background (bulk and scheduled scans) that wait for a slot
+ * instead of answering 503. The caller takes the slot by creating its job
+ * right away, with no await in between.
+ */
+async function waitForScanSlot() {
+    while (countActiveJobs() >= MAX_CONCURRENT_SCANS) {
+        await new Promise(resolve => setTimeout(resolve, SLOT_POLL_MS));
+    }
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * Move a job to a new state, resetting progress to that state's baseline
+ */
+function setJobState(id, state, changes = {}) {
+    if (!(state in JOB_STATES)) {
+        throw new Error(`Unknown job state: ${state}`);
+    }
+    return updateJob(id, { state, progress: JOB_STATES[state], ...changes });
+}
+
+/**
+ * Report progress (0-1) within the job's current state, scaled to the span
+ * between that state and the next one
+ */
+function setJobProgress(id, fraction) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    const states = Object.keys(JOB_STATES);
+    const next = states[states.indexOf(job.state) + 1];
+    const start = JOB_STATES[job.state];
+    const end = next ? JOB_STATES[next] : start;
+    const progress = Math.round(start + (end - start) * Math.min(Math.max(fraction, 0), 1));
+
+    return progress > job.progress ? updateJob(id, { progress }) : job;
+}
+
+function updateJob(id, changes) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    return job;
+}
+
+/**
+ * Public view of a job returned by the status endpoint
+ */
+function toJobStatus(job) {
+    return {
+        id: job.id,
+        state: job.state,
+        progress: job.progress,
+        repoUrl: job.repoUrl,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        result: job.state === 'done' ? job.result : undefined,
+        error: job.state === 'failed' ? job.error : undefined
+    };
+}
+
+function pruneExpiredJobs() {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    for (const [id, job] of jobs) {
+        if (Date.parse(job.updatedAt) < cutoff) {
+            jobs.delete(id);
+        }
+    }
+}
+
+module.exports = {
+    JOB_STATES,
+    JOB_TTL_MS,
+    MAX_CONCURRENT_SCANS,
+    BUSY_RETRY_AFTER_SECONDS,
+    createJob,
+    countActiveJobs,
+    waitForScanSlot,
+    getJob,
+    setJobState,
+    setJobProgress,
+    toJobStatus
+};
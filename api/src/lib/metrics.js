@@ -0,0 +1,120 @@
+/**
+ * Aggregate counters of this instance, rendered in the Prometheus text
+ * exposition format by `GET /metrics`.
+ *
+ * Values live in memory and start from zero when the instance starts;
+ * Prometheus handles the resets of counters and summaries. With several
+ * instances each one is scraped (or reports) separately.
+ */
+
+const PREFIX = 'secretsniffer_';
+
+// name -> { type, help, collect?, series: Map(labelKey -> { labels, value } or { labels, sum, count }) }
+const metrics = new Map();
+
+function define(name, type, help, collect = null) {
+    metrics.set(PREFIX + name, { type, help, collect, series: new Map() });
+}
+
+define('http_requests_total', 'counter', 'HTTP requests handled, by function and status code');
+define('http_request_duration_seconds', 'summary', 'Time spent handling HTTP requests, by function');
+define('scans_total', 'counter', 'Scan jobs finished, by engine and outcome');
+define('scan_phase_duration_seconds', 'summary', 'Time spent in each scan phase (clone, scan, inspect, format, verify, context)');
+define('scan_repository_size_bytes', 'summary', 'Size of the cloned repositories on disk');
+define('scan_findings_total', 'counter', 'Findings reported by finished scans, by engine');
+define('scan_cache_hits_total', 'counter', 'Scans answered from the scan cache');
+
+/**
+ * Register a gauge whose value is read by `collect()` at every scrape
+ */
+function defineGauge(name, help, collect) {
+    define(name, 'gauge', help, collect);
+}
+
+function seriesFor(name, labels) {
+    const metric = metrics.get(PREFIX + name);
+    if (!metric) {
+        throw new Error(`Unknown metric: ${name}`);
+    }
+
+    const key = JSON.stringify(Object.entries(labels).sort());
+    let series = metric.series.get(key);
+    if (!series) {
+        series = metric.type === 'summary' ? { labels, sum: 0, count: 0 } : { labels, value: 0 };
+        metric.series.set(key, series);
+    }
+    return series;
+}
+
+function incrementCounter(name, labels = {}, amount = 1) {
+    seriesFor(name, labels).value += amount;
+}
+
+/**
+ * Add one observation to a summary
+ */
+function observe(name, labels = {}, value) {
+    const series = seriesFor(name, labels);
+    series.sum += value;
+    series.count += 1;
+}
+
+/**
+ * Record the measurements of a finished scan job (see runScanJob)
+ */
+function recordScanMetrics({ engine, outcome, phases = {}, repoSizeBytes = null, findings = null }) {
+    incrementCounter('scans_total', { engine, outcome });
+    for (const [phase, durationMs] of Object.entries(phases)) {
+        observe('scan_phase_duration_seconds', { phase }, durationMs / 1000);
+    }
+    if (repoSizeBytes !== null) {
+        observe('scan_repository_size_bytes', {}, repoSizeBytes);
+    }
+    if (findings !== null) {
+        incrementCounter('scan_findings_total', { engine }, findings);
+    }
+}
+
+/**
+ * Every metric in the Prometheus text format (version 0.0.4)
+ */
+function renderMetrics() {
+    const lines = [];
+    for (const [name, metric] of metrics) {
+        lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+
+        if (metric.collect) {
+            lines.push(`${name} ${formatValue(metric.collect())}`);
+            continue;
+        }
+        for (const series of metric.series.values()) {
+            const labels = formatLabels(series.labels);
+            if (metric.type === 'summary') {
+                lines.push(`${name}_sum${labels} ${formatValue(series.sum)}`, `${name}_count${labels} ${series.count}`);
+            } else {
+                lines.push(`${name}${labels} ${formatValue(series.value)}`);
+            }
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(6).replace(/\.?0+$/, '');
+}
+
+module.exports = {
+    defineGauge,
+    incrementCounter,
+    observe,
+    recordScanMetrics,
+    renderMetrics
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+/**
+ * Notifications about newly introduced findings, sent by the scheduled scans
+ * through pluggable channels:
+ *  - `webhook`: POSTs the event as JSON, signed with NOTIFICATION_WEBHOOK_SECRET
+ *    (X-SecretSniffer-Signature-256, like GitHub's webhooks) when it is set
+ *  - `slack`: a message for a Slack-compatible incoming webhook
+ *  - `email`: a plain text mail through the SMTP server in SMTP_HOST
+ *
+ * Webhook targets must use https:// unless ALLOW_INSECURE_NOTIFICATIONS=true
+ * (local stub servers). Events only ever carry redacted findings.
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_CHANNELS = 5;
+// Findings listed in Slack messages and mails; the rest are summarised
+const MAX_LISTED_FINDINGS = 10;
+const EMAIL_ADDRESS = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const channels = {
+    webhook: {
+        validate: ({ url }) => validateUrl(url),
+        send: async ({ url }, event) => {
+            const body = JSON.stringify(event);
+            const headers = { 'Content-Type': 'application/json', 'X-SecretSniffer-Event': event.event };
+            const secret = process.env.NOTIFICATION_WEBHOOK_SECRET;
+            if (secret) {
+                headers['X-SecretSniffer-Signature-256'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+            }
+            await post(url, body, headers);
+        }
+    },
+    slack: {
+        validate: ({ url }) => validateUrl(url),
+        send: async ({ url }, event) => {
+            await post(url, JSON.stringify({ text: formatMessage(event, { markdown: true }) }), { 'Content-Type': 'application/json' });
+        }
+    },
+    email: {
+        validate: ({ to }) => {
+            if (!process.env.SMTP_HOST) return 'Email notifications are not configured on the server';
+            const addresses = [].concat(to || []);
+            if (addresses.length === 0 || !addresses.every(address => EMAIL_ADDRESS.test(address))) {
+                return 'Email channels need `to` with one or more email addresses';
+            }
+            return null;
+        },
+        send: async ({ to }, event) => {
+            await getTransport().sendMail({
+                from: process.env.SMTP_FROM || 'secretsniffer@localhost',
+                to: [].concat(to).join(', '),
+                subject: `[SecretSniffer] ${event.newFindings.length} new secret${event.newFindings.length === 1 ? '' : 's'} in ${event.repository.name}`,
+                text: formatMessage(event, { markdown: false })
+            });
+        }
+    }
+};
+
+/**
+ * Validate the `notify` option of a watch: [{ type, url }] or
+ * [{ type: 'email', to }]. Returns { channels } or { error }.
+ */
+function parseNotificationChannels(input) {
+    if (input === undefined || input === null) return { channels: [] };
+    if (!Array.isArray(input)) return { error: '`notify` must be an array of channels' };
+    if (input.length > MAX_CHANNELS) return { error: `At most ${MAX_CHANNELS} notification channels are supported` };
+
+    const parsed = [];
+    for (const entry of input) {
+        const channel = entry && channels[entry.type];
+        if (!channel) {
+            return { error: `Unknown notification channel; supported: ${Object.keys(channels).join(', ')}` };
+        }
+        const error = channel.validate(entry);
+        if (error) return { error };
+
+        parsed.push(entry.type === 'email'
+            ? { type: 'email', to: [].concat(entry.to) }
+            : { type: entry.type, url: entry.url });
+    }
+    return { channels: parsed };
+}
+
+/**
+ * Send an event through every channel. Failures are logged and reported
+ * per channel, never thrown: one broken channel must not silence the others.
+ */
+async function sendNotifications(targets, event, context) {
+    const outcomes = await Promise.allSettled(targets.map(target => channels[target.type].send(target, event)));
+    return outcomes.map((outcome, index) => {
+        const { type } = targets[index];
+        if (outcome.status === 'fulfilled') return { type, delivered: true };
+
+        context.log(`Failed to send ${type} notification for ${event.repository.url}: ${outcome.reason.message}`);
+        return { type, delivered: false, error: outcome.reason.message };
+    });
+}
+
+function validateUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'Notification channels need a valid `url`';
+    }
+    const allowed = process.env.ALLOW_INSECURE_NOTIFICATIONS === 'true' ? ['https:', 'http:'] : ['https:'];
+    return allowed.includes(parsed.protocol) ? null : 'Notification URLs must use https://';
+}
+
+async function post(url, body, headers) {
+    const response = await axios.post(url, body, {
+        headers,
+        timeout: REQUEST_TIMEOUT_MS,
+        // Never follow redirects to somewhere the channel was not registered for
+        maxRedirects: 0,
+        validateStatus: () => true
+    });
+    if (response.status < 200 || response.status >= 300) {
+        throw new Error(`${new URL(url).host} returned ${response.status}`);
+    }
+}
+
+let transport = null;
+
+function getTransport() {
+    if (!transport) {
+        transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined
+        });
+    }
+    return transport;
+}
+
+/**
+ * Human readable summary of an event, for chat (`markdown`) or mail
+ */
+function formatMessage(event, { markdown }) {
+    const code = (text) => (markdown ? `\`${text}\`` : text);
+    const count = event.newFindings.length;
+    const lines = [
+        `${count} new secret${count === 1 ? '' : 's'} found in ${event.repository.url} by the scheduled scan of ${new Date(event.scanDate).toUTCString()}`,
+        `(${event.scope}, ${event.totalSecrets} finding${event.totalSecrets === 1 ? '' : 's'} in total)`,
+        ''
+    ];
+    for (const finding of event.newFindings.slice(0, MAX_LISTED_FINDINGS)) {
+        const commit = finding.commit ? ` in commit ${code(finding.commit)}` : '';
+        lines.push(`- ${finding.severity.toUpperCase()} ${finding.secretType}: ${code(`${finding.file}:${finding.lineNumber}`)}${commit}`);
+    }
+    if (count > MAX_LISTED_FINDINGS) {
+        lines.push(`- ...and ${count - MAX_LISTED_FINDINGS} more`);
+    }
+    lines.push('', 'Rotate the affected credentials, then remove them from the history.');
+    return lines.join('\n');
+}
+
+module.exports = {
+    channels,
+    parseNotificationChannels,
+    sendNotifications
+};
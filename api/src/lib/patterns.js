@@ -0,0 +1,87 @@
+const { RE2 } = require('re2-wasm');
+
+/**
+ * RE2 patterns (re2-wasm) for regexes supplied by callers and repositories.
+ *
+ * Every compiled RE2 lives in the memory of the one WebAssembly instance,
+ * which the garbage collector does not manage and which cannot grow past its
+ * fixed size. Compiled patterns are therefore kept in a bounded cache keyed by
+ * source and flags and released as soon as they are evicted. A pattern object
+ * only holds its source: it looks its compiled form up on every match and
+ * compiles it again if it was evicted, so eviction never breaks a scan that is
+ * still using it.
+ */
+
+// A pattern that has matched holds tens of kilobytes of the 16 MB WebAssembly memory
+const MAX_CACHED_PATTERNS = 250;
+
+// `${flags}/${source}` -> RE2, least recently used first
+const compiled = new Map();
+
+/**
+ * A RE2 pattern with the part of the RegExp interface the scanners use
+ * (exec, test, lastIndex, source, flags). Throws on an invalid pattern.
+ */
+class CachedRE2 {
+    constructor(source, flags = 'u') {
+        const regex = lookup(source, flags);
+        this.pattern = source;
+        this.source = regex.source;
+        this.flags = regex.flags;
+        this.lastIndex = 0;
+    }
+
+    exec(text) {
+        // Synchronous from lookup to exec, so the compiled form cannot be evicted in between
+        const regex = lookup(this.pattern, this.flags);
+        regex.lastIndex = this.lastIndex;
+        const match = regex.exec(text);
+        this.lastIndex = regex.lastIndex;
+        return match;
+    }
+
+    test(text) {
+        return this.exec(text) !== null;
+    }
+}
+
+function compileRE2(source, flags = 'u') {
+    return new CachedRE2(source, flags);
+}
+
+/**
+ * Number of capture groups of a pattern, compiled once and released at once
+ */
+function countCaptureGroups(source) {
+    const regex = new RE2(`${source}|`, 'u');
+    try {
+        return regex.exec('').length - 1;
+    } finally {
+        regex.wrapper.delete();
+    }
+}
+
+function lookup(source, flags) {
+    const key = `${flags}/${source}`;
+    let regex = compiled.get(key);
+    if (regex) {
+        // Most recently used last
+        compiled.delete(key);
+    } else {
+        regex = new RE2(source, flags);
+    }
+
+    compiled.set(key, regex);
+    if (compiled.size > MAX_CACHED_PATTERNS) {
+        const [oldestKey, oldest] = compiled.entries().next().value;
+        compiled.delete(oldestKey);
+        oldest.wrapper.delete();
+    }
+    return regex;
+}
+
+module.exports = {
+    CachedRE2,
+    compileRE2,
+    countCaptureGroups
+};
@@ -0,0 +1,174 @@
+/**
+ * Git hosting providers.
+ *
+ * Parses repository URLs into a normalized { provider, host, owner, name }
+ * description with a clone URL, and builds provider-specific deep links to
+ * files and commits for scan results.
+ */
+
+const encodePath = (filePath) => filePath.split('/').map(encodeURIComponent).join('/');
+
+const providers = {
+    github: {
+        name: 'GitHub',
+        // Username paired with the token for HTTPS basic auth
+        tokenUsername: 'x-access-token',
+        matches: (host) => host === 'github.com' || host === 'www.github.com',
+        parsePath: (segments) => segments.length >= 2
+            ? { owner: segments[0], name: segments[1] }
+            : null,
+        fileUrl: (repo, commit, file, line) => `${repo.url}/blob/${commit}/${encodePath(file)}#L${line}`,
+        commitUrl: (repo, commit) => `${repo.url}/commit/${commit}`
+    },
+    gitlab: {
+        name: 'GitLab',
+        tokenUsername: 'oauth2',
+        // gitlab.com, gitlab.* hosts and any self-hosted instance listed in GITLAB_HOSTS
+        matches: (host) => host === 'gitlab.com' || host.startsWith('gitlab.') || listSetting('GITLAB_HOSTS').includes(host),
+        parsePath: (segments) => {
+            // Project paths may contain nested groups; `/-/` starts GitLab's own routes
+            const end = segments.indexOf('-');
+            const projectPath = end === -1 ? segments : segments.slice(0, end);
+            return projectPath.length >= 2
+                ? { owner: projectPath.slice(0, -1).join('/'), name: projectPath[projectPath.length - 1] }
+                : null;
+        },
+        fileUrl: (repo, commit, file, line) => `${repo.url}/-/blob/${commit}/${encodePath(file)}#L${line}`,
+        commitUrl: (repo, commit) => `${repo.url}/-/commit/${commit}`
+    },
+    bitbucket: {
+        name: 'Bitbucket',
+        tokenUsername: 'x-token-auth',
+        matches: (host) => host === 'bitbucket.org' || host === 'www.bitbucket.org',
+        parsePath: (segments) => segments.length >= 2
+            ? { owner: segments[0], name: segments[1] }
+            : null,
+        fileUrl: (repo, commit, file, line) => `${repo.url}/src/${commit}/${encodePath(file)}#lines-${line}`,
+        commitUrl: (repo, commit) => `${repo.url}/commits/${commit}`
+    },
+    azure: {
+        name: 'Azure Repos',
+        tokenUsername: 'pat',
+        matches: (host) => host === 'dev.azure.com' || host.endsWith('.visualstudio.com'),
+        parsePath: (segments, host) => {
+            // dev.azure.com/{org}/{project}/_git/{repo} or {org}.visualstudio.com/{project}/_git/{repo}
+            const gitIndex = segments.indexOf('_git');
+            if (gitIndex === -1 || !segments[gitIndex + 1]) return null;
+
+            const prefix = segments.slice(0, gitIndex);
+            const organization = host === 'dev.azure.com' ? prefix[0] : host.split('.')[0];
+            const project = host === 'dev.azure.com' ? prefix[1] : prefix[prefix.length - 1];
+            if (!organization || !project) return null;
+
+            return {
+                owner: `${organization}/${project}`,
+                name: segments[gitIndex + 1],
+                url: `https://dev.azure.com/${encodePath([organization, project, '_git', segments[gitIndex + 1]].join('/'))}`
+            };
+        },
+        fileUrl: (repo, commit, file, line) =>
+            `${repo.url}?path=${encodeURIComponent('/' + file)}&version=GC${commit}&line=${line}&lineEnd=${line}&lineStartColumn=1`,
+        commitUrl: (repo, commit) => `${repo.url}/commit/${commit}`
+    },
+    git: {
+        name: 'Git',
+        tokenUsername: 'x-access-token',
+        matches: () => true,
+        parsePath: (segments) => segments.length >= 1
+            ? { owner: segments.slice(0, -1).join('/'), name: segments[segments.length - 1] }
+            : null,
+        fileUrl: () => null,
+        commitUrl: () => null
+    }
+};
+
+/**
+ * Parse and validate a repository URL.
+ *
+ * Accepts https:// URLs for every provider and file:// remotes when the
+ * ALLOW_FILE_REMOTES app setting is enabled. Returns null when the URL is not
+ * a usable repository location.
+ */
+function parseRepositoryUrl(input) {
+    let url;
+    let segments;
+    try {
+        url = new URL(String(input).trim());
+        segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+        return null;
+    }
+
+    // Credentials belong in the Authorization header, not the URL
+    if (url.username || url.password) return null;
+
+    if (url.protocol === 'file:') {
+        if (process.env.ALLOW_FILE_REMOTES !== 'true') return null;
+        return describeRepository('git', url, segments, url.href);
+    }
+
+    if (url.protocol !== 'https:' || !url.hostname) return null;
+
+    const host = url.hostname.toLowerCase();
+    const providerId = Object.keys(providers).find(id => providers[id].matches(host));
+
+    // Known hosts get a canonical clone URL; anything else is cloned as given
+    const cloneUrl = providerId === 'git' ? `${url.origin}${url.pathname}` : null;
+    return describeRepository(providerId, url, segments, cloneUrl);
+}
+
+function describeRepository(providerId, url, segments, cloneUrl) {
+    const provider = providers[providerId];
+    const parsed = provider.parsePath(segments, url.hostname.toLowerCase());
+    if (!parsed) return null;
+
+    const name = parsed.name.replace(/\.git$/, '');
+    const repoUrl = parsed.url ||
+        (providerId === 'git' ? cloneUrl.replace(/\.git$/, '') : `${url.origin}/${parsed.owner}/${name}`);
+
+    return {
+        provider: providerId,
+        providerName: provider.name,
+        host: url.protocol === 'file:' ? 'localhost' : url.host.toLowerCase(),
+        owner: parsed.owner,
+        name,
+        url: repoUrl,
+        cloneUrl: cloneUrl || `${repoUrl}${providerId === 'azure' ? '' : '.git'}`
+    };
+}
+
+/**
+ * Deep links to a finding's file (at its commit) and commit, when the provider supports them
+ */
+function buildFindingLinks(repository, commit, file, line) {
+    const provider = providers[repository.provider];
+    if (!provider || !commit) {
+        return { file: null, commit: null };
+    }
+
+    return {
+        file: file ? provider.fileUrl(repository, commit, file, line || 1) : null,
+        commit: provider.commitUrl(repository, commit)
+    };
+}
+
+/**
+ * Username to pair with an access token when cloning from this repository's host
+ */
+function getTokenUsername(repository) {
+    return providers[repository.provider].tokenUsername;
+}
+
+function listSetting(name) {
+    return (process.env[name] || '')
+        .split(',')
+        .map(value => value.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+module.exports = {
+    providers,
+    parseRepositoryUrl,
+    buildFindingLinks,
+    getTokenUsername
+};
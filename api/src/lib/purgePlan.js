@@ -0,0 +1,295 @@
+const { VISIBLE_PREFIX, VISIBLE_SUFFIX, MIN_PARTIAL_LENGTH, hashSecret } = require('./redact');
+
+/**
+ * History purge plans: what it takes to remove the secrets of a scan from the
+ * repository's history with git filter-repo (or BFG).
+ *
+ * Replacement expressions need the secret values. When the caller may reveal
+ * secrets they are the literal values; otherwise each value is matched by a
+ * regex built from what its redacted form already shows (prefix, suffix and
+ * length), so the plan gives away no more than the findings do. Values too
+ * short for that, and findings that no longer carry their value (stored or
+ * carried-over findings), are listed as unresolved for the user to add.
+ *
+ * Secrets found by deep inspection inside a committed archive remove the
+ * archive itself; encoded ones cannot be matched by their decoded value and
+ * are listed as unresolved.
+ *
+ * Paths come from the scanned repository, so nothing in them may reach the
+ * script as shell syntax: paths holding control characters (a newline would
+ * end a comment) are never removed by the script but listed as unresolved,
+ * and text in comments has its control characters escaped.
+ */
+
+const REPLACEMENT = '***REMOVED***';
+
+// Whole private keys, whatever their value; these span lines, which git filter-repo handles
+const PRIVATE_KEY_EXPRESSION = 'regex:-----BEGIN[A-Z ]*PRIVATE KEY-----[\\s\\S]*?-----END[A-Z ]*PRIVATE KEY-----';
+
+// Files that only exist to hold secrets: removed from history and ignored from now on.
+// Examples and templates of them are meant to be committed.
+const SECRET_FILES = [
+    { pattern: /(^|\/)\.env(\.[\w-]+)*$/, gitignore: ['.env', '.env.*', '!.env.example'] },
+    { pattern: /\.(pem|key|p12|pfx|jks|keystore)$/i, extension: true },
+    { pattern: /(^|\/)id_(rsa|dsa|ecdsa|ed25519)$/ },
+    { pattern: /(^|\/)\.(netrc|git-credentials|pypirc|htpasswd)$/ },
+    { pattern: /\.(tfvars|tfstate)$/, extension: true }
+];
+const TEMPLATE_FILE = /\.(example|sample|template|dist)$/i;
+const CONTROL_CHARACTERS = /\p{Cc}/u;
+const COMMIT_HASH = /^[0-9a-f]{7,64}$/i;
+
+/**
+ * Build the purge plan of a scan result. `reveal` allows literal secret values
+ * in the replacement expressions.
+ */
+function buildPurgePlan(result, { scanId, reveal = false }) {
+    const expressions = new Set();
+    const unresolved = [];
+    const archives = [];
+
+    for (const finding of result.findings) {
+        if (finding.inspection && finding.inspection.kind === 'archive') {
+            archives.push(finding.inspection.path);
+            continue;
+        }
+
+        const expression = replacementExpression(finding, reveal);
+        if (expression.line) {
+            expressions.add(expression.line);
+        } else {
+            unresolved.push({
+                file: finding.file,
+                lineNumber: finding.lineNumber,
+                commit: finding.commit,
+                secretType: finding.secretType,
+                secretHash: finding.secretHash || hashSecret(finding.secret),
+                reason: expression.reason
+            });
+        }
+    }
+
+    const secretFiles = result.findings.map(finding => (finding.inspection ? finding.inspection.path : finding.file)).filter(isSecretFile);
+    const removePaths = [];
+    for (const file of [...new Set([...secretFiles, ...archives])].sort()) {
+        if (CONTROL_CHARACTERS.test(file)) {
+            unresolved.push({
+                file,
+                lineNumber: null,
+                commit: null,
+                secretType: 'Secret file',
+                secretHash: null,
+                reason: 'The path contains control characters; remove the file from the history by hand'
+            });
+        } else {
+            removePaths.push(file);
+        }
+    }
+    const replacements = [...expressions].map(line => `${line}==>${REPLACEMENT}`);
+    const commits = listCommits(result.findings);
+    const gitignore = [...new Set(removePaths.filter(isSecretFile).flatMap(gitignoreEntries))];
+
+    return {
+        scanId,
+        repository: result.repository,
+        scanDate: result.scanDate,
+        scope: result.scope ? result.scope.description : null,
+        revealed: reveal,
+        replacements: replacements.length > 0 ? `${replacements.join('\n')}\n` : '',
+        removePaths,
+        unresolved,
+        commits,
+        gitignore,
+        script: renderScript({ result, scanId, replacements, removePaths, commits, unresolved })
+    };
+}
+
+/**
+ * Line of a --replace-text file matching the finding's secret, or { reason }
+ * when it cannot be matched without the full value
+ */
+function replacementExpression(finding, reveal) {
+    const secret = finding.secret;
+    if (finding.inspection && ['base64', 'hex'].includes(finding.inspection.kind)) {
+        return { reason: `The value is ${finding.inspection.kind} encoded in ${finding.inspection.path}; replace the encoded value by hand or remove the file` };
+    }
+    if (isPrivateKey(finding)) {
+        return { line: PRIVATE_KEY_EXPRESSION };
+    }
+    if (!secret) {
+        return { reason: 'The value is no longer stored with this scan; rescan the repository or add it by hand' };
+    }
+
+    if (reveal) {
+        // Bare lines are literals for both tools; anything they would misread becomes a regex
+        const literal = !/\n|==>/.test(secret) && !/^(regex|glob|literal):/.test(secret);
+        return { line: literal ? secret : `regex:${escapeRegex(secret).replace(/\r?\n/g, '\\r?\\n')}` };
+    }
+
+    if (secret.length < MIN_PARTIAL_LENGTH || /\n/.test(secret)) {
+        return { reason: 'The value cannot be matched from its redacted form; add it by hand or use the reveal key' };
+    }
+    // Exactly what the mask shows: prefix, suffix and the length in between
+    const hidden = secret.length - VISIBLE_PREFIX - VISIBLE_SUFFIX;
+    const filler = /\s/.test(secret) ? '.' : '\\S';
+    return {
+        line: `regex:${escapeRegex(secret.slice(0, VISIBLE_PREFIX))}${filler}{${hidden}}${escapeRegex(secret.slice(-VISIBLE_SUFFIX))}`
+    };
+}
+
+function isPrivateKey(finding) {
+    return /private[-_ ]?key/i.test(finding.ruleId || '') || /PRIVATE KEY-----/.test(finding.secret || '');
+}
+
+/**
+ * Regex escaping understood by both Python (git filter-repo) and Java (BFG)
+ */
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function isSecretFile(file) {
+    return Boolean(file) && !TEMPLATE_FILE.test(file) && SECRET_FILES.some(({ pattern }) => pattern.test(file));
+}
+
+/**
+ * .gitignore patterns covering a secret file and its siblings
+ */
+function gitignoreEntries(file) {
+    const kind = SECRET_FILES.find(({ pattern }) => pattern.test(file));
+    const name = file.split('/').pop();
+    if (kind.gitignore) return kind.gitignore;
+    if (kind.extension) return [`*${name.slice(name.lastIndexOf('.'))}`];
+    return [name];
+}
+
+/**
+ * Commits with findings, oldest first: the rewrite changes them and every
+ * commit after them
+ */
+function listCommits(findings) {
+    const commits = new Map();
+    for (const finding of findings) {
+        if (!finding.commit) continue;
+
+        const entry = commits.get(finding.commit) || {
+            commit: finding.commit,
+            date: finding.date || null,
+            author: finding.author || null,
+            message: finding.commitMessage ? finding.commitMessage.split('\n')[0] : null,
+            files: [],
+            findings: 0
+        };
+        if (!entry.files.includes(finding.file)) entry.files.push(finding.file);
+        entry.findings++;
+        commits.set(finding.commit, entry);
+    }
+    return [...commits.values()].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+}
+
+/**
+ * Shell script running the plan on a fresh mirror clone. It stops before
+ * pushing so the rewritten history can be reviewed first.
+ */
+function renderScript({ result, scanId, replacements, removePaths, commits, unresolved }) {
+    const mirror = `${result.repository.name}.git`;
+    const lines = [
+        '#!/bin/sh',
+        `# Purge plan for ${commentText(result.repository.url)}`,
+        `# Scan ${commentText(scanId)} of ${commentText(result.scanDate)}${result.scope ? ` (${commentText(result.scope.description)})` : ''}`,
+        '#',
+        '# Requires git filter-repo: https://github.com/newren/git-filter-repo',
+        '# Rotate every detected credential first: rewriting history does not make',
+        '# a leaked secret safe again, since clones and forks keep the old commits.',
+        'set -eu',
+        '',
+        `REPO_URL=${shellQuote(result.repository.url)}`,
+        `MIRROR=${shellQuote(mirror)}`,
+        '',
+        '# 1. Fresh mirror clone with every branch and tag',
+        'git clone --mirror "$REPO_URL" "$MIRROR"',
+        'cd "$MIRROR"',
+        ''
+    ];
+
+    const commitHashes = commits.map(({ commit }) => commit).filter(commit => COMMIT_HASH.test(commit));
+    if (commitHashes.length > 0) {
+        lines.push(
+            '# 2. Branches and tags containing the affected commits',
+            `for commit in ${commitHashes.join(' ')}; do`,
+            '    echo "$commit:"',
+            '    git for-each-ref --contains "$commit" --format=\'    %(refname:short)\' 2>/dev/null || echo "    (not found)"',
+            'done',
+            ''
+        );
+    }
+
+    const filterArgs = [];
+    if (replacements.length > 0) {
+        lines.push(
+            '# 3. Values to replace in every file of every commit',
+            "cat > ../replacements.txt <<'REPLACEMENTS'",
+            ...replacements,
+            'REPLACEMENTS',
+            ''
+        );
+        filterArgs.push('--replace-text ../replacements.txt');
+    }
+    if (removePaths.length > 0) {
+        lines.push(
+            '# Files that only hold secrets are removed from every commit',
+            "printf '%s\\n' \\",
+            ...removePaths.map(file => `    ${shellQuote(file)} \\`),
+            '    > ../paths-to-remove.txt',
+            ''
+        );
+        filterArgs.push('--paths-from-file ../paths-to-remove.txt --invert-paths');
+    }
+    if (unresolved.length > 0) {
+        lines.push(
+            `# ${unresolved.length} finding${unresolved.length === 1 ? '' : 's'} could not be turned into a replacement;`,
+            '# add their values to ../replacements.txt before running the rewrite:',
+            ...unresolved.map(entry => `#   ${commentText([
+                entry.lineNumber ? `${entry.file}:${entry.lineNumber}` : entry.file,
+                entry.commit ? `(${entry.commit})` : null,
+                entry.secretType
+            ].filter(Boolean).join(' '))}`),
+            ''
+        );
+    }
+
+    if (filterArgs.length > 0) {
+        lines.push(
+            '# 4. Rewrite the history',
+            `git filter-repo ${filterArgs.join(' ')}`,
+            '# With BFG instead (it leaves the latest commit alone, so fix that one first):',
+            `#   java -jar bfg.jar${replacements.length > 0 ? ' --replace-text ../replacements.txt' : ''}${removePaths.length > 0 ? ` --delete-files '{${[...new Set(removePaths.map(file => file.split('/').pop()))].join(',')}}'` : ''} .`,
+            ''
+        );
+    }
+
+    lines.push(
+        '# 5. Review the result, then publish it (this rewrites every branch and tag):',
+        'echo "Rewritten history is in $(pwd). Check it, e.g. with git log -p, then run:"',
+        'echo "  git push --force --mirror \\"$REPO_URL\\""',
+        'echo "Afterwards ask collaborators to re-clone, and your git host to purge cached views of the old commits."',
+        ''
+    );
+    return lines.join('\n');
+}
+
+/**
+ * Text safe on a comment line: control characters are shown escaped
+ */
+function commentText(value) {
+    return String(value).replace(/\p{Cc}/gu,
+        character => `\\x${character.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+module.exports = {
+    buildPurgePlan
+};
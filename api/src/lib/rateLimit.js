@@ -0,0 +1,94 @@
+/**
+ * In-memory rate limiting of scan requests per client IP and per access token.
+ *
+ * Each limit is a sliding window: at most N requests in the last
+ * RATE_LIMIT_WINDOW_MS. Like jobs, counters are per Function App instance.
+ */
+
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60 * 60 * 1000;
+const LIMITS = {
+    ip: parseInt(process.env.RATE_LIMIT_PER_IP, 10) || 20,
+    token: parseInt(process.env.RATE_LIMIT_PER_TOKEN, 10) || 60
+};
+
+// Proxies between clients and the Functions front end that append to X-Forwarded-For
+const TRUSTED_PROXY_HOPS = parseInt(process.env.TRUSTED_PROXY_HOPS, 10) || 0;
+
+// key -> timestamps of requests within the window, oldest first
+const hits = new Map();
+
+/**
+ * Client address as seen by the Functions front end. Callers can send any
+ * X-Forwarded-For of their own, so only the entry appended by the front end
+ * (the last one, which Azure sends with a port) is used, or the one appended
+ * by the outermost of TRUSTED_PROXY_HOPS proxies in front of it (e.g. Azure
+ * Front Door).
+ */
+function getClientIp(request) {
+    const forwarded = (request.headers.get('x-forwarded-for') || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+    const ip = forwarded.length > 0
+        ? forwarded[Math.max(forwarded.length - 1 - TRUSTED_PROXY_HOPS, 0)]
+        : request.headers.get('x-client-ip');
+    if (!ip) return 'unknown';
+
+    // Strip the port from IPv4 (1.2.3.4:5678) and bracketed IPv6 ([::1]:5678) addresses
+    const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(ip);
+    if (bracketed) return bracketed[1];
+    return /^[\d.]+:\d+$/.test(ip) ? ip.split(':')[0] : ip;
+}
+
+/**
+ * Count a request against the caller's IP and token limits; `cost` counts it
+ * as that many requests (e.g. one per repository of a bulk scan).
+ * Returns { allowed: true } or { allowed: false, kind, limit, retryAfterSeconds },
+ * with retryAfterSeconds null when the cost exceeds the limit itself.
+ */
+function consumeRateLimit({ ip, tokenHash, cost = 1 }) {
+    const now = Date.now();
+    pruneExpiredHits(now);
+
+    const keys = [{ key: `ip:${ip}`, limit: LIMITS.ip, kind: 'ip' }];
+    if (tokenHash) keys.push({ key: `token:${tokenHash}`, limit: LIMITS.token, kind: 'token' });
+
+    for (const { key, limit, kind } of keys) {
+        const timestamps = hits.get(key) || [];
+        if (timestamps.length + cost > limit) {
+            // Enough of the oldest requests have to leave the window to make room
+            const freeing = timestamps[timestamps.length + cost - limit - 1];
+            return {
+                allowed: false,
+                kind,
+                limit,
+                retryAfterSeconds: cost > limit ? null : Math.max(1, Math.ceil((freeing + WINDOW_MS - now) / 1000))
+            };
+        }
+    }
+
+    // Only requests that pass every limit count against them
+    for (const { key } of keys) {
+        if (!hits.has(key)) hits.set(key, []);
+        for (let count = 0; count < cost; count++) {
+            hits.get(key).push(now);
+        }
+    }
+    return { allowed: true };
+}
+
+function pruneExpiredHits(now) {
+    const cutoff = now - WINDOW_MS;
+    for (const [key, timestamps] of hits) {
+        while (timestamps.length > 0 && timestamps[0] <= cutoff) {
+            timestamps.shift();
+        }
+        if (timestamps.length === 0) hits.delete(key);
+    }
+}
+
+module.exports = {
+    WINDOW_MS,
+    getClientIp,
+    consumeRateLimit
+};
@@ -0,0 +1,140 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { resolveEngine, getEngineVersion } = require('./engines');
+const { MAX_REPO_SIZE_BYTES, formatSize } = require('./repoSize');
+const { getScanStore } = require('./storage');
+
+/**
+ * Readiness of what a scan depends on, for `GET /ready`: git, the default scan
+ * engine (SCAN_ENGINE), the temporary directory repositories are cloned
+ * into and the store scan history is kept in (STORAGE_PROVIDER). Every check runs under a time limit and reports its own details, so a
+ * failure names the dependency that is missing.
+ */
+
+const CHECK_TIMEOUT_MS = 20000;
+// Room for one clone of the largest repository that may be scanned, unless configured
+const MIN_FREE_TEMP_BYTES = process.env.READY_MIN_FREE_TEMP_MB
+    ? parseInt(process.env.READY_MIN_FREE_TEMP_MB, 10) * 1024 * 1024
+    : MAX_REPO_SIZE_BYTES;
+
+const checks = {
+    git: checkGit,
+    engine: checkEngine,
+    tempDirectory: checkTempDirectory,
+    store: checkStore
+};
+
+// Probes arriving while a check is running share its outcome
+let pending = null;
+
+/**
+ * Run every check. Resolves with { ready, checks: { <name>: { ok, ... } } }.
+ */
+function checkReadiness() {
+    if (!pending) {
+        pending = runChecks().finally(() => { pending = null; });
+    }
+    return pending;
+}
+
+async function runChecks() {
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map(name => runCheck(checks[name])));
+    return {
+        ready: results.every(result => result.ok),
+        checks: Object.fromEntries(names.map((name, index) => [name, results[index]]))
+    };
+}
+
+async function runCheck(check) {
+    const started = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${CHECK_TIMEOUT_MS / 1000} seconds`)), CHECK_TIMEOUT_MS);
+    });
+
+    try {
+        const details = await Promise.race([check(), timeout]);
+        return { ok: true, ...details, durationMs: Date.now() - started };
+    } catch (error) {
+        return { ok: false, ...error.details, error: error.message, durationMs: Date.now() - started };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function checkGit() {
+    const output = await new Promise((resolve, reject) => {
+        execFile('git', ['--version'], { timeout: CHECK_TIMEOUT_MS }, (error, stdout) => {
+            if (error) reject(new Error(error.code === 'ENOENT' ? 'git is not installed' : error.message));
+            else resolve(stdout.trim());
+        });
+    });
+    return { version: output.replace(/^git version\s*/, '') };
+}
+
+async function checkEngine() {
+    const engine = resolveEngine();
+    if (!engine) {
+        throw new Error(`SCAN_ENGINE names an unknown engine: ${process.env.SCAN_ENGINE}`);
+    }
+
+    const details = { id: engine.id, name: engine.name };
+    try {
+        const availability = await engine.checkAvailable();
+        return { ...details, version: await getEngineVersion(engine), ...availability };
+    } catch (error) {
+        error.details = details;
+        throw error;
+    }
+}
+
+/**
+ * Temp space is writable and has room for a clone
+ */
+async function checkTempDirectory() {
+    const tempDir = os.tmpdir();
+    const probeDir = await fs.mkdtemp(path.join(tempDir, 'ready-'));
+    try {
+        const probeFile = path.join(probeDir, 'probe');
+        await fs.writeFile(probeFile, 'ready');
+        await fs.readFile(probeFile);
+    } finally {
+        await fs.rm(probeDir, { recursive: true, force: true });
+    }
+
+    const stats = await fs.statfs(tempDir);
+    const freeBytes = stats.bavail * stats.bsize;
+    const details = {
+        path: tempDir,
+        freeBytes,
+        free: formatSize(freeBytes),
+        minFreeBytes: MIN_FREE_TEMP_BYTES
+    };
+    if (freeBytes < MIN_FREE_TEMP_BYTES) {
+        const error = new Error(`Only ${formatSize(freeBytes)} free; scans need at least ${formatSize(MIN_FREE_TEMP_BYTES)}`);
+        error.details = details;
+        throw error;
+    }
+    return details;
+}
+
+/**
+ * The scan store answers a lookup; an unknown scan is fine, an error is not
+ */
+async function checkStore() {
+    const details = { provider: (process.env.STORAGE_PROVIDER || 'file').toLowerCase() };
+    try {
+        await getScanStore().getScan('readiness-probe');
+        return details;
+    } catch (error) {
+        error.details = details;
+        throw error;
+    }
+}
+
+module.exports = {
+    checkReadiness
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+/**
+ * Secret redaction for anything that leaves the scanner.
+ *
+ * Findings are redacted by default; full values are only handed to callers
+ * that opted in with a valid reveal key (see credentials.isRevealAuthorized).
+ */
+
+// Characters kept visible at each end of a secret so users can recognise it
+const VISIBLE_PREFIX = 4;
+const VISIBLE_SUFFIX = 2;
+// Secrets shorter than this are masked completely
+const MIN_PARTIAL_LENGTH = 12;
+
+/**
+ * Mask a secret, keeping a short prefix and suffix for long values
+ */
+function maskSecret(secret) {
+    if (!secret) return '';
+
+    const value = String(secret);
+    if (value.length < MIN_PARTIAL_LENGTH) {
+        return '*'.repeat(value.length);
+    }
+
+    const hidden = value.length - VISIBLE_PREFIX - VISIBLE_SUFFIX;
+    return `${value.slice(0, VISIBLE_PREFIX)}${'*'.repeat(hidden)}${value.slice(-VISIBLE_SUFFIX)}`;
+}
+
+/**
+ * Replace every occurrence of the secret inside a snippet with its mask.
+ * Without a known secret value the whole snippet is masked.
+ */
+function redactSnippet(snippet, secret) {
+    if (!snippet) return '';
+    if (!secret) return maskSecret(snippet);
+
+    return String(snippet).split(secret).join(maskSecret(secret));
+}
+
+/**
+ * Stable, non-reversible identifier of a secret value, so the same secret can
+ * be recognised across files, commits and scans without exposing it
+ */
+function hashSecret(secret) {
+    if (!secret) return null;
+    return crypto.createHash('sha256').update(String(secret)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Copy of a formatted finding that is safe to hand out: the raw secret is
+ * dropped and the snippet redacted
+ */
+function redactFinding(finding) {
+    // Stored results are already redacted and no longer carry the secret
+    if (finding.redacted) return finding;
+
+    const { secret, ...rest } = finding;
+    return {
+        ...rest,
+        snippet: redactSnippet(finding.snippet, secret),
+        secretHash: hashSecret(secret),
+        redacted: true
+    };
+}
+
+/**
+ * Copy of a formatted finding for authorized callers: the redacted fields plus
+ * the full secret and unredacted snippet
+ */
+function revealFinding(finding) {
+    // Findings carried over from a stored scan have no secret left to reveal
+    if (finding.redacted) return finding;
+
+    return {
+        ...redactFinding(finding),
+        secret: finding.secret,
+        rawSnippet: finding.snippet,
+        redacted: false
+    };
+}
+
+/**
+ * Copy of a scan result with every finding redacted (or revealed)
+ */
+function redactResult(result, { reveal = false } = {}) {
+    if (!result) return result;
+
+    return {
+        ...result,
+        findings: result.findings.map(reveal ? revealFinding : redactFinding)
+    };
+}
+
+module.exports = {
+    VISIBLE_PREFIX,
+    VISIBLE_SUFFIX,
+    MIN_PARTIAL_LENGTH,
+    maskSecret,
+    redactSnippet,
+    hashSecret,
+    redactFinding,
+    revealFinding,
+    redactResult
+};
@@ -0,0 +1,67 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Repository size limits (MAX_REPO_SIZE_MB), checked with the host's API
+ * before cloning where the host reports sizes, and on disk after cloning.
+ */
+
+const MAX_REPO_SIZE_BYTES = (parseInt(process.env.MAX_REPO_SIZE_MB, 10) || 500) * 1024 * 1024;
+const LOOKUP_TIMEOUT_MS = 5000;
+
+/**
+ * Size of the repository in bytes as reported by its host, or null when the
+ * host does not say (the on-disk check still applies then)
+ */
+async function fetchRemoteRepositorySize(repository, token) {
+    if (repository.provider !== 'github' || repository.host !== 'github.com') return null;
+
+    try {
+        const baseUrl = process.env.GITHUB_API_URL || 'https://api.github.com';
+        const response = await axios.get(`${baseUrl.replace(/\/$/, '')}/repos/${repository.owner}/${repository.name}`, {
+            headers: {
+                Accept: 'application/vnd.github+json',
+                'User-Agent': 'SecretSniffer',
+                ...(token ? { Authorization: `token ${token}` } : {})
+            },
+            timeout: LOOKUP_TIMEOUT_MS,
+            validateStatus: () => true
+        });
+
+        // GitHub reports the size in kilobytes
+        return response.status === 200 && typeof response.data.size === 'number'
+            ? response.data.size * 1024
+            : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Total size of the files below a directory (including .git)
+ */
+async function measureDirectorySize(dir) {
+    let total = 0;
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            total += await measureDirectorySize(entryPath);
+        } else if (entry.isFile()) {
+            total += (await fs.lstat(entryPath)).size;
+        }
+    }
+    return total;
+}
+
+function formatSize(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+module.exports = {
+    MAX_REPO_SIZE_BYTES,
+    fetchRemoteRepositorySize,
+    measureDirectorySize,
+    formatSize
+};
@@ -0,0 +1,154 @@
+const { redactFinding, redactResult } = require('./redact');
+
+/**
+ * Export formats for scan results. Every format is built from redacted
+ * findings, so secret values never end up in a downloaded report.
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/0tieno/secretsniffer';
+
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+// GitHub code scanning maps this score onto its own critical/high/medium/low scale
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.0', low: '2.0' };
+
+const CSV_COLUMNS = ['id', 'fingerprint', 'file', 'lineNumber', 'secretType', 'ruleId', 'severity', 'verified', 'commit', 'author', 'date', 'snippet'];
+
+const formats = {
+    json: {
+        contentType: 'application/json',
+        extension: 'json',
+        render: (result) => JSON.stringify(redactResult(result), null, 2)
+    },
+    sarif: {
+        contentType: 'application/sarif+json',
+        extension: 'sarif',
+        render: (result) => JSON.stringify(toSarif(result), null, 2)
+    },
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        render: (result) => toCsv(result)
+    }
+};
+
+/**
+ * Render a scan result in the requested format. Returns null for unknown formats.
+ */
+function renderReport(result, format) {
+    const definition = formats[String(format).toLowerCase()];
+    if (!definition) return null;
+
+    return {
+        contentType: definition.contentType,
+        fileName: `${String(result.repoName || 'scan').replace(/[^\w.-]+/g, '_')}-secrets.${definition.extension}`,
+        body: definition.render(result)
+    };
+}
+
+/**
+ * SARIF 2.1.0 log with one rule per detected rule id
+ */
+function toSarif(result) {
+    const findings = result.findings.map(redactFinding);
+
+    const rules = [];
+    const ruleIndexes = new Map();
+    for (const finding of findings) {
+        if (ruleIndexes.has(finding.ruleId)) continue;
+
+        ruleIndexes.set(finding.ruleId, rules.length);
+        rules.push({
+            id: finding.ruleId,
+            name: finding.secretType.replace(/[^A-Za-z0-9]+/g, ''),
+            shortDescription: { text: finding.secretType },
+            fullDescription: { text: finding.ruleDescription || finding.secretType },
+            help: {
+                text: 'Rotate the exposed credential, remove it from the repository history and load it from a secrets manager or environment variable instead.'
+            },
+            defaultConfiguration: { level: SARIF_LEVELS[finding.severity] || 'warning' },
+            properties: {
+                tags: ['security', 'secret'],
+                precision: 'high',
+                'security-severity': SECURITY_SEVERITY[finding.severity] || SECURITY_SEVERITY.medium
+            }
+        });
+    }
+
+    const results = findings.map(finding => ({
+        ruleId: finding.ruleId,
+        ruleIndex: ruleIndexes.get(finding.ruleId),
+        level: SARIF_LEVELS[finding.severity] || 'warning',
+        message: {
+            text: `${finding.secretType} detected${finding.inspection ? ` in ${finding.file}` : ''}${finding.commit ? ` in commit ${finding.commit}` : ''}: ${finding.snippet}`
+        },
+        // Deep inspection findings point at the repository file holding the archive, notebook or value
+        locations: [{
+            physicalLocation: {
+                artifactLocation: { uri: finding.inspection ? finding.inspection.path : finding.file, uriBaseId: '%SRCROOT%' },
+                region: {
+                    startLine: (finding.inspection ? finding.inspection.line : finding.lineNumber) || 1,
+                    snippet: { text: finding.snippet }
+                }
+            }
+        }],
+        partialFingerprints: {
+            'secretsniffer/v1': finding.fingerprint
+        },
+        properties: {
+            commit: finding.commit,
+            author: finding.author,
+            date: finding.date,
+            entropy: finding.entropy,
+            verified: finding.verified
+        }
+    }));
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: result.scanEngine,
+                    version: result.version,
+                    informationUri: INFORMATION_URI,
+                    rules
+                }
+            },
+            versionControlProvenance: result.repository ? [{ repositoryUri: result.repository.url }] : undefined,
+            invocations: [{
+                executionSuccessful: true,
+                endTimeUtc: result.scanDate
+            }],
+            results
+        }]
+    };
+}
+
+/**
+ * One CSV row per finding
+ */
+function toCsv(result) {
+    const rows = result.findings
+        .map(redactFinding)
+        .map(finding => CSV_COLUMNS.map(column => csvCell(finding[column])).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+
+    let text = String(value);
+    // Keep spreadsheets from evaluating cell content as a formula
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+    formats,
+    renderReport
+};
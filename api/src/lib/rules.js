@@ -0,0 +1,130 @@
+/**
+ * Built-in detection rules for the native scan engine.
+ *
+ * Rule ids follow the Gitleaks naming so findings from either engine map to
+ * the same secret types and severities. Each rule has:
+ *   - id:          stable rule identifier
+ *   - description: human readable description (mirrors Gitleaks' Description)
+ *   - regex:       pattern run against a single line; capture group 1 is the secret
+ *   - keywords:    lowercase prefilter, the regex only runs when one is present
+ *   - entropy:     minimum Shannon entropy of the secret (optional)
+ *   - fallback:    only report when no specific rule matched the same secret
+ */
+const defaultRules = [
+    {
+        id: 'aws-access-token',
+        description: 'AWS Access Key ID',
+        regex: /\b((?:A3T[A-Z0-9]|AKIA|ASIA|ABIA|ACCA)[A-Z0-9]{16})\b/,
+        keywords: ['a3t', 'akia', 'asia', 'abia', 'acca']
+    },
+    {
+        id: 'github-pat',
+        description: 'GitHub Personal Access Token',
+        regex: /\b(ghp_[0-9a-zA-Z]{36})\b/,
+        keywords: ['ghp_']
+    },
+    {
+        id: 'github-fine-grained-pat',
+        description: 'GitHub Fine-Grained Personal Access Token',
+        regex: /\b(github_pat_[0-9a-zA-Z_]{82})\b/,
+        keywords: ['github_pat_']
+    },
+    {
+        id: 'github-oauth',
+        description: 'GitHub OAuth Access Token',
+        regex: /\b(gho_[0-9a-zA-Z]{36})\b/,
+        keywords: ['gho_']
+    },
+    {
+        id: 'github-app-token',
+        description: 'GitHub App Token',
+        regex: /\b((?:ghu|ghs)_[0-9a-zA-Z]{36})\b/,
+        keywords: ['ghu_', 'ghs_']
+    },
+    {
+        id: 'slack-bot-token',
+        description: 'Slack Bot Token',
+        regex: /\b(xoxb-[0-9]{10,13}-[0-9]{10,13}[a-zA-Z0-9-]*)/,
+        keywords: ['xoxb']
+    },
+    {
+        id: 'slack-user-token',
+        description: 'Slack User Token',
+        regex: /\b(xox[pe](?:-[0-9]{10,13}){3}-[a-zA-Z0-9-]{28,34})/,
+        keywords: ['xoxp-', 'xoxe-']
+    },
+    {
+        id: 'slack-webhook-url',
+        description: 'Slack Webhook URL',
+        regex: /(https?:\/\/hooks\.slack\.com\/(?:services|workflows)\/[A-Za-z0-9+/]{43,46})/,
+        keywords: ['hooks.slack.com']
+    },
+    {
+        id: 'discord-bot-token',
+        description: 'Discord Bot Token',
+        regex: /\b([MN][A-Za-z\d]{23,25}\.[\w-]{6}\.[\w-]{27,38})\b/,
+        keywords: []
+    },
+    {
+        id: 'stripe-access-token',
+        description: 'Stripe Access Token',
+        regex: /\b((?:sk|rk)_(?:test|live|prod)_[a-zA-Z0-9]{10,99})\b/,
+        keywords: ['sk_test', 'sk_live', 'sk_prod', 'rk_test', 'rk_live', 'rk_prod']
+    },
+    {
+        id: 'gcp-api-key',
+        description: 'Google Cloud API Key',
+        regex: /\b(AIza[0-9A-Za-z_-]{35})\b/,
+        keywords: ['aiza']
+    },
+    {
+        id: 'private-key',
+        description: 'Private Key',
+        regex: /(-----BEGIN[ A-Z0-9_-]{0,100}PRIVATE KEY(?: BLOCK)?-----)/,
+        keywords: ['-----begin']
+    },
+    {
+        id: 'jwt',
+        description: 'JSON Web Token',
+        regex: /\b(ey[a-zA-Z0-9]{17,}\.ey[a-zA-Z0-9/\\_-]{17,}\.(?:[a-zA-Z0-9/\\_-]{10,}={0,2})?)/,
+        keywords: ['eyj']
+    },
+    {
+        id: 'database-password',
+        description: 'Database Connection String Password',
+        regex: /\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|redis|rediss|amqps?|mssql):\/\/[^\s:@/]+:([^\s:@/]{4,})@/,
+        keywords: ['://']
+    },
+    {
+        id: 'generic-api-key',
+        description: 'Generic API Key',
+        regex: /(?:api[_-]?key|apikey|secret|token|passwd|password|auth|access[_-]?key|client[_-]?secret)[\w.-]{0,20}['"]?\s*(?:[:=]|=>|:=)\s*['"]?([0-9a-zA-Z\-_=+/.]{16,150})['"]?/i,
+        keywords: ['key', 'api', 'token', 'secret', 'passwd', 'password', 'auth', 'access'],
+        entropy: 3.5,
+        fallback: true
+    }
+];
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+function shannonEntropy(value) {
+    if (!value) return 0;
+
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+module.exports = {
+    defaultRules,
+    shannonEntropy
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const simpleGit = require('simple-git');
+const { gitAuthEnv } = require('./credentials');
+const { getTokenUsername } = require('./providers');
+const { redactResult } = require('./redact');
+const { incrementCounter } = require('./metrics');
+
+/**
+ * Cache of scan results keyed by repository, the commit(s) the scope resolves
+ * to on the remote, and every option that affects the result.
+ *
+ * Entries live in an in-memory LRU (SCAN_CACHE_SIZE) and, when SCAN_CACHE_DIR
+ * is set, on disk as well so they survive restarts. The disk holds at most
+ * SCAN_CACHE_SIZE entries too, the most recently written ones, and expired
+ * files are deleted when they are read or when an entry is written. Only redacted results are
+ * cached, so requests that reveal secret values always run a fresh scan.
+ */
+
+const CACHE_SIZE = parseInt(process.env.SCAN_CACHE_SIZE, 10) || 50;
+// Verification statuses and the rules themselves age, so entries expire
+const CACHE_TTL_MS = parseInt(process.env.SCAN_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+// key -> { result, cachedAt }, least recently used first
+const entries = new Map();
+
+/**
+ * What the scope points at on the remote right now: the commit of the branch
+ * (or HEAD), or a digest of all branch heads. Null if the remote cannot be
+ * listed, in which case the scan is simply not cached.
+ */
+async function resolveRemoteHead(repository, scope, token) {
+    try {
+        const git = simpleGit().env(gitAuthEnv(token, getTokenUsername(repository)));
+        const refs = parseLsRemote(await git.listRemote([repository.cloneUrl]));
+
+        if (scope.allBranches) {
+            const heads = [...refs.entries()]
+                .filter(([ref]) => ref.startsWith('refs/heads/'))
+                .map(([ref, commit]) => `${commit} ${ref}`)
+                .sort();
+            return heads.length > 0 ? `refs:${sha256(heads.join('\n')).slice(0, 40)}` : null;
+        }
+
+        // An explicit range ends at `until`, whatever the branch heads point at now
+        const ref = scope.until || scope.branch;
+        if (ref) {
+            return refs.get(`refs/tags/${ref}^{}`) || refs.get(`refs/tags/${ref}`) ||
+                refs.get(`refs/heads/${ref}`) ||
+                // A commit id names the same content forever
+                (scope.until && /^[0-9a-f]{7,40}$/i.test(ref) ? ref.toLowerCase() : null);
+        }
+        return refs.get('HEAD') || null;
+    } catch {
+        return null;
+    }
+}
+
+function parseLsRemote(output) {
+    const refs = new Map();
+    for (const line of output.split('\n')) {
+        const [commit, ref] = line.trim().split(/\s+/);
+        if (commit && ref) refs.set(ref, commit);
+    }
+    return refs;
+}
+
+/**
+ * Cache key for a scan; any option that changes the result must be part of it,
+ * including the version the engine reports (see engines.getEngineVersion)
+ */
+function scanCacheKey({ repository, headCommit, engine, engineVersion, scope, customRules, allowlist, baseline, baseScanId, verify, inspect, ownerTokenHash }) {
+    return sha256(JSON.stringify({
+        repo: repository.url,
+        headCommit,
+        engine: `${engine.id}@${engineVersion}`,
+        scope,
+        rules: customRules.map(rule => [rule.id, rule.regex.source, rule.keywords, rule.entropy, rule.type, rule.severity]),
+        allowlist: allowlist || null,
+        baseline: baseline ? [...baseline].sort() : null,
+        // Incremental results include the base scan's findings
+        baseScanId: baseScanId || null,
+        verify: Boolean(verify),
+        inspect: Boolean(inspect),
+        // Results of scans run with a token stay private to that token
+        owner: ownerTokenHash || null
+    }));
+}
+
+/**
+ * Cached result for a key, or null
+ */
+async function getCachedScan(key) {
+    let entry = entries.get(key);
+    if (!entry && process.env.SCAN_CACHE_DIR) {
+        entry = await readDiskEntry(key);
+    }
+    if (!entry) return null;
+
+    if (Date.now() - Date.parse(entry.cachedAt) > CACHE_TTL_MS) {
+        entries.delete(key);
+        if (process.env.SCAN_CACHE_DIR) {
+            await removeDiskEntry(`${key}.json`);
+        }
+        return null;
+    }
+
+    // Move to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    incrementCounter('scan_cache_hits_total');
+    return { ...entry.result, cached: true, cachedAt: entry.cachedAt };
+}
+
+/**
+ * Store a finished scan's result (redacted) under its key
+ */
+async function cacheScan(key, result) {
+    const entry = { result: redactResult(result), cachedAt: new Date().toISOString() };
+
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > CACHE_SIZE) {
+        entries.delete(entries.keys().next().value);
+    }
+
+    if (process.env.SCAN_CACHE_DIR) {
+        await fs.mkdir(process.env.SCAN_CACHE_DIR, { recursive: true });
+        await fs.writeFile(path.join(process.env.SCAN_CACHE_DIR, `${key}.json`), JSON.stringify(entry));
+        await pruneDiskEntries();
+    }
+}
+
+async function readDiskEntry(key) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(process.env.SCAN_CACHE_DIR, `${key}.json`), 'utf8'));
+    } catch (error) {
+        // A file that cannot be parsed will never be a hit
+        if (error.code !== 'ENOENT') await removeDiskEntry(`${key}.json`);
+        return null;
+    }
+}
+
+/**
+ * Delete expired cache files, then the oldest ones beyond SCAN_CACHE_SIZE.
+ * A file's modification time is when its entry was cached.
+ */
+async function pruneDiskEntries() {
+    const dir = process.env.SCAN_CACHE_DIR;
+    const names = (await fs.readdir(dir)).filter(name => /^[0-9a-f]{64}\.json$/.test(name));
+    const files = await Promise.all(names.map(async name => {
+        const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+        return stat && { name, cachedAt: stat.mtimeMs };
+    }));
+
+    const now = Date.now();
+    const current = files
+        .filter(Boolean)
+        .sort((a, b) => b.cachedAt - a.cachedAt)
+        .filter(file => now - file.cachedAt <= CACHE_TTL_MS);
+    const kept = new Set(current.slice(0, CACHE_SIZE).map(file => file.name));
+
+    await Promise.all(names.filter(name => !kept.has(name)).map(removeDiskEntry));
+}
+
+async function removeDiskEntry(name) {
+    // Another instance may have removed it already
+    await fs.rm(path.join(process.env.SCAN_CACHE_DIR, name), { force: true });
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+module.exports = {
+    resolveRemoteHead,
+    scanCacheKey,
+    getCachedScan,
+    cacheScan
+};
@@ -0,0 +1,474 @@
+const simpleGit = require('simple-git');
+const fs = require('fs').promises;
+const path = require('path');
+const tmp = require('tmp');
+const { setJobState, setJobProgress } = require('./jobs');
+const { getEngineVersion } = require('./engines');
+const { gitAuthEnv, scrubToken } = require('./credentials');
+const { buildFindingLinks, getTokenUsername } = require('./providers');
+const { getCloneArgs, getLogRevisions, describeScope } = require('./scanScope');
+const { fingerprintFinding, loadRepositoryAllowlists, applySuppressions } = require('./suppressions');
+const { loadAppRules, mergeRules } = require('./customRules');
+const { verifyFindings } = require('./verifiers');
+const { inspectRepository } = require('./inspection');
+const { addCodeContext } = require('./codeContext');
+const { cacheScan } = require('./scanCache');
+const { MAX_REPO_SIZE_BYTES, measureDirectorySize, formatSize } = require('./repoSize');
+const { recordScan, mergeWithBaseScan } = require('./history');
+const { createLogger } = require('./logger');
+const { recordScanMetrics } = require('./metrics');
+
+/**
+ * The scan pipeline shared by every way of starting a scan (the scan API, the
+ * GitHub webhook, bulk scans and the CLI): clone the repository into a
+ * temporary directory (or use a local directory as it is), run the engine over
+ * the scoped history, optionally inspect archives, notebooks and encoded or
+ * configuration values (see inspection.js), drop suppressed findings,
+ * optionally verify credentials, attach code context and merge incremental
+ * results with their base scan.
+ */
+
+// Incremental clones are deepened in doubling steps from this size before fetching everything
+const DEEPEN_STEP = 50;
+const MAX_DEEPEN_ATTEMPTS = 6;
+
+/**
+ * Run the pipeline for one repository and return the formatted result, which
+ * still carries the raw secrets (redact before handing it out).
+ *
+ * With `localPath` the directory is scanned in place instead of cloning
+ * `repository` (see describeLocalRepository); a directory that is not a git
+ * repository, or any directory with `noGit`, has its files scanned rather
+ * than its history.
+ *
+ * `onState` is told when a new phase (cloning, scanning, inspecting,
+ * formatting, verifying) starts and `onProgress` receives the engine's progress (0-1).
+ * `stats.phases` collects how long each phase took (ms) and
+ * `stats.repoSizeBytes` the size of the clone.
+ */
+async function runScanPipeline({ repository, engine, scope, localPath = null, noGit = false, requestRules = [], allowlist = null, baseline = null, verify = false, inspect = false, baseScan = null, token = null }, context, { onState = () => {}, onProgress = () => {}, stats = {} } = {}) {
+    let tmpDir;
+    stats.phases = stats.phases || {};
+    const timed = async (phase, work) => {
+        const started = Date.now();
+        try {
+            return await work();
+        } finally {
+            stats.phases[phase] = Date.now() - started;
+        }
+    };
+
+    try {
+        // Request rules take precedence over app-level rules with the same id
+        const customRules = mergeRules(await loadAppRules(), requestRules);
+
+        let repoPath = localPath;
+        if (!localPath) {
+            // Create temporary directory for cloning
+            tmpDir = await createTempDirectory();
+            repoPath = tmpDir;
+            context.log(`Created temporary directory: ${tmpDir}`);
+
+            // Clone repository
+            onState('cloning');
+            await timed('clone', async () => {
+                await cloneRepository(repository, tmpDir, scope, context, token);
+                if (scope.incremental) {
+                    await deepenToCommit(repository, tmpDir, scope, context, token);
+                }
+            });
+
+            // Hosts without a size API are only checked once the clone is on disk
+            const clonedSize = await measureDirectorySize(tmpDir);
+            stats.repoSizeBytes = clonedSize;
+            if (clonedSize > MAX_REPO_SIZE_BYTES) {
+                const sizeError = new Error(`Cloned repository is ${formatSize(clonedSize)}`);
+                sizeError.publicMessage = `The repository is ${formatSize(clonedSize)}; the maximum size that can be scanned is ${formatSize(MAX_REPO_SIZE_BYTES)}.`;
+                throw sizeError;
+            }
+        }
+
+        const useGit = !noGit && await isGitRepository(repoPath);
+        const clonedHead = useGit ? (await simpleGit(repoPath).revparse(['HEAD'])).trim() : null;
+
+        // A clone only holds the commits the scope asks for; a local repository has them all
+        const revisions = localPath && scope.depth
+            ? [`--max-count=${scope.depth}`, ...getLogRevisions(scope)]
+            : getLogRevisions(scope);
+
+        // Run secret scan with the selected engine
+        onState('scanning');
+        let scanResults = await timed('scan', () => engine.scan(repoPath, context, {
+            revisions: useGit ? revisions : undefined,
+            noGit: !useGit,
+            customRules,
+            onProgress
+        }));
+
+        if (inspect) {
+            onState('inspecting');
+            // Gitleaks hands back its raw JSON report, the native engine an array
+            const engineFindings = typeof scanResults === 'string' ? JSON.parse(scanResults) : scanResults;
+            const inspected = await timed('inspect', () => inspectRepository(repoPath, {
+                customRules,
+                useGit,
+                scope,
+                knownFindings: engineFindings
+            }, context));
+            scanResults = [...engineFindings, ...inspected];
+        }
+
+        // Process and format results, honouring the repository's and the request's allowlists
+        onState('formatting');
+        let formattedResults = await timed('format', async () => {
+            const allowlists = await loadRepositoryAllowlists(repoPath, context);
+            if (allowlist) allowlists.push(allowlist);
+
+            return formatScanResults(scanResults, {
+                repository,
+                engine,
+                // Without history there are no commits to limit the scan to
+                scope: useGit ? scope : { ...scope, depth: null, noGit: true },
+                customRules,
+                allowlists,
+                baseline,
+                headCommit: clonedHead
+            }, context);
+        });
+
+        // Needs the raw secrets, so it runs before anything is redacted or stored
+        if (verify) {
+            onState('verifying');
+            const { findings, summary } = await timed('verify', () => verifyFindings(formattedResults.findings, context));
+            formattedResults = { ...formattedResults, findings, verification: summary };
+        }
+
+        // The surrounding lines can only be read while the clone exists
+        formattedResults = {
+            ...formattedResults,
+            findings: await timed('context', () => addCodeContext(repoPath, formattedResults.findings, context))
+        };
+
+        if (scope.incremental) {
+            formattedResults = mergeWithBaseScan(formattedResults, baseScan);
+        }
+
+        return formattedResults;
+    } finally {
+        // Cleanup temporary directory
+        if (tmpDir) {
+            await cleanupTempDirectory(tmpDir, context);
+        }
+    }
+}
+
+/**
+ * Run the pipeline as a background job: each phase is recorded on the job,
+ * the finished scan is added to the history (unless `recordHistory` is false)
+ * and, when `cacheKey` is given, cached. Its timings, repository size and finding count go to the log and
+ * the metrics. Resolves with the result, or null once the job has failed.
+ *
+ * `headCommit` is the remote head resolved before cloning (for the cache).
+ */
+async function runScanJob(jobId, { ownerTokenHash, headCommit, cacheKey, recordHistory = true, ...scan }, context) {
+    const log = createLogger(context, { jobId }, { secrets: [scan.token] });
+    const stats = {};
+    try {
+        const formattedResults = await runScanPipeline(scan, log, {
+            onState: (state) => setJobState(jobId, state),
+            onProgress: (fraction) => setJobProgress(jobId, fraction),
+            stats
+        });
+
+        log.log('Scan job completed', {
+            repository: scan.repository.url,
+            engine: scan.engine.id,
+            findings: formattedResults.totalSecrets,
+            suppressed: formattedResults.suppressed.total,
+            repoSizeBytes: stats.repoSizeBytes ?? null,
+            phases: stats.phases
+        });
+        recordScanMetrics({ engine: scan.engine.id, outcome: 'succeeded', ...stats, findings: formattedResults.totalSecrets });
+
+        // Recorded before the job is done so clients can load its history entry right away.
+        // History is best effort: a storage outage must not fail a finished scan
+        if (recordHistory) {
+            try {
+                await recordScan({ id: jobId, result: formattedResults, ownerTokenHash }, log);
+            } catch (error) {
+                log.warn('Failed to record scan in history:', error);
+            }
+        }
+
+        setJobState(jobId, 'done', { result: formattedResults });
+
+        // Only cache what was resolved before cloning; the branch may have moved since
+        const { scope } = scan;
+        const sameHead = scope.allBranches || scope.until || formattedResults.headCommit === headCommit;
+        if (cacheKey && sameHead) {
+            await cacheScan(cacheKey, formattedResults).catch(error => {
+                log.warn('Failed to cache scan:', error);
+            });
+        }
+
+        return formattedResults;
+    } catch (error) {
+        log.error('Scan job failed:', error, { repository: scan.repository.url, engine: scan.engine.id, phases: stats.phases });
+        recordScanMetrics({ engine: scan.engine.id, outcome: 'failed', phases: stats.phases });
+        setJobState(jobId, 'failed', {
+            error: {
+                error: 'Scan failed',
+                message: error.publicMessage || 'Failed to scan repository. Please try again later.',
+                correlationId: log.correlationId,
+                details: process.env.NODE_ENV === 'development' ? scrubToken(error.stack || error.message, scan.token) : undefined
+            }
+        });
+        return null;
+    }
+}
+
+/**
+ * Repository description for a directory scanned in place; findings have no
+ * links since there is no host to link to
+ */
+function describeLocalRepository(dir, name = path.basename(path.resolve(dir))) {
+    return {
+        provider: 'local',
+        providerName: 'Local',
+        host: null,
+        owner: null,
+        name,
+        url: path.resolve(dir),
+        cloneUrl: null
+    };
+}
+
+async function isGitRepository(dir) {
+    try {
+        await fs.access(path.join(dir, '.git'));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Create a temporary directory for repository cloning
+ */
+async function createTempDirectory() {
+    return new Promise((resolve, reject) => {
+        tmp.dir({ unsafeCleanup: true }, (err, path) => {
+            if (err) reject(err);
+            else resolve(path);
+        });
+    });
+}
+
+/**
+ * Clone repository to temporary directory with the history the scope asks for,
+ * authenticating with the token if given
+ */
+async function cloneRepository(repository, tmpDir, scope, context, token) {
+    try {
+        // Credentials go through the environment so they never appear in the URL or args
+        const git = simpleGit().env(gitAuthEnv(token, getTokenUsername(repository)));
+
+        context.log(`Cloning repository to ${tmpDir} (${describeScope(scope)})`);
+        await git.clone(repository.cloneUrl, tmpDir, getCloneArgs(scope));
+        
+        context.log('Repository cloned successfully');
+    } catch (error) {
+        const message = scrubToken(error.message, token);
+        context.log(`Failed to clone repository: ${message}`);
+
+        const cloneError = new Error(`Failed to clone repository: ${message}`);
+        if (/authentication failed|could not read username|not found|403|401/i.test(message)) {
+            cloneError.publicMessage = 'Could not access the repository. Check the URL and, for private repositories, the access token.';
+        }
+        throw cloneError;
+    }
+}
+
+/**
+ * Deepen the shallow clone of an incremental scan until it contains the base
+ * commit, falling back to the full history
+ */
+async function deepenToCommit(repository, tmpDir, scope, context, token) {
+    const git = simpleGit(tmpDir).env(gitAuthEnv(token, getTokenUsername(repository)));
+    const hasCommit = () => git.raw(['cat-file', '-e', `${scope.since}^{commit}`]).then(() => true, () => false);
+    const isShallow = async () => (await git.revparse(['--is-shallow-repository'])).trim() === 'true';
+
+    try {
+        for (let attempt = 1; attempt <= MAX_DEEPEN_ATTEMPTS && !(await hasCommit()); attempt++) {
+            // Fetch twice as many commits each time: 100, 200, 400, ...
+            await git.fetch(['--deepen', String(DEEPEN_STEP * 2 ** attempt)]);
+        }
+        if (!(await hasCommit()) && await isShallow()) {
+            context.log('Base commit not reached by deepening, fetching the full history');
+            await git.fetch(['--unshallow']);
+        }
+        if (!(await hasCommit())) {
+            // Not on the cloned branch, e.g. the base branch of a pull request
+            await git.fetch(['origin', scope.since]).catch(() => {});
+        }
+    } catch (error) {
+        throw new Error(`Failed to deepen clone: ${scrubToken(error.message, token)}`);
+    }
+
+    if (!(await hasCommit())) {
+        const baseError = new Error(`Base commit ${scope.since} is not part of the repository`);
+        baseError.publicMessage = 'The base commit of the incremental scan is no longer in the repository history (it may have been rewritten). Run a full scan instead.';
+        throw baseError;
+    }
+
+    // After a force-push (or for a pull request whose base moved on) the range
+    // reaches back to the merge base, which the shallow history may not include
+    const isAncestor = await git.raw(['merge-base', '--is-ancestor', scope.since, 'HEAD']).then(() => true, () => false);
+    if (!isAncestor && await isShallow()) {
+        context.log('Base commit is not an ancestor of the head, fetching the full history');
+        await git.fetch(['--unshallow']).catch(error => {
+            throw new Error(`Failed to deepen clone: ${scrubToken(error.message, token)}`);
+        });
+    }
+    context.log(`Clone deepened to base commit ${scope.since.slice(0, 7)}`);
+}
+
+/**
+ * Format scan results for frontend consumption, dropping suppressed findings
+ */
+async function formatScanResults(scanOutput, { repository, engine, scope, customRules, allowlists, baseline, headCommit }, context) {
+    try {
+        const ruleCatalog = new Map(customRules.map(rule => [rule.id, rule]));
+
+        // Gitleaks hands back its raw JSON report, the native engine an array
+        const rawFindings = typeof scanOutput === 'string' ? JSON.parse(scanOutput) : scanOutput;
+        const { findings, suppressed } = applySuppressions(rawFindings, { allowlists, baseline });
+
+        // Map Gitleaks output to our format
+        const formattedFindings = findings.map((finding, index) => ({
+            id: index + 1,
+            fingerprint: fingerprintFinding(finding),
+            file: finding.File,
+            commit: finding.Commit.substring(0, 7), // Short commit hash
+            ruleId: finding.RuleID,
+            ruleDescription: finding.Description,
+            secretType: mapSecretType(finding.Description, finding.RuleID, ruleCatalog),
+            severity: determineSeverity(finding.Description, finding.RuleID, ruleCatalog),
+            lineNumber: finding.StartLine,
+            snippet: finding.Match,
+            secret: finding.Secret,
+            entropy: finding.Entropy,
+            author: finding.Author,
+            date: finding.Date,
+            commitMessage: finding.Message,
+            // Found by deep inspection: where the secret was hidden and the file holding it
+            inspection: finding.Inspection,
+            links: finding.Inspection
+                ? buildFindingLinks(repository, finding.Commit, finding.Inspection.path, finding.Inspection.line)
+                : buildFindingLinks(repository, finding.Commit, finding.File, finding.StartLine)
+        }));
+
+        return {
+            repoName: repository.name,
+            repository: {
+                provider: repository.provider,
+                providerName: repository.providerName,
+                host: repository.host,
+                owner: repository.owner,
+                name: repository.name,
+                url: repository.url
+            },
+            scope: {
+                ...scope,
+                description: describeScope(scope)
+            },
+            totalSecrets: formattedFindings.length,
+            suppressed: {
+                ...suppressed,
+                total: suppressed.allowlist + suppressed.baseline
+            },
+            baselineMode: Boolean(baseline),
+            headCommit,
+            scanDate: new Date().toISOString(),
+            findings: formattedFindings,
+            scanEngine: engine.name,
+            version: await getEngineVersion(engine)
+        };
+
+    } catch (error) {
+        context.log('Failed to parse scan results:', error);
+        throw new Error('Failed to process scan results');
+    }
+}
+
+/**
+ * Map Gitleaks rule descriptions to user-friendly secret types,
+ * preferring the type name of a matching custom rule
+ */
+function mapSecretType(description, ruleId, ruleCatalog = new Map()) {
+    const customRule = ruleCatalog.get(ruleId);
+    if (customRule && customRule.type) {
+        return customRule.type;
+    }
+
+    const typeMap = {
+        'generic-api-key': 'API Key',
+        'aws-access-token': 'AWS Access Key',
+        'github-pat': 'GitHub Token',
+        'slack-bot-token': 'Slack Bot Token',
+        'discord-bot-token': 'Discord Bot Token',
+        'database-password': 'Database Password',
+        'private-key': 'Private Key',
+        'jwt': 'JWT Token',
+        'config-secret-value': 'Configuration Secret'
+    };
+
+    return typeMap[ruleId] || description || 'Unknown Secret';
+}
+
+/**
+ * Determine severity based on secret type; custom rules declare their own
+ */
+function determineSeverity(description, ruleId, ruleCatalog = new Map()) {
+    const customRule = ruleCatalog.get(ruleId);
+    if (customRule && customRule.severity) {
+        return customRule.severity;
+    }
+
+    const highSeverityPatterns = ['private-key', 'aws-access-token', 'database-password'];
+    const mediumSeverityPatterns = ['api-key', 'github-pat', 'jwt', 'config-secret'];
+    
+    const desc = (description + ' ' + ruleId).toLowerCase();
+    
+    if (highSeverityPatterns.some(pattern => desc.includes(pattern))) {
+        return 'high';
+    } else if (mediumSeverityPatterns.some(pattern => desc.includes(pattern))) {
+        return 'medium';
+    } else {
+        return 'low';
+    }
+}
+
+/**
+ * Cleanup temporary directory
+ */
+async function cleanupTempDirectory(tmpDir, context) {
+    try {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+        context.log(`Cleaned up temporary directory: ${tmpDir}`);
+    } catch (error) {
+        context.log('Failed to cleanup temporary directory:', error);
+        // Don't throw here as cleanup failure shouldn't fail the request
+    }
+}
+
+module.exports = {
+    runScanPipeline,
+    runScanJob,
+    describeLocalRepository,
+    createTempDirectory,
+    cleanupTempDirectory,
+    formatScanResults,
+    mapSecretType,
+    determineSeverity
+};
@@ -0,0 +1,143 @@
+/**
+ * Scan scope: how much history is cloned and which commits are scanned.
+ *
+ * A scope is built from request options, turned into `git clone` arguments and
+ * a `git log` revision range for the engines, and echoed back in the result so
+ * users can see what was (and was not) covered.
+ */
+
+const DEFAULT_DEPTH = 50;
+const MAX_DEPTH = 100000;
+// Initial clone depth of incremental scans, deepened until the base commit is reached
+const INCREMENTAL_DEPTH = 50;
+
+// Branch, tag or commit names; the leading-dash check keeps them from being read as git options
+const REF_PATTERN = /^(?!-)(?!.*\.\.)(?!.*\/\/)(?!\/)(?!.*\/$)(?!.*\.lock$)[A-Za-z0-9._/-]{1,255}$/;
+
+/**
+ * Validate scope options from a request.
+ *
+ * Options: depth (commit count or 'full'), branch (branch or tag), allBranches,
+ * since/until (commit range), baseCommit (incremental scan of the commits after
+ * it). Returns { scope } or { error }.
+ */
+function parseScanScope(options = {}) {
+    const allBranches = options.allBranches === true || options.allBranches === 'true';
+    const branch = optionalString(options.branch);
+    const since = optionalString(options.since);
+    const until = optionalString(options.until);
+    const baseCommit = optionalString(options.baseCommit);
+
+    for (const [name, value] of Object.entries({ branch, since, until, baseCommit })) {
+        if (value && !REF_PATTERN.test(value)) {
+            return { error: `Invalid ${name}: ${value}` };
+        }
+    }
+
+    if (branch && allBranches) {
+        return { error: 'Choose either a branch or all branches, not both' };
+    }
+
+    if (until && allBranches) {
+        return { error: 'An until commit cannot be combined with all branches' };
+    }
+
+    if (baseCommit && (since || until)) {
+        return { error: 'An incremental scan cannot be combined with a commit range' };
+    }
+
+    let depth = DEFAULT_DEPTH;
+    if (options.depth === 'full' || options.depth === 0 || options.depth === '0') {
+        depth = null;
+    } else if (options.depth !== undefined && options.depth !== null && options.depth !== '') {
+        depth = Number(options.depth);
+        if (!Number.isInteger(depth) || depth < 1 || depth > MAX_DEPTH) {
+            return { error: `Depth must be 'full' or a whole number between 1 and ${MAX_DEPTH}` };
+        }
+    }
+
+    // A commit range needs both ends to be reachable, so it always uses full history
+    // (incremental scans start shallow and deepen until the base commit is cloned)
+    if (since || until || baseCommit) {
+        depth = null;
+    }
+
+    return {
+        scope: {
+            depth,
+            branch: branch || null,
+            allBranches,
+            since: since || baseCommit || null,
+            until: until || null,
+            incremental: Boolean(baseCommit)
+        }
+    };
+}
+
+/**
+ * Extra `git clone` arguments for the scope
+ */
+function getCloneArgs(scope) {
+    const args = [];
+    if (scope.depth) {
+        args.push('--depth', String(scope.depth));
+        // --depth implies --single-branch
+        if (scope.allBranches) args.push('--no-single-branch');
+    }
+    if (scope.incremental) {
+        args.push('--depth', String(INCREMENTAL_DEPTH));
+        if (scope.allBranches) args.push('--no-single-branch');
+    }
+    if (scope.branch) {
+        args.push('--branch', scope.branch);
+    }
+    return args;
+}
+
+/**
+ * Revision arguments for `git log` selecting the commits to scan
+ */
+function getLogRevisions(scope) {
+    const revisions = scope.allBranches ? ['--all'] : [scope.until || 'HEAD'];
+    if (scope.since) {
+        revisions.push(`^${scope.since}`);
+    }
+    return revisions;
+}
+
+/**
+ * Human readable summary of the scope, e.g. "Last 50 commits of the default branch"
+ */
+function describeScope(scope) {
+    if (scope.noGit) {
+        return 'Files on disk (no git history)';
+    }
+
+    const target = scope.allBranches ? 'all branches' : scope.branch || 'the default branch';
+
+    if (scope.incremental) {
+        return `New commits since ${scope.since.slice(0, 7)} on ${target}`;
+    }
+
+    if (scope.since || scope.until) {
+        return `Commits ${scope.since || ''}..${scope.until || 'HEAD'} on ${target}`;
+    }
+
+    return scope.depth
+        ? `Last ${scope.depth} commits of ${target}`
+        : `Full history of ${target}`;
+}
+
+function optionalString(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).trim();
+}
+
+module.exports = {
+    DEFAULT_DEPTH,
+    MAX_DEPTH,
+    parseScanScope,
+    getCloneArgs,
+    getLogRevisions,
+    describeScope
+};
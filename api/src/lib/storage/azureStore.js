@@ -0,0 +1,127 @@
+const { TableClient, odata } = require('@azure/data-tables');
+const { BlobServiceClient } = require('@azure/storage-blob');
+
+/**
+ * Scan store backed by Azure Storage (or the Azurite emulator):
+ * a table of scan summaries partitioned by repository, ordered newest first,
+ * a blob per full scan record, and a table of watched repositories.
+ */
+
+const TABLE_NAME = 'scans';
+const WATCH_TABLE_NAME = 'watches';
+// Watches are few, so they share one partition
+const WATCH_PARTITION = 'watch';
+const CONTAINER_NAME = 'scans';
+// Row keys count down from this so that table order is newest first
+const MAX_TIMESTAMP = 9999999999999;
+
+function createAzureStore(connectionString) {
+    // Azurite and other emulators are served over plain http
+    const allowInsecureConnection = /UseDevelopmentStorage=true|=http:\/\//i.test(connectionString);
+    const tableClient = TableClient.fromConnectionString(connectionString, TABLE_NAME, { allowInsecureConnection });
+    const watchClient = TableClient.fromConnectionString(connectionString, WATCH_TABLE_NAME, { allowInsecureConnection });
+    const containerClient = BlobServiceClient.fromConnectionString(connectionString).getContainerClient(CONTAINER_NAME);
+
+    let readyPromise = null;
+    function ready() {
+        if (!readyPromise) {
+            readyPromise = Promise.all([
+                tableClient.createTable(),
+                watchClient.createTable(),
+                containerClient.createIfNotExists()
+            ]);
+            readyPromise.catch(() => { readyPromise = null; });
+        }
+        return readyPromise;
+    }
+
+    async function saveScan(record, summary) {
+        await ready();
+
+        const body = JSON.stringify(record);
+        await containerClient.getBlockBlobClient(`${record.id}.json`).upload(body, Buffer.byteLength(body), {
+            blobHTTPHeaders: { blobContentType: 'application/json' }
+        });
+
+        // Table properties are limited to 64 KiB, so the summary is stored as JSON text
+        await tableClient.upsertEntity({
+            partitionKey: record.repoKey,
+            rowKey: `${String(MAX_TIMESTAMP - Date.parse(summary.scanDate)).padStart(13, '0')}_${record.id}`,
+            scanId: record.id,
+            summary: JSON.stringify(summary)
+        }, 'Replace');
+    }
+
+    async function getScan(id) {
+        await ready();
+        try {
+            const buffer = await containerClient.getBlockBlobClient(`${id}.json`).downloadToBuffer();
+            return JSON.parse(buffer.toString('utf8'));
+        } catch (error) {
+            if (error.statusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    async function listScans(repoKey, { limit = 50 } = {}) {
+        await ready();
+
+        const summaries = [];
+        const entities = tableClient.listEntities({
+            queryOptions: { filter: odata`PartitionKey eq ${repoKey}` }
+        });
+        for await (const entity of entities) {
+            summaries.push(JSON.parse(entity.summary));
+            if (summaries.length >= limit) break;
+        }
+        return summaries;
+    }
+
+    async function saveWatch(watch) {
+        await ready();
+        await watchClient.upsertEntity({
+            partitionKey: WATCH_PARTITION,
+            rowKey: watch.id,
+            watch: JSON.stringify(watch)
+        }, 'Replace');
+    }
+
+    async function getWatch(id) {
+        await ready();
+        try {
+            const entity = await watchClient.getEntity(WATCH_PARTITION, id);
+            return JSON.parse(entity.watch);
+        } catch (error) {
+            if (error.statusCode === 404) return null;
+            throw error;
+        }
+    }
+
+    async function listWatches() {
+        await ready();
+
+        const watches = [];
+        const entities = watchClient.listEntities({
+            queryOptions: { filter: odata`PartitionKey eq ${WATCH_PARTITION}` }
+        });
+        for await (const entity of entities) {
+            watches.push(JSON.parse(entity.watch));
+        }
+        return watches.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    }
+
+    async function deleteWatch(id) {
+        await ready();
+        try {
+            await watchClient.deleteEntity(WATCH_PARTITION, id);
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+        }
+    }
+
+    return { saveScan, getScan, listScans, saveWatch, getWatch, listWatches, deleteWatch };
+}
+
+module.exports = {
+    createAzureStore
+};
@@ -0,0 +1,100 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Scan store backed by JSON files, for local development:
+ *   <dir>/scans/<id>.json        full scan record
+ *   <dir>/repos/<repoKey>.json   scan summaries of one repository, newest first
+ *   <dir>/watches/<id>.json      repository watched by the scheduled scans
+ */
+function createFileStore(baseDir) {
+    const scansDir = path.join(baseDir, 'scans');
+    const reposDir = path.join(baseDir, 'repos');
+    const watchesDir = path.join(baseDir, 'watches');
+    // Serializes index updates within this instance
+    let writeQueue = Promise.resolve();
+
+    const scanPath = (id) => path.join(scansDir, `${path.basename(id)}.json`);
+    const indexPath = (repoKey) => path.join(reposDir, `${path.basename(repoKey)}.json`);
+    const watchPath = (id) => path.join(watchesDir, `${path.basename(id)}.json`);
+
+    async function saveScan(record, summary) {
+        const write = writeQueue.then(async () => {
+            await fs.mkdir(scansDir, { recursive: true });
+            await fs.mkdir(reposDir, { recursive: true });
+            await writeJson(scanPath(record.id), record);
+
+            const index = (await readJson(indexPath(record.repoKey))) || [];
+            const updated = [summary, ...index.filter(entry => entry.id !== record.id)]
+                .sort((a, b) => Date.parse(b.scanDate) - Date.parse(a.scanDate));
+            await writeJson(indexPath(record.repoKey), updated);
+        });
+
+        // Keep the queue going even if this write fails
+        writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    async function getScan(id) {
+        return readJson(scanPath(id));
+    }
+
+    async function listScans(repoKey, { limit = 50 } = {}) {
+        const index = (await readJson(indexPath(repoKey))) || [];
+        return index.slice(0, limit);
+    }
+
+    async function saveWatch(watch) {
+        await fs.mkdir(watchesDir, { recursive: true });
+        await writeJson(watchPath(watch.id), watch);
+    }
+
+    async function getWatch(id) {
+        return readJson(watchPath(id));
+    }
+
+    async function listWatches() {
+        let names;
+        try {
+            names = await fs.readdir(watchesDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const watches = await Promise.all(names
+            .filter(name => name.endsWith('.json'))
+            .map(name => readJson(path.join(watchesDir, name))));
+        return watches
+            .filter(Boolean)
+            .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    }
+
+    async function deleteWatch(id) {
+        await fs.rm(watchPath(id), { force: true });
+    }
+
+    return { saveScan, getScan, listScans, saveWatch, getWatch, listWatches, deleteWatch };
+}
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Write through a temporary file so readers never see a partial document
+ */
+async function writeJson(filePath, value) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value));
+    await fs.rename(tempPath, filePath);
+}
+
+module.exports = {
+    createFileStore
+};
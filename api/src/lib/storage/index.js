@@ -0,0 +1,49 @@
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createAzureStore } = require('./azureStore');
+
+/**
+ * Pluggable persistence for scan history and watched repositories, selected
+ * with STORAGE_PROVIDER:
+ *  - `file` (default): JSON files under SCAN_STORAGE_DIR (default ./.data)
+ *  - `azure`: Azure Table + Blob storage using SCAN_STORAGE_CONNECTION_STRING,
+ *    falling back to AzureWebJobsStorage (Azurite during local development)
+ *
+ * Every store implements:
+ *  - saveScan(record, summary)
+ *  - getScan(id) -> record or null
+ *  - listScans(repoKey, { limit }) -> summaries, newest first
+ *  - saveWatch(watch), getWatch(id) -> watch or null, deleteWatch(id)
+ *  - listWatches() -> every watch, oldest first
+ */
+
+const providers = {
+    file: () => createFileStore(process.env.SCAN_STORAGE_DIR || path.join(process.cwd(), '.data')),
+    azure: () => {
+        const connectionString = process.env.SCAN_STORAGE_CONNECTION_STRING || process.env.AzureWebJobsStorage;
+        if (!connectionString) {
+            throw new Error('The azure storage provider needs SCAN_STORAGE_CONNECTION_STRING or AzureWebJobsStorage');
+        }
+        return createAzureStore(connectionString);
+    }
+};
+
+let store = null;
+
+/**
+ * The configured scan store, created once per instance
+ */
+function getScanStore() {
+    if (!store) {
+        const provider = (process.env.STORAGE_PROVIDER || 'file').toLowerCase();
+        if (!providers[provider]) {
+            throw new Error(`Unknown STORAGE_PROVIDER '${provider}' (supported: ${Object.keys(providers).join(', ')})`);
+        }
+        store = providers[provider]();
+    }
+    return store;
+}
+
+module.exports = {
+    getScanStore
+};
@@ -0,0 +1,199 @@
+const fs = require('fs').promises;
+const path = require('path');
+const TOML = require('smol-toml');
+const { compileRE2 } = require('./patterns');
+
+/**
+ * Allowlists and baselines for suppressing known or accepted findings.
+ *
+ * Allowlists come from the scanned repository (`.gitleaks.toml`,
+ * `.gitleaksignore`, `.secretsniffer.json`) and from the request. A baseline is
+ * a previous report (or a list of fingerprints); findings already present in it
+ * are not reported again.
+ *
+ * Both operate on findings in the Gitleaks report shape, before formatting.
+ */
+
+const ALLOWLIST_FIELDS = ['paths', 'regexes', 'commits', 'stopwords', 'rules', 'fingerprints'];
+const MAX_PATTERN_LENGTH = 500;
+
+/**
+ * Fingerprint identifying a finding across scans: commit:file:rule:line,
+ * matching Gitleaks' own fingerprint (and therefore `.gitleaksignore` entries)
+ */
+function fingerprintFinding(finding) {
+    return finding.Fingerprint ||
+        [finding.Commit, finding.File, finding.RuleID, finding.StartLine].filter(Boolean).join(':');
+}
+
+/**
+ * Validate an allowlist supplied in a request. Returns { allowlist } or { error }.
+ */
+function parseAllowlist(input) {
+    if (input === undefined || input === null) return { allowlist: null };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Allowlist must be an object' };
+    }
+
+    for (const field of ALLOWLIST_FIELDS) {
+        if (input[field] !== undefined &&
+            (!Array.isArray(input[field]) || input[field].some(value => typeof value !== 'string'))) {
+            return { error: `Allowlist ${field} must be an array of strings` };
+        }
+    }
+
+    try {
+        return { allowlist: compileAllowlist(input, 'request') };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * Validate a baseline: a previous scan result ({ findings: [{ fingerprint }] })
+ * or a plain array of fingerprints. Returns { baseline } (a Set) or { error }.
+ */
+function parseBaseline(input) {
+    if (input === undefined || input === null) return { baseline: null };
+
+    const entries = Array.isArray(input) ? input : input.findings;
+    if (!Array.isArray(entries)) {
+        return { error: 'Baseline must be a previous scan report or an array of fingerprints' };
+    }
+
+    const fingerprints = entries
+        .map(entry => typeof entry === 'string' ? entry : entry && entry.fingerprint)
+        .filter(Boolean);
+
+    return { baseline: new Set(fingerprints) };
+}
+
+/**
+ * Load the allowlists committed to the scanned repository.
+ * Unreadable or invalid files are logged and skipped rather than failing the scan.
+ */
+async function loadRepositoryAllowlists(repoPath, context) {
+    const allowlists = [];
+
+    const gitleaksConfig = await readOptionalFile(path.join(repoPath, '.gitleaks.toml'));
+    if (gitleaksConfig) {
+        try {
+            const config = TOML.parse(gitleaksConfig);
+            // Gitleaks 8.x uses [allowlist]; newer versions also allow [[allowlists]]
+            const sections = [config.allowlist, ...(config.allowlists || [])].filter(Boolean);
+            for (const section of sections) {
+                allowlists.push(compileAllowlist(section, '.gitleaks.toml'));
+            }
+        } catch (error) {
+            context.log(`Ignoring invalid .gitleaks.toml: ${error.message}`);
+        }
+    }
+
+    const gitleaksIgnore = await readOptionalFile(path.join(repoPath, '.gitleaksignore'));
+    if (gitleaksIgnore) {
+        const fingerprints = gitleaksIgnore
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+        allowlists.push(compileAllowlist({ fingerprints }, '.gitleaksignore'));
+    }
+
+    const snifferConfig = await readOptionalFile(path.join(repoPath, '.secretsniffer.json'));
+    if (snifferConfig) {
+        try {
+            const { allowlist, error } = parseAllowlist(JSON.parse(snifferConfig).allowlist);
+            if (error) throw new Error(error);
+            if (allowlist) allowlists.push({ ...allowlist, source: '.secretsniffer.json' });
+        } catch (error) {
+            context.log(`Ignoring invalid .secretsniffer.json: ${error.message}`);
+        }
+    }
+
+    if (allowlists.length > 0) {
+        context.log(`Loaded ${allowlists.length} allowlist(s) from the repository`);
+    }
+    return allowlists;
+}
+
+/**
+ * Split findings into reported and suppressed ones
+ */
+function applySuppressions(findings, { allowlists = [], baseline = null } = {}) {
+    const reported = [];
+    const suppressed = { allowlist: 0, baseline: 0 };
+
+    for (const finding of findings) {
+        if (allowlists.some(allowlist => isAllowlisted(finding, allowlist))) {
+            suppressed.allowlist++;
+        } else if (baseline && baseline.has(fingerprintFinding(finding))) {
+            suppressed.baseline++;
+        } else {
+            reported.push(finding);
+        }
+    }
+
+    return { findings: reported, suppressed };
+}
+
+/**
+ * A finding is allowlisted when any of the allowlist's conditions matches
+ */
+function isAllowlisted(finding, allowlist) {
+    const secret = finding.Secret || finding.Match || '';
+    const regexTarget = allowlist.regexTarget === 'match' ? finding.Match : secret;
+
+    return allowlist.fingerprints.has(fingerprintFinding(finding)) ||
+        allowlist.rules.has(finding.RuleID) ||
+        allowlist.commits.some(commit => finding.Commit && finding.Commit.startsWith(commit)) ||
+        allowlist.paths.some(pattern => pattern.test(finding.File || '')) ||
+        allowlist.regexes.some(pattern => pattern.test(regexTarget || '')) ||
+        allowlist.stopwords.some(word => secret.toLowerCase().includes(word));
+}
+
+function compileAllowlist(section, source) {
+    const list = (field) => Array.isArray(section[field]) ? section[field].map(String) : [];
+
+    return {
+        source,
+        regexTarget: section.regexTarget || 'secret',
+        paths: list('paths').map(value => compilePattern(value, source)),
+        regexes: list('regexes').map(value => compilePattern(value, source)),
+        commits: list('commits').map(value => value.toLowerCase()).filter(value => value.length >= 7),
+        stopwords: list('stopwords').map(value => value.toLowerCase()),
+        rules: new Set(list('rules')),
+        fingerprints: new Set(list('fingerprints'))
+    };
+}
+
+/**
+ * Compile a Gitleaks (Go RE2) pattern with RE2 itself, so patterns from
+ * requests and scanned repositories match in linear time and inline flags
+ * such as `(?i)` keep their meaning
+ */
+function compilePattern(pattern, source) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`Allowlist pattern from ${source} is longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+
+    try {
+        return compileRE2(pattern, 'u');
+    } catch (error) {
+        throw new Error(`Invalid allowlist pattern from ${source}: ${error.message}`);
+    }
+}
+
+async function readOptionalFile(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    fingerprintFinding,
+    parseAllowlist,
+    parseBaseline,
+    loadRepositoryAllowlists,
+    applySuppressions
+};
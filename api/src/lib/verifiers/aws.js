@@ -0,0 +1,108 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// A secret access key is 40 base64 characters
+const SECRET_KEY_PATTERN = /(?<![A-Za-z0-9/+=])[A-Za-z0-9/+]{40}(?![A-Za-z0-9/+=])/g;
+// Secret keys tried per access key id, to bound the number of requests
+const MAX_CANDIDATES = 3;
+
+/**
+ * AWS access keys: STS GetCallerIdentity succeeds for any live key pair and
+ * needs no IAM permissions. The finding is the access key id, so the secret
+ * access key is looked up in findings and snippets of the same file and commit;
+ * without one the key stays unknown.
+ * AWS_STS_URL and AWS_STS_REGION point at another endpoint or a mock server.
+ */
+module.exports = {
+    id: 'aws',
+    ruleIds: ['aws-access-token'],
+
+    async verify(finding, { findings, timeoutMs }) {
+        const url = process.env.AWS_STS_URL || 'https://sts.amazonaws.com/';
+        const region = process.env.AWS_STS_REGION || 'us-east-1';
+        const body = 'Action=GetCallerIdentity&Version=2011-06-15';
+
+        for (const secretAccessKey of findSecretKeys(finding, findings)) {
+            const headers = signRequest({
+                accessKeyId: finding.secret,
+                secretAccessKey,
+                url,
+                body,
+                region,
+                date: new Date()
+            });
+            const response = await axios.post(url, body, {
+                headers,
+                timeout: timeoutMs,
+                validateStatus: () => true,
+                responseType: 'text'
+            });
+
+            if (response.status === 200) return 'active';
+            // The key id itself is unknown or deactivated: no secret key can fix that
+            if (/InvalidClientTokenId/.test(response.data)) return 'revoked';
+            // SignatureDoesNotMatch: wrong secret key, try the next candidate
+        }
+
+        return 'unknown';
+    }
+};
+
+/**
+ * Candidate secret access keys near an access key id
+ */
+function findSecretKeys(finding, findings) {
+    const candidates = new Set();
+    const nearby = findings.filter(other => other.file === finding.file && other.commit === finding.commit);
+
+    for (const other of nearby) {
+        for (const text of [other.secret, other.snippet]) {
+            for (const match of String(text || '').matchAll(SECRET_KEY_PATTERN)) {
+                candidates.add(match[0]);
+            }
+        }
+    }
+
+    return [...candidates].slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Signature Version 4 headers for a form-encoded POST to STS
+ */
+function signRequest({ accessKeyId, secretAccessKey, url, body, region, date }) {
+    const { host, pathname } = new URL(url);
+    const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const contentType = 'application/x-www-form-urlencoded; charset=utf-8';
+
+    const signedHeaders = 'content-type;host;x-amz-date';
+    const canonicalRequest = [
+        'POST',
+        pathname || '/',
+        '',
+        `content-type:${contentType}\nhost:${host}\nx-amz-date:${amzDate}\n`,
+        signedHeaders,
+        sha256(body)
+    ].join('\n');
+
+    const credentialScope = `${dateStamp}/${region}/sts/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = [dateStamp, region, 'sts', 'aws4_request']
+        .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    return {
+        'Content-Type': contentType,
+        'X-Amz-Date': amzDate,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
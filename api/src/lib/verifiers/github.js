@@ -0,0 +1,27 @@
+const axios = require('axios');
+
+/**
+ * GitHub tokens: GET /user succeeds for any live token, whatever its scopes.
+ * GITHUB_API_URL points at GitHub Enterprise Server or a mock server.
+ */
+module.exports = {
+    id: 'github',
+    ruleIds: ['github-pat', 'github-fine-grained-pat', 'github-oauth', 'github-app-token'],
+
+    async verify(finding, { timeoutMs }) {
+        const baseUrl = process.env.GITHUB_API_URL || 'https://api.github.com';
+        const response = await axios.get(`${baseUrl.replace(/\/$/, '')}/user`, {
+            headers: {
+                Authorization: `token ${finding.secret}`,
+                Accept: 'application/vnd.github+json',
+                'User-Agent': 'SecretSniffer'
+            },
+            timeout: timeoutMs,
+            validateStatus: () => true
+        });
+
+        if (response.status === 200) return 'active';
+        if (response.status === 401) return 'revoked';
+        return 'unknown';
+    }
+};
@@ -0,0 +1,120 @@
+const github = require('./github');
+const slack = require('./slack');
+const stripe = require('./stripe');
+const aws = require('./aws');
+const { isRevealAuthorized } = require('../credentials');
+
+/**
+ * Optional live verification of detected credentials against the issuing
+ * provider's API. Each verifier handles a set of rule ids and reports
+ * `active`, `revoked` or `unknown` (no verifier, missing data, network error).
+ *
+ * Verification sends the raw secret to the provider it belongs to, so it is
+ * opt-in: per request (`verify`) or for every scan (VERIFY_SECRETS=true).
+ * Its results tell which leaked credentials still work, so a request may only
+ * ask for it with the reveal key unless the app setting turns it on anyway.
+ */
+
+const verifiers = [github, slack, stripe, aws];
+
+const VERIFY_TIMEOUT_MS = parseInt(process.env.VERIFY_TIMEOUT_MS, 10) || 5000;
+// Requests in flight per scan, to stay clear of provider rate limits
+const VERIFY_CONCURRENCY = 4;
+
+const verifiersByRule = new Map(
+    verifiers.flatMap(verifier => verifier.ruleIds.map(ruleId => [ruleId, verifier]))
+);
+
+/**
+ * Whether to verify this scan: the request's choice, else the app setting
+ */
+function isVerificationEnabled(requested) {
+    if (requested !== undefined && requested !== null) {
+        return requested === true || requested === 'true';
+    }
+    return process.env.VERIFY_SECRETS === 'true';
+}
+
+/**
+ * Whether the caller may have its scan verified: always when VERIFY_SECRETS
+ * verifies every scan, otherwise only with a valid reveal key
+ */
+function isVerificationAuthorized(request) {
+    return process.env.VERIFY_SECRETS === 'true' || isRevealAuthorized(request);
+}
+
+/**
+ * Verify formatted findings (with their raw secrets). Returns copies carrying
+ * `verified` and the severity that status implies, plus per-status counts.
+ */
+async function verifyFindings(findings, context) {
+    // Each distinct secret is checked once, however often it was committed
+    const checks = new Map();
+    const verifyOnce = (verifier, finding) => {
+        const key = `${verifier.id}:${finding.secret}`;
+        if (!checks.has(key)) {
+            checks.set(key, runVerifier(verifier, finding, findings, context));
+        }
+        return checks.get(key);
+    };
+
+    const statuses = await mapWithConcurrency(findings, VERIFY_CONCURRENCY, (finding) => {
+        const verifier = verifiersByRule.get(finding.ruleId);
+        return verifier && finding.secret ? verifyOnce(verifier, finding) : 'unknown';
+    });
+
+    const summary = { active: 0, revoked: 0, unknown: 0 };
+    const verified = findings.map((finding, index) => {
+        const status = statuses[index];
+        summary[status]++;
+        return {
+            ...finding,
+            verified: status,
+            severity: severityFor(finding.severity, status)
+        };
+    });
+
+    context.log(`Verified ${checks.size} distinct secret(s); findings: ${summary.active} active, ${summary.revoked} revoked, ${summary.unknown} unknown`);
+    return { findings: verified, summary };
+}
+
+async function runVerifier(verifier, finding, findings, context) {
+    try {
+        return await verifier.verify(finding, { findings, timeoutMs: VERIFY_TIMEOUT_MS });
+    } catch (error) {
+        // Never log the request itself: it carries the secret
+        context.log(`Verification with ${verifier.id} failed: ${error.code || error.message}`);
+        return 'unknown';
+    }
+}
+
+/**
+ * A live credential is critical whatever its type; a revoked one can no longer be abused
+ */
+function severityFor(severity, status) {
+    if (status === 'active') return 'critical';
+    if (status === 'revoked') return 'low';
+    return severity;
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+module.exports = {
+    verifiers,
+    isVerificationEnabled,
+    isVerificationAuthorized,
+    verifyFindings
+};
@@ -0,0 +1,28 @@
+const axios = require('axios');
+
+// auth.test errors meaning the token will never work again
+const REVOKED_ERRORS = ['invalid_auth', 'token_revoked', 'token_expired', 'account_inactive', 'not_authed'];
+
+/**
+ * Slack bot and user tokens: auth.test reports whether the token is valid
+ * (always with HTTP 200; the outcome is in the body).
+ * SLACK_API_URL points at a mock server.
+ */
+module.exports = {
+    id: 'slack',
+    ruleIds: ['slack-bot-token', 'slack-user-token'],
+
+    async verify(finding, { timeoutMs }) {
+        const baseUrl = process.env.SLACK_API_URL || 'https://slack.com/api';
+        const response = await axios.post(`${baseUrl.replace(/\/$/, '')}/auth.test`, null, {
+            headers: { Authorization: `Bearer ${finding.secret}` },
+            timeout: timeoutMs,
+            validateStatus: () => true
+        });
+
+        const body = response.data || {};
+        if (response.status === 200 && body.ok === true) return 'active';
+        if (REVOKED_ERRORS.includes(body.error)) return 'revoked';
+        return 'unknown';
+    }
+};
@@ -0,0 +1,24 @@
+const axios = require('axios');
+
+/**
+ * Stripe secret and restricted keys: GET /v1/balance needs no particular
+ * permissions on secret keys; restricted keys without access get a 403 but
+ * are still live. STRIPE_API_URL points at a mock server.
+ */
+module.exports = {
+    id: 'stripe',
+    ruleIds: ['stripe-access-token'],
+
+    async verify(finding, { timeoutMs }) {
+        const baseUrl = process.env.STRIPE_API_URL || 'https://api.stripe.com';
+        const response = await axios.get(`${baseUrl.replace(/\/$/, '')}/v1/balance`, {
+            headers: { Authorization: `Bearer ${finding.secret}` },
+            timeout: timeoutMs,
+            validateStatus: () => true
+        });
+
+        if (response.status === 200 || response.status === 403) return 'active';
+        if (response.status === 401) return 'revoked';
+        return 'unknown';
+    }
+};
@@ -0,0 +1,351 @@
+const { randomUUID } = require('crypto');
+const simpleGit = require('simple-git');
+const { getScanStore } = require('./storage');
+const { MAX_CONCURRENT_SCANS, createJob, getJob, waitForScanSlot } = require('./jobs');
+const { resolveEngine } = require('./engines');
+const { gitAuthEnv, sealToken, openToken } = require('./credentials');
+const { parseRepositoryUrl, getTokenUsername } = require('./providers');
+const { describeScope } = require('./scanScope');
+const { resolveRemoteHead } = require('./scanCache');
+const { redactResult } = require('./redact');
+const { findingKey } = require('./history');
+const { sendNotifications } = require('./notifications');
+const { runScanJob } = require('./scanPipeline');
+
+/**
+ * Watched repositories: registered once, then re-scanned by the scheduled
+ * scans (functions/scheduledScans.js). Each run is compared with the previous
+ * one by finding (see history.findingKey), and newly introduced findings are
+ * sent to the watch's notification channels. The first run of a watch
+ * reports everything it finds.
+ *
+ * Watches are stored with the scan history. Every watch belongs to the access
+ * token that registered it, which must be able to read the repository, and is
+ * only visible to that token. Scans run with the owner's own token, stored
+ * encrypted when WATCH_TOKEN_KEY is configured; without it no token is stored
+ * and only repositories that can be read without one can be watched.
+ *
+ * A timer trigger must finish within the host's functionTimeout, so each one
+ * scans a small batch (WATCH_BATCH_SIZE) of the watches that are due, those
+ * not checked for WATCH_INTERVAL_HOURS, oldest check first. Later triggers
+ * pick up the rest.
+ */
+
+// Watches per access token, and on the whole instance
+const MAX_WATCHES = parseInt(process.env.WATCH_MAX_REPOSITORIES, 10) || 50;
+const MAX_TOTAL_WATCHES = parseInt(process.env.WATCH_MAX_TOTAL, 10) || 500;
+// Watches scanned side by side per timer trigger, and how often each is due
+const WATCH_BATCH_SIZE = parseInt(process.env.WATCH_BATCH_SIZE, 10) || MAX_CONCURRENT_SCANS;
+const WATCH_INTERVAL_MS = (parseInt(process.env.WATCH_INTERVAL_HOURS, 10) || 24) * 60 * 60 * 1000;
+// Time allowed for listing the remote when checking access
+const ACCESS_CHECK_TIMEOUT_MS = 30 * 1000;
+
+// The run in progress, so overlapping timer triggers do not scan twice
+let scheduledRun = null;
+
+/**
+ * Register a repository for the holder of `token` (hashed as ownerTokenHash).
+ * Returns { watch } or { error, status }.
+ */
+async function createWatch({ repository, scope, engine = null, verify = false, inspect = false, notify, token, ownerTokenHash }) {
+    const store = getScanStore();
+    const watches = await store.listWatches();
+    const owned = watches.filter(watch => watch.ownerTokenHash === ownerTokenHash);
+    if (owned.length >= MAX_WATCHES) {
+        return { status: 409, error: `At most ${MAX_WATCHES} repositories can be watched per access token` };
+    }
+    if (watches.length >= MAX_TOTAL_WATCHES) {
+        return { status: 409, error: 'No more repositories can be watched on this server' };
+    }
+
+    const scopeKey = JSON.stringify(scope);
+    const existing = owned.find(watch => watch.repoUrl === repository.url && JSON.stringify(watch.scope) === scopeKey);
+    if (existing) {
+        return { status: 409, error: `The repository is already watched with this scope (watch ${existing.id})` };
+    }
+
+    if (!await canReadRepository(repository, token)) {
+        return { status: 403, error: 'The access token cannot read this repository' };
+    }
+    // Without a stored token the scheduled scans can only read what anyone can
+    const sealedToken = sealToken(token);
+    if (!sealedToken && !await canReadRepository(repository, null)) {
+        return { status: 400, error: 'The server does not store access tokens, so only repositories readable without one can be watched' };
+    }
+
+    const now = new Date().toISOString();
+    const watch = {
+        id: randomUUID(),
+        repoUrl: repository.url,
+        scope,
+        engine,
+        verify,
+        inspect,
+        notify,
+        ownerTokenHash,
+        sealedToken,
+        createdAt: now,
+        updatedAt: now,
+        lastCheckedAt: null,
+        lastScanId: null,
+        lastScanDate: null,
+        lastHeadCommit: null,
+        lastFindingKeys: null,
+        lastNewFindings: null,
+        lastNotifications: [],
+        lastError: null
+    };
+    await store.saveWatch(watch);
+    return { watch };
+}
+
+/**
+ * Whether the remote can be listed with this token (or without one)
+ */
+async function canReadRepository(repository, token) {
+    try {
+        const git = simpleGit({ timeout: { block: ACCESS_CHECK_TIMEOUT_MS } })
+            .env(gitAuthEnv(token, getTokenUsername(repository)));
+        await git.listRemote([repository.cloneUrl, 'HEAD']);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Watches owned by the holder of this token hash, oldest first
+ */
+async function listWatches(tokenHash) {
+    return (await getScanStore().listWatches()).filter(watch => isVisibleTo(watch, tokenHash));
+}
+
+/**
+ * A watch owned by the caller, or null
+ */
+async function getWatch(id, tokenHash) {
+    const watch = await getScanStore().getWatch(id);
+    return isVisibleTo(watch, tokenHash) ? watch : null;
+}
+
+async function deleteWatch(id) {
+    await getScanStore().deleteWatch(id);
+}
+
+function isVisibleTo(watch, tokenHash) {
+    return Boolean(watch) && Boolean(tokenHash) && watch.ownerTokenHash === tokenHash;
+}
+
+/**
+ * Re-scan the next batch of due watches side by side. Resolves with the
+ * counts of the run; a run that is already in progress is joined rather than
+ * repeated.
+ */
+function runScheduledScans(context) {
+    if (!scheduledRun) {
+        scheduledRun = scanDueWatches(context).finally(() => { scheduledRun = null; });
+    }
+    return scheduledRun;
+}
+
+async function scanDueWatches(context) {
+    const watches = await getScanStore().listWatches();
+    const dueBefore = new Date(Date.now() - WATCH_INTERVAL_MS).toISOString();
+    // Never checked sorts first, then the longest unchecked
+    const due = watches
+        .filter(watch => !watch.lastCheckedAt || watch.lastCheckedAt <= dueBefore)
+        .sort((a, b) => (a.lastCheckedAt || '').localeCompare(b.lastCheckedAt || ''));
+    const batch = due.slice(0, WATCH_BATCH_SIZE);
+    const totals = { watches: watches.length, due: due.length, scanned: 0, unchanged: 0, failed: 0, notified: 0 };
+
+    const outcomes = await Promise.all(batch.map(watch => runWatch(watch, context).catch(async (error) => {
+        context.log(`Scheduled scan of ${watch.repoUrl} failed: ${error.message}`);
+        // Recorded as checked so that the watch does not block the ones behind it
+        await updateWatch(watch.id, { lastCheckedAt: new Date().toISOString(), lastError: error.message }).catch(() => {});
+        return { state: 'failed', notified: false };
+    })));
+    for (const outcome of outcomes) {
+        totals[outcome.state] += 1;
+        if (outcome.notified) totals.notified += 1;
+    }
+
+    context.log(`Scheduled scans: ${batch.length} of ${due.length} due watches, ${totals.scanned} scanned, ${totals.unchanged} unchanged, ${totals.failed} failed, ${totals.notified} notified`);
+    return totals;
+}
+
+/**
+ * Scan one watched repository unless it is unchanged since the last run, and
+ * notify its channels of new findings. The scan waits for a free scan slot.
+ * Resolves with { state, notified } where state is scanned, unchanged or failed.
+ */
+async function runWatch(watch, context) {
+    const prepared = prepareWatchScan(watch);
+    if (prepared.error) {
+        await updateWatch(watch.id, { lastCheckedAt: new Date().toISOString(), lastError: prepared.error });
+        return { state: 'failed', notified: false };
+    }
+
+    // Nothing new can have been introduced while the scanned commits stay the same
+    const headCommit = await resolveRemoteHead(prepared.repository, watch.scope, prepared.token);
+    if (headCommit && headCommit === watch.lastHeadCommit) {
+        await updateWatch(watch.id, { lastCheckedAt: new Date().toISOString() });
+        return { state: 'unchanged', notified: false };
+    }
+
+    await waitForScanSlot();
+    const job = createWatchJob(watch, prepared.repository);
+    context.log(`Scheduled scan job ${job.id} for ${prepared.repository.url} (watch ${watch.id})`);
+    return scanWatch(watch, job, { ...prepared, headCommit }, context);
+}
+
+/**
+ * Scan a watched repository now, whether or not it changed, as a job created
+ * right away so the caller can hold a scan slot with it (see
+ * functions/watches.js). Returns { job, outcome } with the promise of
+ * runWatch's outcome, or { error } if the watch cannot be scanned.
+ */
+function startWatchRun(watch, context) {
+    const prepared = prepareWatchScan(watch);
+    if (prepared.error) return { error: prepared.error };
+
+    const job = createWatchJob(watch, prepared.repository);
+    context.log(`Queued scan job ${job.id} for ${prepared.repository.url} (watch ${watch.id})`);
+
+    const outcome = resolveRemoteHead(prepared.repository, watch.scope, prepared.token)
+        .then(headCommit => scanWatch(watch, job, { ...prepared, headCommit }, context));
+    return { job, outcome };
+}
+
+/**
+ * What a scan of the watch needs: { repository, engine, token } or { error }
+ */
+function prepareWatchScan(watch) {
+    const repository = parseRepositoryUrl(watch.repoUrl);
+    const engine = resolveEngine(watch.engine);
+    if (!repository || !engine) {
+        return { error: 'The repository URL or engine is no longer supported' };
+    }
+
+    try {
+        return { repository, engine, token: watch.sealedToken ? openToken(watch.sealedToken) : null };
+    } catch {
+        return { error: 'The stored access token cannot be read; register the watch again' };
+    }
+}
+
+function createWatchJob(watch, repository) {
+    return createJob({ repoUrl: repository.url, ownerTokenHash: watch.ownerTokenHash, revealSecrets: false, watchId: watch.id });
+}
+
+async function scanWatch(watch, job, { repository, engine, token, headCommit }, context) {
+    const checkedAt = new Date().toISOString();
+    const result = await runScanJob(job.id, {
+        repository,
+        engine,
+        scope: watch.scope,
+        verify: watch.verify,
+        inspect: Boolean(watch.inspect),
+        token,
+        ownerTokenHash: watch.ownerTokenHash,
+        headCommit
+    }, context);
+
+    if (!result) {
+        await updateWatch(watch.id, { lastCheckedAt: checkedAt, lastError: getJob(job.id).error.message });
+        return { state: 'failed', notified: false };
+    }
+
+    const { findings } = redactResult(result);
+    const known = new Set(watch.lastFindingKeys || []);
+    const current = new Set(findings.map(findingKey));
+    const newFindings = findings.filter(finding => !known.has(findingKey(finding)));
+    const resolvedFindings = [...known].filter(key => !current.has(key)).length;
+
+    let notifications = [];
+    if (newFindings.length > 0 && watch.notify.length > 0) {
+        notifications = await sendNotifications(watch.notify, {
+            event: 'findings.introduced',
+            watchId: watch.id,
+            scanId: job.id,
+            scanDate: result.scanDate,
+            repository: result.repository,
+            headCommit: result.headCommit,
+            scope: describeScope(watch.scope),
+            totalSecrets: result.totalSecrets,
+            resolvedFindings,
+            newFindings: newFindings.map(toNotifiedFinding)
+        }, context);
+    }
+
+    await updateWatch(watch.id, {
+        lastCheckedAt: checkedAt,
+        lastScanId: job.id,
+        lastScanDate: result.scanDate,
+        lastHeadCommit: headCommit,
+        lastFindingKeys: [...current],
+        lastNewFindings: newFindings.length,
+        lastNotifications: notifications,
+        lastError: null
+    });
+    return { state: 'scanned', notified: notifications.some(outcome => outcome.delivered) };
+}
+
+/**
+ * Apply changes to the stored watch, unless it was deleted in the meantime
+ */
+async function updateWatch(id, changes) {
+    const store = getScanStore();
+    const watch = await store.getWatch(id);
+    if (!watch) return null;
+
+    const updated = { ...watch, ...changes, updatedAt: new Date().toISOString() };
+    await store.saveWatch(updated);
+    return updated;
+}
+
+function toNotifiedFinding(finding) {
+    return {
+        fingerprint: finding.fingerprint,
+        secretType: finding.secretType,
+        severity: finding.severity,
+        ruleId: finding.ruleId,
+        file: finding.file,
+        lineNumber: finding.lineNumber,
+        commit: finding.commit,
+        author: finding.author,
+        date: finding.date,
+        snippet: finding.snippet,
+        links: finding.links
+    };
+}
+
+/**
+ * Watch without its owner's token (hash or sealed), and with the count of its
+ * last findings instead of their keys; notification URLs (Slack webhook URLs
+ * are credentials themselves) are shown by host only
+ */
+function toPublicWatch(watch) {
+    const { ownerTokenHash, sealedToken, lastFindingKeys, notify, scope, ...rest } = watch;
+    return {
+        ...rest,
+        scope: { ...scope, description: describeScope(scope) },
+        lastTotalSecrets: lastFindingKeys ? lastFindingKeys.length : null,
+        notify: notify.map(channel => (channel.url
+            ? { type: channel.type, host: new URL(channel.url).host }
+            : channel)),
+        private: Boolean(ownerTokenHash),
+        tokenStored: Boolean(sealedToken)
+    };
+}
+
+module.exports = {
+    MAX_WATCHES,
+    createWatch,
+    listWatches,
+    getWatch,
+    deleteWatch,
+    runWatch,
+    startWatchRun,
+    runScheduledScans,
+    toPublicWatch
+};
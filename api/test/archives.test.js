@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+process.env.MAX_ARCHIVE_ENTRIES = '5';
+process.env.MAX_REPO_SIZE_MB = '1';
+const { detectArchiveType, extractArchive, readArchiveEntries } = require('../src/lib/archives');
+
+/**
+ * Minimal ustar archive; `entries` are { name, data, type } with type '0'
+ * (file, default), '2' (symlink, `data` is the target) or '5' (directory)
+ */
+function tarArchive(entries) {
+    const blocks = [];
+    for (const { name, data = '', type = '0' } of entries) {
+        const content = Buffer.from(data);
+        const size = type === '0' ? content.length : 0;
+        const header = Buffer.alloc(512);
+        header.write(name, 0, 100, 'latin1');
+        header.write('0000644\0', 100);
+        header.write('0000000\0', 108);
+        header.write('0000000\0', 116);
+        header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+        header.write('00000000000\0', 136);
+        header.write('        ', 148);
+        header.write(type, 156);
+        if (type === '2') header.write(data, 157, 100, 'latin1');
+        header.write('ustar\0' + '00', 257, 'latin1');
+        let checksum = 0;
+        for (const byte of header) checksum += byte;
+        header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 'latin1');
+
+        blocks.push(header);
+        if (size > 0) {
+            blocks.push(content, Buffer.alloc((512 - (size % 512)) % 512));
+        }
+    }
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+/**
+ * Minimal zip archive of stored (uncompressed) entries { name, data, mode }
+ */
+function zipArchive(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const { name, data = '', mode = 0o100644 } of entries) {
+        const content = Buffer.from(data);
+        const fileName = Buffer.from(name);
+        const crc = zlib.crc32(content);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(10, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(content.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        locals.push(local, fileName, content);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(0x031e, 4);
+        central.writeUInt16LE(10, 6);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(content.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE((mode << 16) >>> 0, 38);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, fileName);
+
+        offset += local.length + fileName.length + content.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function tempDirectory(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archives-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function listFiles(dir) {
+    return fs.readdirSync(dir, { recursive: true }).sort();
+}
+
+test('detectArchiveType recognises archives by their content', () => {
+    assert.strictEqual(detectArchiveType(zipArchive([{ name: 'a.txt', data: 'a' }])), 'zip');
+    assert.strictEqual(detectArchiveType(zlib.gzipSync(tarArchive([{ name: 'a.txt', data: 'a' }]))), 'tar.gz');
+    assert.strictEqual(detectArchiveType(tarArchive([{ name: 'a.txt', data: 'a' }])), 'tar');
+    assert.strictEqual(detectArchiveType(Buffer.from('PK but not a zip')), null);
+});
+
+test('extractArchive extracts zip and tar.gz archives', async (t) => {
+    const files = [{ name: 'src/', type: '5' }, { name: 'src/.env', data: 'API_KEY=abc' }];
+
+    const zipDir = tempDirectory(t);
+    const zipTotals = await extractArchive(zipArchive([{ name: 'src/', mode: 0o40755 }, files[1]]), zipDir);
+    assert.deepStrictEqual(zipTotals, { files: 2, bytes: 11 });
+    assert.strictEqual(fs.readFileSync(path.join(zipDir, 'src/.env'), 'utf8'), 'API_KEY=abc');
+
+    const tarDir = tempDirectory(t);
+    const tarTotals = await extractArchive(zlib.gzipSync(tarArchive(files)), tarDir);
+    assert.deepStrictEqual(tarTotals, { files: 2, bytes: 11 });
+    assert.deepStrictEqual(listFiles(tarDir), ['src', path.join('src', '.env')]);
+});
+
+test('extractArchive refuses entries outside the target directory', async (t) => {
+    const root = tempDirectory(t);
+    const dir = path.join(root, 'extract');
+    fs.mkdirSync(dir);
+
+    const archives = [
+        zipArchive([{ name: '../evil.txt', data: 'x' }]),
+        zipArchive([{ name: '/tmp/evil.txt', data: 'x' }]),
+        zlib.gzipSync(tarArchive([{ name: '../evil.txt', data: 'x' }])),
+        zlib.gzipSync(tarArchive([{ name: 'a/../../evil.txt', data: 'x' }])),
+        zlib.gzipSync(tarArchive([{ name: path.join(root, 'evil.txt'), data: 'x' }]))
+    ];
+
+    for (const archive of archives) {
+        await assert.rejects(extractArchive(archive, dir), (error) => error.status === 400 && Boolean(error.publicMessage));
+    }
+    assert.deepStrictEqual(listFiles(root), ['extract']);
+});
+
+test('extractArchive skips links', async (t) => {
+    const zipDir = tempDirectory(t);
+    await extractArchive(zipArchive([{ name: 'link', data: '/etc/passwd', mode: 0o120777 }, { name: 'a.txt', data: 'a' }]), zipDir);
+    assert.deepStrictEqual(listFiles(zipDir), ['a.txt']);
+
+    const tarDir = tempDirectory(t);
+    await extractArchive(zlib.gzipSync(tarArchive([{ name: 'link', data: '/etc/passwd', type: '2' }, { name: 'a.txt', data: 'a' }])), tarDir);
+    assert.deepStrictEqual(listFiles(tarDir), ['a.txt']);
+});
+
+test('extractArchive enforces the entry and size limits', async (t) => {
+    const many = Array.from({ length: 6 }, (_, index) => ({ name: `${index}.txt`, data: 'x' }));
+    const large = [{ name: 'large.bin', data: Buffer.alloc(1024 * 1024 + 1) }];
+
+    for (const archive of [zipArchive(many), zlib.gzipSync(tarArchive(many))]) {
+        await assert.rejects(extractArchive(archive, tempDirectory(t)), { status: 413, message: /more than 5 entries/ });
+    }
+    for (const archive of [zipArchive(large), zlib.gzipSync(tarArchive(large))]) {
+        await assert.rejects(extractArchive(archive, tempDirectory(t)), { status: 413, message: /larger than 1 MB/ });
+    }
+});
+
+test('extractArchive rejects anything else', async (t) => {
+    await assert.rejects(extractArchive(Buffer.from('hello'), tempDirectory(t)), { status: 400, message: /Only .zip and .tar.gz/ });
+    await assert.rejects(extractArchive(tarArchive([{ name: 'a.txt', data: 'a' }]), tempDirectory(t)), { status: 400 });
+});
+
+test('readArchiveEntries reads files into memory within the budget', async () => {
+    const budget = (limit) => ({ take: (bytes) => (limit -= bytes) >= 0 });
+    const entries = [{ name: 'a.txt', data: 'aaaa' }, { name: 'b.txt', data: 'bbbb' }];
+
+    for (const archive of [zipArchive(entries), tarArchive(entries), zlib.gzipSync(tarArchive(entries))]) {
+        const all = await readArchiveEntries(archive, budget(100));
+        assert.deepStrictEqual(all.map(entry => [entry.name, entry.data.toString()]), [['a.txt', 'aaaa'], ['b.txt', 'bbbb']]);
+
+        const partial = await readArchiveEntries(archive, budget(5));
+        assert.deepStrictEqual(partial.map(entry => entry.name), ['a.txt']);
+    }
+    assert.deepStrictEqual(await readArchiveEntries(Buffer.from('not an archive'), budget(100)), []);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCustomRules, mergeRules, toGitleaksConfig } = require('../src/lib/customRules');
+const { compileRules, scanLine } = require('../src/lib/engines/native');
+
+test('parseCustomRules compiles valid rules', () => {
+    const { rules, error } = parseCustomRules([
+        { id: 'acme-key', regex: 'acme_([a-z0-9]{16})', keywords: ['ACME'], severity: 'high', type: 'Acme Key' }
+    ]);
+
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(rules.length, 1);
+    assert.deepStrictEqual(rules[0].keywords, ['acme']);
+    assert.strictEqual(rules[0].custom, true);
+});
+
+test('parseCustomRules rejects invalid input', () => {
+    assert.match(parseCustomRules({}).error, /must be an array/);
+    assert.match(parseCustomRules([{ id: 'bad id!', regex: 'x' }]).error, /needs an id/);
+    assert.match(parseCustomRules([{ id: 'long', regex: 'a'.repeat(501) }]).error, /at most 500 characters/);
+    assert.match(parseCustomRules([{ id: 'look', regex: 'foo(?=bar)' }]).error, /lookarounds or backreferences/);
+    assert.match(parseCustomRules([{ id: 'broken', regex: '(unclosed' }]).error, /invalid regex/);
+    assert.match(parseCustomRules([{ id: 'sev', regex: 'x', severity: 'urgent' }]).error, /severity/);
+    assert.match(parseCustomRules([{ id: 'entropy', regex: 'x', entropy: 9 }]).error, /entropy/);
+});
+
+test('custom rules match in linear time', () => {
+    const { rules } = parseCustomRules([{ id: 'evil', regex: '(a+)+$' }]);
+    const started = Date.now();
+
+    const matches = scanLine(`${'a'.repeat(40)}!`, compileRules(rules));
+
+    assert.deepStrictEqual(matches, []);
+    assert.ok(Date.now() - started < 1000, 'a catastrophic backtracking pattern must not stall the scan');
+});
+
+test('custom rules report capture group 1 and support inline flags', () => {
+    const { rules } = parseCustomRules([{ id: 'acme-key', regex: '(?i)acme_key=([a-z0-9]{8})' }]);
+
+    const [match] = scanLine('const x = "ACME_KEY=ab12cd34";', compileRules(rules));
+
+    assert.strictEqual(match.secret, 'ab12cd34');
+    assert.strictEqual(match.startColumn, 12);
+});
+
+test('mergeRules lets later rules replace earlier ones with the same id', () => {
+    const merged = mergeRules([{ id: 'a', n: 1 }, { id: 'b', n: 1 }], [{ id: 'a', n: 2 }]);
+
+    assert.deepStrictEqual(merged.map(rule => [rule.id, rule.n]), [['a', 2], ['b', 1]]);
+});
+
+test('toGitleaksConfig keeps the regex source and secret group', () => {
+    const { rules } = parseCustomRules([{ id: 'acme-key', regex: 'acme_([a-z0-9]{16})' }]);
+
+    const config = toGitleaksConfig(rules);
+
+    assert.match(config, /useDefault = true/);
+    assert.match(config, /regex = "acme_\(\[a-z0-9\]\{16\}\)"/);
+    assert.match(config, /secretGroup = 1/);
+});
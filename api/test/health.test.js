@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { app } = require('@azure/functions');
+
+process.env.READY_MIN_FREE_TEMP_MB = '1';
+process.env.STORAGE_PROVIDER = 'file';
+process.env.SCAN_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'health-test-'));
+
+// Capture the handlers instead of registering them with the Functions host
+const handlers = {};
+app.http = (name, options) => { handlers[name] = options.handler; };
+require('../src/functions/health');
+
+const METRICS_TOKEN = 'health-test-metrics-token';
+
+function createContext() {
+    const messages = [];
+    const log = (message) => messages.push(message);
+    return { messages, functionName: 'ready', log, warn: log, error: log };
+}
+
+async function probe(headers = {}, context = createContext()) {
+    const response = await handlers.ready(new Request('http://localhost/api/ready', { headers }), context);
+    return { status: response.status, body: JSON.parse(response.body) };
+}
+
+test.beforeEach(() => {
+    process.env.SCAN_ENGINE = 'native';
+    process.env.METRICS_TOKEN = METRICS_TOKEN;
+});
+
+test.after(() => {
+    fs.rmSync(process.env.SCAN_STORAGE_DIR, { recursive: true, force: true });
+});
+
+test('anonymous probes get the status only', async () => {
+    assert.deepStrictEqual(await probe(), { status: 200, body: { status: 'ready' } });
+    assert.deepStrictEqual(await probe({ authorization: 'Bearer wrong-token' }), { status: 200, body: { status: 'ready' } });
+});
+
+test('the metrics token unlocks the details of every check', async () => {
+    const { status, body } = await probe({ authorization: `Bearer ${METRICS_TOKEN}` });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'ready');
+    assert.deepStrictEqual(Object.keys(body.checks).sort(), ['engine', 'git', 'store', 'tempDirectory']);
+    assert.ok(Object.values(body.checks).every(check => check.ok));
+    assert.strictEqual(body.checks.engine.id, 'native');
+    assert.ok(body.checks.engine.version);
+    assert.strictEqual(body.checks.store.provider, 'file');
+});
+
+test('a failed check answers 503, with its error for the metrics token only', async () => {
+    process.env.SCAN_ENGINE = 'bogus';
+    const context = createContext();
+
+    const anonymous = await probe({}, context);
+    const authorized = await probe({ authorization: `Bearer ${METRICS_TOKEN}` });
+
+    assert.deepStrictEqual(anonymous, { status: 503, body: { status: 'not ready' } });
+    assert.ok(context.messages.some(message => /engine \(SCAN_ENGINE names an unknown engine: bogus\)/.test(message)));
+    assert.strictEqual(authorized.status, 503);
+    assert.strictEqual(authorized.body.checks.engine.ok, false);
+    assert.match(authorized.body.checks.engine.error, /unknown engine: bogus/);
+});
+
+test('details are never shown while no metrics token is configured', async () => {
+    delete process.env.METRICS_TOKEN;
+
+    assert.deepStrictEqual(await probe({ authorization: 'Bearer anything' }), { status: 200, body: { status: 'ready' } });
+});
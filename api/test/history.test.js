@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareScans } = require('../src/lib/history');
+
+const finding = (overrides = {}) => ({
+    fingerprint: 'aaaaaaa:config.js:generic-api-key:3',
+    ruleId: 'generic-api-key',
+    file: 'config.js',
+    lineNumber: 3,
+    commit: 'aaaaaaa',
+    secretHash: '1f2e3d4c5b6a7988',
+    ...overrides
+});
+
+test('compareScans reports every finding as new without a previous scan', () => {
+    const changes = compareScans(null, { findings: [finding()] });
+
+    assert.deepStrictEqual(changes, { added: ['aaaaaaa:config.js:generic-api-key:3'], resolved: [] });
+});
+
+test('compareScans matches a secret still present under another commit', () => {
+    // A shallow scan attributes the same secret to the oldest commit within its depth
+    const later = finding({ fingerprint: 'bbbbbbb:config.js:generic-api-key:5', commit: 'bbbbbbb', lineNumber: 5 });
+
+    const changes = compareScans({ findings: [finding()] }, { findings: [later] });
+
+    assert.deepStrictEqual(changes, { added: [], resolved: [] });
+});
+
+test('compareScans reports other secrets, files and rules as changes', () => {
+    const previous = { findings: [finding()] };
+    const current = { findings: [finding({ fingerprint: 'new', secretHash: '0000000000000000' })] };
+
+    const changes = compareScans(previous, current);
+
+    assert.deepStrictEqual(changes.added, ['new']);
+    assert.deepStrictEqual(changes.resolved.map(entry => entry.fingerprint), ['aaaaaaa:config.js:generic-api-key:3']);
+});
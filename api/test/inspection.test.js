@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+
+process.env.MAX_ARCHIVE_ENTRIES = '2';
+const { inspectRepository } = require('../src/lib/inspection');
+
+const token = (char) => `ghp_${char.repeat(36)}`;
+
+function createRepository(t, archives) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inspection-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    for (const [name, content] of Object.entries(archives)) {
+        const source = path.join(dir, `${name}-src`);
+        fs.mkdirSync(source);
+        fs.writeFileSync(path.join(source, 'config.txt'), content);
+        tar.c({ sync: true, cwd: source, file: path.join(dir, `${name}.tar`) }, ['config.txt']);
+        fs.rmSync(source, { recursive: true });
+    }
+    return dir;
+}
+
+function createContext() {
+    const messages = [];
+    return { messages, log: (message) => messages.push(message) };
+}
+
+test('secrets inside committed archives are reported with their archive path', async (t) => {
+    const dir = createRepository(t, { bundle: `GITHUB_TOKEN=${token('a')}\n` });
+
+    const findings = await inspectRepository(dir, {}, createContext());
+
+    assert.strictEqual(findings.length, 1);
+    assert.strictEqual(findings[0].File, 'bundle.tar!/config.txt');
+    assert.strictEqual(findings[0].Secret, token('a'));
+    assert.deepStrictEqual(findings[0].Inspection, { kind: 'archive', path: 'bundle.tar', line: null });
+});
+
+test('all archives of a scan share one budget of unpacked entries', async (t) => {
+    const dir = createRepository(t, {
+        first: `GITHUB_TOKEN=${token('a')}\n`,
+        second: `GITHUB_TOKEN=${token('b')}\n`,
+        third: `GITHUB_TOKEN=${token('c')}\n`
+    });
+    const context = createContext();
+
+    const findings = await inspectRepository(dir, {}, context);
+
+    assert.strictEqual(findings.length, 2);
+    assert.ok(findings.every(finding => finding.Inspection.kind === 'archive'));
+    assert.ok(context.messages.some(message => /skipped archive entries beyond 2 files/.test(message)));
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileRE2, countCaptureGroups } = require('../src/lib/patterns');
+
+test('patterns match like global RegExps', () => {
+    const regex = compileRE2('key_([a-z]+)', 'gu');
+    const text = 'key_abc and key_def';
+
+    regex.lastIndex = 0;
+    const matches = [];
+    let match;
+    while ((match = regex.exec(text)) !== null) matches.push([match[1], match.index]);
+
+    assert.deepStrictEqual(matches, [['abc', 0], ['def', 12]]);
+    assert.strictEqual(regex.lastIndex, 0);
+    assert.strictEqual(regex.flags, 'gu');
+    assert.ok(compileRE2('(?i)secret', 'u').test('SECRET'));
+});
+
+test('invalid patterns throw when compiled', () => {
+    assert.throws(() => compileRE2('(unclosed', 'u'), SyntaxError);
+});
+
+test('countCaptureGroups counts groups without matching anything', () => {
+    assert.strictEqual(countCaptureGroups('key_[a-z]+'), 0);
+    assert.strictEqual(countCaptureGroups('(key)_([a-z]+)(?:x)?'), 2);
+});
+
+test('a pattern keeps matching after its compiled form was evicted', () => {
+    const first = compileRE2('first_[0-9]+', 'u');
+    for (let i = 0; i < 300; i++) compileRE2(`filler_${i}`, 'u');
+
+    assert.ok(first.test('first_42'));
+    assert.ok(!first.test('second_42'));
+});
+
+test('compiling many distinct patterns does not exhaust WebAssembly memory', () => {
+    for (let i = 0; i < 1500; i++) {
+        assert.ok(compileRE2(`token_${i}_[a-z0-9]{20,40}(?:abc|def)+x`, 'u').test(`token_${i}_${'a'.repeat(24)}abcx`));
+    }
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildPurgePlan } = require('../src/lib/purgePlan');
+
+const COMMIT = 'a'.repeat(40);
+
+function scanResult(findings) {
+    return {
+        repository: { url: 'https://github.com/example/app', name: 'app' },
+        scanDate: '2026-01-01T00:00:00.000Z',
+        scope: { description: 'Last 50 commits of the default branch' },
+        findings
+    };
+}
+
+function finding(fields) {
+    return {
+        ruleId: 'generic-api-key',
+        secretType: 'Generic API Key',
+        file: 'config.js',
+        lineNumber: 3,
+        commit: COMMIT,
+        date: '2026-01-01T00:00:00Z',
+        secret: 'sk_live_0123456789abcdefghij',
+        ...fields
+    };
+}
+
+test('secret files are removed and their values replaced', () => {
+    const plan = buildPurgePlan(scanResult([finding({ file: 'deploy/.env' })]), { scanId: 'scan-1', reveal: true });
+
+    assert.deepStrictEqual(plan.removePaths, ['deploy/.env']);
+    assert.strictEqual(plan.replacements, 'sk_live_0123456789abcdefghij==>***REMOVED***\n');
+    assert.deepStrictEqual(plan.gitignore, ['.env', '.env.*', '!.env.example']);
+    assert.match(plan.script, /for commit in a{40}; do/);
+});
+
+test('hostile paths never reach the script as commands', (t) => {
+    const hostile = 'a\ntouch /tmp/pwned\n/.env';
+    const plan = buildPurgePlan(scanResult([
+        finding({ file: hostile }),
+        finding({ file: 'b\ntouch /tmp/pwned\nc.js', secret: null, commit: '$(touch /tmp/pwned)' }),
+        finding({ file: 'PATHS/.env', secretType: 'Key\ntouch /tmp/pwned' }),
+        finding({ file: "it's/.env" })
+    ]), { scanId: 'scan-1' });
+    const lines = plan.script.split('\n');
+
+    assert.ok(!plan.removePaths.includes(hostile));
+    assert.ok(plan.unresolved.some(entry => entry.file === hostile));
+    assert.ok(lines.every(line => !/^\s*touch /.test(line)));
+    assert.ok(lines.filter(line => line.includes('touch')).every(line => line.startsWith('#')));
+    assert.ok(lines.includes("    'PATHS/.env' \\"));
+    assert.ok(lines.includes("    'it'\\''s/.env' \\"));
+
+    // The path list the script writes holds exactly the removable paths
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'purge-plan-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const start = lines.findIndex(line => line.startsWith("printf '%s\\n'"));
+    const end = lines.indexOf('    > ../paths-to-remove.txt');
+    const command = [...lines.slice(start, end), '    > paths-to-remove.txt'].join('\n');
+    execFileSync('sh', ['-c', command], { cwd: dir });
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'paths-to-remove.txt'), 'utf8'), `${plan.removePaths.join('\n')}\n`);
+});
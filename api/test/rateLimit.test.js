@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.RATE_LIMIT_PER_IP = '2';
+process.env.RATE_LIMIT_PER_TOKEN = '3';
+const { getClientIp, consumeRateLimit } = require('../src/lib/rateLimit');
+
+const request = (headers) => new Request('http://localhost/api/scan', { headers });
+
+test('getClientIp uses the address appended by the front end', () => {
+    assert.strictEqual(getClientIp(request({ 'x-forwarded-for': '203.0.113.7:51234' })), '203.0.113.7');
+    assert.strictEqual(getClientIp(request({ 'x-forwarded-for': '[2001:db8::1]:443' })), '2001:db8::1');
+    assert.strictEqual(getClientIp(request({ 'x-client-ip': '198.51.100.2' })), '198.51.100.2');
+    assert.strictEqual(getClientIp(request({})), 'unknown');
+});
+
+test('getClientIp ignores X-Forwarded-For entries sent by the client', () => {
+    const spoofed = request({ 'x-forwarded-for': '10.0.0.1, 10.0.0.2, 203.0.113.7:51234' });
+
+    assert.strictEqual(getClientIp(spoofed), '203.0.113.7');
+});
+
+test('consumeRateLimit allows requests up to the per-IP limit', () => {
+    assert.deepStrictEqual(consumeRateLimit({ ip: '192.0.2.1' }), { allowed: true });
+    assert.deepStrictEqual(consumeRateLimit({ ip: '192.0.2.1' }), { allowed: true });
+
+    const refused = consumeRateLimit({ ip: '192.0.2.1' });
+    assert.strictEqual(refused.allowed, false);
+    assert.strictEqual(refused.kind, 'ip');
+    assert.strictEqual(refused.limit, 2);
+    assert.ok(refused.retryAfterSeconds > 0);
+
+    // Other clients have their own window
+    assert.deepStrictEqual(consumeRateLimit({ ip: '192.0.2.2' }), { allowed: true });
+});
+
+test('consumeRateLimit counts refused requests against no limit', () => {
+    consumeRateLimit({ ip: '192.0.2.10', tokenHash: 'token-a' });
+    consumeRateLimit({ ip: '192.0.2.10', tokenHash: 'token-a' });
+    assert.strictEqual(consumeRateLimit({ ip: '192.0.2.10', tokenHash: 'token-a' }).kind, 'ip');
+
+    // The refused request did not use up the token's third request
+    assert.deepStrictEqual(consumeRateLimit({ ip: '192.0.2.11', tokenHash: 'token-a' }), { allowed: true });
+    assert.strictEqual(consumeRateLimit({ ip: '192.0.2.12', tokenHash: 'token-a' }).kind, 'token');
+});
+
+test('consumeRateLimit charges the cost of a request at once', () => {
+    assert.deepStrictEqual(consumeRateLimit({ ip: '192.0.2.20', tokenHash: 'token-b', cost: 2 }), { allowed: true });
+
+    const refused = consumeRateLimit({ ip: '192.0.2.20', cost: 1 });
+    assert.strictEqual(refused.kind, 'ip');
+    assert.ok(refused.retryAfterSeconds > 0);
+
+    // More than the limit itself can never be allowed
+    const tooLarge = consumeRateLimit({ ip: '192.0.2.21', cost: 3 });
+    assert.deepStrictEqual(tooLarge, { allowed: false, kind: 'ip', limit: 2, retryAfterSeconds: null });
+    assert.deepStrictEqual(consumeRateLimit({ ip: '192.0.2.21', cost: 2 }), { allowed: true });
+});
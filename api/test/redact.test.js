@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { maskSecret, redactSnippet, hashSecret, redactFinding, revealFinding, redactResult } = require('../src/lib/redact');
+
+const SECRET = 'AKIAZ7QWERTYUIOPAS11';
+const finding = {
+    id: 1,
+    ruleId: 'aws-access-token',
+    file: 'deploy.sh',
+    secret: SECRET,
+    snippet: `export AWS_ACCESS_KEY_ID=${SECRET} # ${SECRET}`
+};
+
+test('maskSecret keeps a short prefix and suffix of long secrets only', () => {
+    assert.strictEqual(maskSecret(SECRET), `AKIA${'*'.repeat(14)}11`);
+    assert.strictEqual(maskSecret('hunter2'), '*******');
+    assert.strictEqual(maskSecret(''), '');
+    assert.strictEqual(maskSecret(null), '');
+});
+
+test('redactSnippet masks every occurrence, or everything without a known secret', () => {
+    assert.strictEqual(redactSnippet(finding.snippet, SECRET), `export AWS_ACCESS_KEY_ID=${maskSecret(SECRET)} # ${maskSecret(SECRET)}`);
+    assert.strictEqual(redactSnippet('password=hunter2', null), maskSecret('password=hunter2'));
+    assert.strictEqual(redactSnippet(undefined, SECRET), '');
+});
+
+test('hashSecret identifies a secret without exposing it', () => {
+    assert.match(hashSecret(SECRET), /^[0-9a-f]{16}$/);
+    assert.strictEqual(hashSecret(SECRET), hashSecret(SECRET));
+    assert.notStrictEqual(hashSecret(SECRET), hashSecret(`${SECRET}x`));
+    assert.strictEqual(hashSecret(''), null);
+});
+
+test('redactFinding drops the secret and leaves no trace of it', () => {
+    const redacted = redactFinding(finding);
+
+    assert.strictEqual(redacted.secret, undefined);
+    assert.strictEqual(redacted.redacted, true);
+    assert.strictEqual(redacted.secretHash, hashSecret(SECRET));
+    assert.ok(!JSON.stringify(redacted).includes(SECRET));
+    // Already redacted findings are passed through
+    assert.strictEqual(redactFinding(redacted), redacted);
+});
+
+test('revealFinding adds the secret and raw snippet to the redacted fields', () => {
+    const revealed = revealFinding(finding);
+
+    assert.strictEqual(revealed.secret, SECRET);
+    assert.strictEqual(revealed.rawSnippet, finding.snippet);
+    assert.strictEqual(revealed.snippet, redactFinding(finding).snippet);
+    assert.strictEqual(revealed.redacted, false);
+    // Stored findings have nothing left to reveal
+    const stored = redactFinding(finding);
+    assert.strictEqual(revealFinding(stored), stored);
+});
+
+test('redactResult redacts every finding unless revealing', () => {
+    const result = { totalSecrets: 1, findings: [finding] };
+
+    assert.ok(!JSON.stringify(redactResult(result)).includes(SECRET));
+    assert.strictEqual(redactResult(result, { reveal: true }).findings[0].secret, SECRET);
+    assert.strictEqual(redactResult(null), null);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SCAN_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-cache-test-'));
+process.env.SCAN_CACHE_SIZE = '3';
+process.env.SCAN_CACHE_TTL_MS = String(60 * 60 * 1000);
+const { getCachedScan, cacheScan } = require('../src/lib/scanCache');
+
+const dir = process.env.SCAN_CACHE_DIR;
+const key = (name) => crypto.createHash('sha256').update(name).digest('hex');
+const result = (name) => ({ repoName: name, totalSecrets: 0, findings: [] });
+const cachedFiles = () => fs.readdirSync(dir).sort();
+
+function writeStaleFile(name, ageMs) {
+    const cachedAt = new Date(Date.now() - ageMs);
+    const file = path.join(dir, `${key(name)}.json`);
+    fs.writeFileSync(file, JSON.stringify({ result: result(name), cachedAt: cachedAt.toISOString() }));
+    fs.utimesSync(file, cachedAt, cachedAt);
+}
+
+test.beforeEach(() => {
+    for (const name of fs.readdirSync(dir)) fs.rmSync(path.join(dir, name));
+});
+
+test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('cached results are served from memory and disk', async () => {
+    await cacheScan(key('a'), result('a'));
+
+    const cached = await getCachedScan(key('a'));
+    assert.strictEqual(cached.repoName, 'a');
+    assert.strictEqual(cached.cached, true);
+    assert.deepStrictEqual(cachedFiles(), [`${key('a')}.json`]);
+});
+
+test('the disk keeps at most SCAN_CACHE_SIZE entries, the newest ones', async () => {
+    for (const [index, name] of ['b', 'c', 'd', 'e', 'f'].entries()) {
+        await cacheScan(key(name), result(name));
+        // Distinct modification times, oldest first
+        const time = new Date(Date.now() - (10 - index) * 1000);
+        fs.utimesSync(path.join(dir, `${key(name)}.json`), time, time);
+    }
+    await cacheScan(key('g'), result('g'));
+
+    assert.deepStrictEqual(cachedFiles(), [key('e'), key('f'), key('g')].map(name => `${name}.json`).sort());
+});
+
+test('expired files are deleted when an entry is written', async () => {
+    writeStaleFile('old', 2 * 60 * 60 * 1000);
+
+    await cacheScan(key('new'), result('new'));
+
+    assert.deepStrictEqual(cachedFiles(), [`${key('new')}.json`]);
+});
+
+test('expired and unreadable files are deleted when they are read', async () => {
+    writeStaleFile('expired', 2 * 60 * 60 * 1000);
+    fs.writeFileSync(path.join(dir, `${key('corrupt')}.json`), '{');
+
+    assert.strictEqual(await getCachedScan(key('expired')), null);
+    assert.strictEqual(await getCachedScan(key('corrupt')), null);
+    assert.deepStrictEqual(cachedFiles(), []);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fingerprintFinding, parseAllowlist, parseBaseline, applySuppressions } = require('../src/lib/suppressions');
+
+const finding = (overrides = {}) => ({
+    RuleID: 'generic-api-key',
+    File: 'src/config.js',
+    StartLine: 3,
+    Commit: '0123456789abcdef0123456789abcdef01234567',
+    Secret: 'Zx81kLq0PmN3',
+    Match: 'apiKey = "Zx81kLq0PmN3"',
+    ...overrides
+});
+
+test('fingerprintFinding matches the Gitleaks fingerprint', () => {
+    assert.strictEqual(
+        fingerprintFinding(finding()),
+        '0123456789abcdef0123456789abcdef01234567:src/config.js:generic-api-key:3'
+    );
+});
+
+test('parseAllowlist validates field types and patterns', () => {
+    assert.deepStrictEqual(parseAllowlist(undefined), { allowlist: null });
+    assert.match(parseAllowlist([]).error, /must be an object/);
+    assert.match(parseAllowlist({ paths: 'src/' }).error, /paths must be an array of strings/);
+    assert.match(parseAllowlist({ regexes: ['(unclosed'] }).error, /Invalid allowlist pattern/);
+    assert.match(parseAllowlist({ regexes: ['x'.repeat(501)] }).error, /longer than 500/);
+});
+
+test('allowlists suppress findings by path, regex, rule, commit and stopword', () => {
+    const cases = [
+        { paths: ['^src/'] },
+        { regexes: ['(?i)^zx81'] },
+        { rules: ['generic-api-key'] },
+        { commits: ['0123456'] },
+        { stopwords: ['PMN3'] },
+        { fingerprints: [fingerprintFinding(finding())] }
+    ];
+
+    for (const input of cases) {
+        const { allowlist } = parseAllowlist(input);
+        const { findings, suppressed } = applySuppressions([finding()], { allowlists: [allowlist] });
+        assert.deepStrictEqual({ findings, suppressed }, { findings: [], suppressed: { allowlist: 1, baseline: 0 } }, JSON.stringify(input));
+    }
+});
+
+test('allowlist patterns match in linear time', () => {
+    const { allowlist } = parseAllowlist({ paths: ['(a+)+$'] });
+    const started = Date.now();
+
+    const { findings } = applySuppressions([finding({ File: `${'a'.repeat(40)}!` })], { allowlists: [allowlist] });
+
+    assert.strictEqual(findings.length, 1);
+    assert.ok(Date.now() - started < 1000, 'a catastrophic backtracking pattern must not stall the scan');
+});
+
+test('baselines suppress findings already reported', () => {
+    const { baseline } = parseBaseline({ findings: [{ fingerprint: fingerprintFinding(finding()) }] });
+
+    const { findings, suppressed } = applySuppressions([finding(), finding({ StartLine: 9 })], { baseline });
+
+    assert.deepStrictEqual(findings.map(result => result.StartLine), [9]);
+    assert.deepStrictEqual(suppressed, { allowlist: 0, baseline: 1 });
+    assert.match(parseBaseline({ results: [] }).error, /previous scan report/);
+});
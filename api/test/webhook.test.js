@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { app } = require('@azure/functions');
+
+// Capture the handler instead of registering it with the Functions host
+const handlers = {};
+app.http = (name, options) => { handlers[name] = options.handler; };
+require('../src/functions/webhook');
+
+const SECRET = 'webhook-test-secret';
+const context = { functionName: 'webhook', log: () => {}, warn: () => {}, error: () => {} };
+
+function sign(body, secret = SECRET) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function deliver(body, headers = {}) {
+    const request = new Request('http://localhost/api/webhook', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-github-event': 'ping', 'x-github-delivery': '1', ...headers },
+        body
+    });
+    return handlers.webhook(request, context);
+}
+
+test.beforeEach(() => {
+    process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+});
+
+test('webhook refuses deliveries while no secret is configured', async () => {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+    const body = '{"zen":"Keep it logically awesome."}';
+
+    const response = await deliver(body, { 'x-hub-signature-256': sign(body) });
+
+    assert.strictEqual(response.status, 503);
+});
+
+test('webhook accepts deliveries signed with the secret', async () => {
+    const body = '{"zen":"Keep it logically awesome."}';
+
+    const response = await deliver(body, { 'x-hub-signature-256': sign(body) });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(JSON.parse(response.body), { message: 'pong' });
+});
+
+test('webhook rejects missing, malformed and forged signatures', async () => {
+    const body = '{"zen":"Keep it logically awesome."}';
+    const signatures = [
+        undefined,
+        'sha256=',
+        'sha1=0123',
+        sign(body, 'another-secret'),
+        sign(`${body} `),
+        sign(body).toUpperCase()
+    ];
+
+    for (const signature of signatures) {
+        const response = await deliver(body, signature ? { 'x-hub-signature-256': signature } : {});
+        assert.strictEqual(response.status, 401, String(signature));
+    }
+});
+
+test('webhook verifies the signature before parsing the payload', async () => {
+    const response = await deliver('not json', { 'x-hub-signature-256': sign('{}') });
+    assert.strictEqual(response.status, 401);
+
+    const signed = await deliver('not json', { 'x-hub-signature-256': sign('not json') });
+    assert.strictEqual(signed.status, 400);
+});
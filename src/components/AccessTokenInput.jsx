@@ -0,0 +1,41 @@
+import React from "react";
+import { KeyRound } from "lucide-react";
+
+// Access token for private repositories; the caller keeps it in memory only
+const AccessTokenInput = ({
+  id = "access-token",
+  value,
+  onChange,
+  disabled,
+  hint,
+}) => (
+  <div className="mb-4">
+    <label
+      htmlFor={id}
+      className="block text-sm font-medium text-gray-700 mb-2"
+    >
+      Access Token{" "}
+      <span className="font-normal text-gray-500">
+        (optional, for private repositories)
+      </span>
+    </label>
+    <div className="relative">
+      <KeyRound className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+      <input
+        id={id}
+        type="password"
+        autoComplete="off"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="ghp_..."
+        className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        disabled={disabled}
+      />
+    </div>
+    <p className="text-xs text-gray-500 mt-1">
+      {hint || "Used only for this scan. It is never stored or logged."}
+    </p>
+  </div>
+);
+
+export default AccessTokenInput;
@@ -0,0 +1,77 @@
+import React, { useRef, useState } from "react";
+import { Upload } from "lucide-react";
+import clsx from "clsx";
+
+const ACCEPTED_EXTENSIONS = [".zip", ".tar.gz", ".tgz"];
+
+const isArchive = (file) =>
+  ACCEPTED_EXTENSIONS.some((extension) =>
+    file.name.toLowerCase().endsWith(extension)
+  );
+
+// Drop target (or file picker) for a .zip or .tar.gz archive to scan without git
+const ArchiveDropZone = ({ onFile, onReject, disabled }) => {
+  const inputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const pick = (file) => {
+    if (!file || disabled) return;
+    if (isArchive(file)) onFile(file);
+    else onReject(`${file.name} is not a .zip or .tar.gz archive`);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    pick(e.dataTransfer.files[0]);
+  };
+
+  return (
+    <div
+      role="button"
+      tabIndex={disabled ? -1 : 0}
+      onClick={() => !disabled && inputRef.current.click()}
+      onKeyDown={(e) => {
+        if (!disabled && (e.key === "Enter" || e.key === " ")) {
+          e.preventDefault();
+          inputRef.current.click();
+        }
+      }}
+      onDragOver={(e) => {
+        e.preventDefault();
+        if (!disabled) setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      className={clsx(
+        "mb-4 border-2 border-dashed rounded-lg p-6 text-center transition-colors",
+        disabled
+          ? "border-gray-200 text-gray-400 cursor-not-allowed"
+          : isDragging
+            ? "border-indigo-500 bg-indigo-50 text-indigo-700 cursor-copy"
+            : "border-gray-300 text-gray-600 hover:border-indigo-400 cursor-pointer"
+      )}
+    >
+      <Upload className="h-8 w-8 mx-auto mb-2 text-gray-400" />
+      <p className="font-medium">
+        Drop a .zip or .tar.gz archive here, or click to choose one
+      </p>
+      <p className="text-xs text-gray-500 mt-1">
+        Code that is not on a git host is scanned as files, without history.
+      </p>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_EXTENSIONS.join(",")}
+        className="hidden"
+        onChange={(e) => {
+          pick(e.target.files[0]);
+          // Allow picking the same file again
+          e.target.value = "";
+        }}
+      />
+    </div>
+  );
+};
+
+export default ArchiveDropZone;
@@ -0,0 +1,569 @@
+import React, { useState } from "react";
+import {
+  AlertTriangle,
+  Building2,
+  CheckCircle,
+  Download,
+  ExternalLink,
+  Layers,
+  Search,
+} from "lucide-react";
+import clsx from "clsx";
+import AccessTokenInput from "./AccessTokenInput";
+import {
+  API_URL,
+  apiError,
+  authHeaders,
+  describeError,
+  describeScanError,
+} from "../lib/api";
+import { SEVERITIES, getSeverityColor } from "../lib/findings";
+
+const POLL_INTERVAL_MS = 2000;
+
+const DEPTH_CHOICES = [
+  { value: "50", label: "Last 50 commits" },
+  { value: "500", label: "Last 500 commits" },
+  { value: "full", label: "Full history" },
+];
+
+// Labels for the per-repository states reported by GET /bulk-scans/{id}
+const STATE_LABELS = {
+  queued: "Queued",
+  cloning: "Cloning",
+  scanning: "Scanning",
+  inspecting: "Inspecting",
+  formatting: "Preparing report",
+  verifying: "Verifying",
+  done: "Done",
+  failed: "Failed",
+  skipped: "Skipped",
+};
+
+const SEVERITY_BARS = [
+  { id: "critical", className: "bg-red-800" },
+  { id: "high", className: "bg-red-500" },
+  { id: "medium", className: "bg-yellow-400" },
+  { id: "low", className: "bg-blue-400" },
+];
+
+const inputClassName =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 disabled:bg-gray-100";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Scan every repository of a GitHub organization or user (or a pasted list)
+// through POST /bulk-scans, with per-repository progress and a roll-up
+const BulkScan = ({
+  accessToken,
+  revealKey,
+  onAccessTokenChange,
+  onOpenScan,
+}) => {
+  const [target, setTarget] = useState("owner");
+  const [owner, setOwner] = useState("");
+  const [repoUrls, setRepoUrls] = useState("");
+  const [depth, setDepth] = useState("50");
+  const [includeForks, setIncludeForks] = useState(false);
+  const [includeArchived, setIncludeArchived] = useState(false);
+  const [verify, setVerify] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+  const [bulkScan, setBulkScan] = useState(null);
+  const [error, setError] = useState("");
+
+  const startBulkScan = async () => {
+    const urls = repoUrls
+      .split("\n")
+      .map((url) => url.trim())
+      .filter(Boolean);
+    if (target === "owner" ? !owner.trim() : urls.length === 0) {
+      setError(
+        target === "owner"
+          ? "Please enter an organization or user name"
+          : "Please enter at least one repository URL"
+      );
+      return;
+    }
+
+    setError("");
+    setIsRunning(true);
+    setBulkScan(null);
+
+    try {
+      const headers = authHeaders(accessToken.trim());
+      const response = await fetch(`${API_URL}/bulk-scans`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...headers,
+          // Verification is limited to holders of the reveal key
+          ...(verify && revealKey ? { "X-Reveal-Key": revealKey } : {}),
+        },
+        body: JSON.stringify({
+          ...(target === "owner"
+            ? { owner: owner.trim(), includeForks, includeArchived }
+            : { repoUrls: urls }),
+          depth,
+          ...(verify ? { verify: true } : {}),
+        }),
+      });
+      if (!response.ok) {
+        throw await apiError(response, "Failed to start bulk scan");
+      }
+
+      let status = await response.json();
+      setBulkScan(status);
+      while (status.state !== "done") {
+        await sleep(POLL_INTERVAL_MS);
+
+        const statusResponse = await fetch(
+          `${API_URL}/bulk-scans/${status.id}`,
+          { headers }
+        );
+        if (!statusResponse.ok) {
+          throw await apiError(
+            statusResponse,
+            "Failed to fetch bulk scan status"
+          );
+        }
+        status = await statusResponse.json();
+        setBulkScan(status);
+      }
+    } catch (err) {
+      setError(describeScanError(err));
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const downloadReport = async () => {
+    setError("");
+    try {
+      const response = await fetch(
+        `${API_URL}/bulk-scans/${bulkScan.id}?format=json`,
+        { headers: authHeaders(accessToken.trim()) }
+      );
+      if (!response.ok) {
+        throw await apiError(response, "Failed to download report");
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${bulkScan.owner || "bulk"}-secrets.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(describeError(err, "Failed to download report"));
+    }
+  };
+
+  const summary = bulkScan?.summary;
+  const finished = summary
+    ? summary.scanned + summary.failed + summary.skipped
+    : 0;
+  const maxTypeCount = Math.max(
+    1,
+    ...(summary?.secretTypes.map((entry) => entry.count) || [])
+  );
+
+  return (
+    <>
+      <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
+        <h2 className="text-2xl font-semibold text-gray-900 mb-6">
+          Scan Organization
+        </h2>
+
+        <div className="flex gap-4 mb-4 text-sm text-gray-700">
+          <label className="flex items-center">
+            <input
+              type="radio"
+              name="bulk-target"
+              checked={target === "owner"}
+              onChange={() => setTarget("owner")}
+              className="mr-2"
+              disabled={isRunning}
+            />
+            GitHub organization or user
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              name="bulk-target"
+              checked={target === "urls"}
+              onChange={() => setTarget("urls")}
+              className="mr-2"
+              disabled={isRunning}
+            />
+            List of repository URLs
+          </label>
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-4 mb-4">
+          <div className="flex-1">
+            {target === "owner" ? (
+              <>
+                <label
+                  htmlFor="bulk-owner"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  Organization or user
+                </label>
+                <div className="relative">
+                  <Building2 className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                  <input
+                    id="bulk-owner"
+                    type="text"
+                    value={owner}
+                    onChange={(e) => setOwner(e.target.value)}
+                    placeholder="octo-org"
+                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                    disabled={isRunning}
+                  />
+                </div>
+              </>
+            ) : (
+              <>
+                <label
+                  htmlFor="bulk-urls"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  Repository URLs
+                </label>
+                <textarea
+                  id="bulk-urls"
+                  rows={4}
+                  value={repoUrls}
+                  onChange={(e) => setRepoUrls(e.target.value)}
+                  placeholder={
+                    "One URL per line, e.g.\nhttps://github.com/owner/repository"
+                  }
+                  className={inputClassName}
+                  disabled={isRunning}
+                />
+              </>
+            )}
+          </div>
+
+          <button
+            onClick={startBulkScan}
+            disabled={isRunning}
+            className={clsx(
+              "px-8 py-3 self-end rounded-lg font-medium flex items-center justify-center transition-all",
+              isRunning
+                ? "bg-gray-400 cursor-not-allowed"
+                : "bg-indigo-600 hover:bg-indigo-700 transform hover:scale-105"
+            )}
+          >
+            {isRunning ? (
+              <>
+                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
+                Scanning...
+              </>
+            ) : (
+              <>
+                <Search className="h-5 w-5 mr-2" />
+                Scan All
+              </>
+            )}
+          </button>
+        </div>
+
+        <AccessTokenInput
+          id="bulk-access-token"
+          value={accessToken}
+          onChange={onAccessTokenChange}
+          disabled={isRunning}
+          hint="Lists private repositories and clones them. It is never stored or logged."
+        />
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 mb-4 bg-gray-50 rounded-lg border border-gray-200">
+          <div>
+            <label
+              htmlFor="bulk-depth"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              History depth
+            </label>
+            <select
+              id="bulk-depth"
+              value={depth}
+              onChange={(e) => setDepth(e.target.value)}
+              className={inputClassName}
+              disabled={isRunning}
+            >
+              {DEPTH_CHOICES.map((choice) => (
+                <option key={choice.value} value={choice.value}>
+                  {choice.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1 text-sm text-gray-700">
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={includeForks}
+                onChange={(e) => setIncludeForks(e.target.checked)}
+                className="mr-2"
+                disabled={isRunning || target !== "owner"}
+              />
+              Include forks
+            </label>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={includeArchived}
+                onChange={(e) => setIncludeArchived(e.target.checked)}
+                className="mr-2"
+                disabled={isRunning || target !== "owner"}
+              />
+              Include archived repositories
+            </label>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={verify}
+                onChange={(e) => setVerify(e.target.checked)}
+                className="mr-2"
+                disabled={isRunning}
+              />
+              Verify detected credentials with their provider (needs the reveal
+              key from the scan options)
+            </label>
+          </div>
+        </div>
+
+        {bulkScan && (
+          <div className="mb-4">
+            <div className="flex justify-between text-sm text-gray-600 mb-1">
+              <span>
+                {finished} of {summary.repositories} repositories finished
+              </span>
+              <span>{bulkScan.progress}%</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className="bg-indigo-600 h-2 rounded-full transition-all"
+                style={{ width: `${bulkScan.progress}%` }}
+              ></div>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center">
+            <AlertTriangle className="h-5 w-5 text-red-500 mr-2" />
+            <span className="text-red-700">{error}</span>
+          </div>
+        )}
+      </div>
+
+      {bulkScan && (
+        <div className="bg-white rounded-xl shadow-lg p-8">
+          <div className="flex items-center justify-between mb-6">
+            <div>
+              <h3 className="text-2xl font-semibold text-gray-900">
+                {bulkScan.owner
+                  ? `Repositories of ${bulkScan.owner}`
+                  : "Repositories"}
+              </h3>
+              <p className="text-gray-600">
+                {summary.repositories} repositor
+                {summary.repositories === 1 ? "y" : "ies"}
+                {summary.skipped > 0 && `, ${summary.skipped} skipped`}
+                {summary.failed > 0 && `, ${summary.failed} failed`}
+              </p>
+            </div>
+            {bulkScan.state === "done" && (
+              <button
+                onClick={downloadReport}
+                className="flex items-center px-3 py-1 text-sm border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                <Download className="h-4 w-4 mr-2 text-gray-400" />
+                JSON report
+              </button>
+            )}
+          </div>
+
+          {bulkScan.truncated && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6 flex items-center text-yellow-800">
+              <AlertTriangle className="h-5 w-5 mr-2 flex-shrink-0" />
+              <span>
+                The owner has more repositories than one bulk scan covers; only
+                the first {summary.repositories} are scanned.
+              </span>
+            </div>
+          )}
+
+          {/* Roll-up */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+            <div className="bg-gradient-to-r from-red-500 to-red-600 rounded-lg p-6 text-white">
+              <p className="text-red-100">Total Secrets</p>
+              <p className="text-3xl font-bold">{summary.totalSecrets}</p>
+              <p className="text-xs text-red-100">
+                {SEVERITIES.filter(
+                  (severity) => summary.severityCounts[severity] > 0
+                )
+                  .map(
+                    (severity) =>
+                      `${summary.severityCounts[severity]} ${severity}`
+                  )
+                  .join(" · ")}
+              </p>
+            </div>
+            <div className="bg-gradient-to-r from-blue-500 to-blue-600 rounded-lg p-6 text-white">
+              <p className="text-blue-100">Repositories with Secrets</p>
+              <p className="text-3xl font-bold">
+                {summary.withSecrets}
+                <span className="text-lg font-normal text-blue-100">
+                  {" "}
+                  / {summary.scanned} scanned
+                </span>
+              </p>
+            </div>
+            <div className="bg-gradient-to-r from-green-500 to-green-600 rounded-lg p-6 text-white">
+              <p className="text-green-100">Clean Repositories</p>
+              <p className="text-3xl font-bold">
+                {summary.scanned - summary.withSecrets}
+              </p>
+            </div>
+          </div>
+
+          {summary.secretTypes.length > 0 && (
+            <div className="mb-8">
+              <h4 className="text-lg font-semibold text-gray-900 mb-3">
+                Most common secret types
+              </h4>
+              <ul className="space-y-2">
+                {summary.secretTypes.map((entry) => (
+                  <li key={entry.type} className="flex items-center text-sm">
+                    <span className="w-48 truncate text-gray-700">
+                      {entry.type}
+                    </span>
+                    <div className="flex-1 bg-gray-100 rounded h-3 mx-3">
+                      <div
+                        className="bg-indigo-500 h-3 rounded"
+                        style={{
+                          width: `${(entry.count / maxTypeCount) * 100}%`,
+                        }}
+                      ></div>
+                    </div>
+                    <span className="w-10 text-right text-gray-600">
+                      {entry.count}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Per-repository progress */}
+          <h4 className="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+            <Layers className="h-5 w-5 mr-2 text-gray-400" />
+            Repositories
+          </h4>
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {bulkScan.repositories.map((repo) => (
+              <li key={repo.repoUrl} className="p-3 flex items-center gap-4">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center">
+                    <a
+                      href={repo.repoUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="font-medium text-gray-900 hover:text-indigo-600 truncate"
+                    >
+                      {repo.name}
+                    </a>
+                    <ExternalLink className="h-3 w-3 ml-1 text-gray-400 flex-shrink-0" />
+                  </div>
+                  {repo.error ? (
+                    <p
+                      className={clsx(
+                        "text-xs",
+                        repo.state === "skipped"
+                          ? "text-gray-500"
+                          : "text-red-600"
+                      )}
+                    >
+                      {repo.error}
+                    </p>
+                  ) : repo.state !== "done" ? (
+                    <div className="flex items-center gap-2 mt-1">
+                      <div className="w-40 bg-gray-200 rounded-full h-1.5">
+                        <div
+                          className="bg-indigo-600 h-1.5 rounded-full transition-all"
+                          style={{ width: `${repo.progress}%` }}
+                        ></div>
+                      </div>
+                      <span className="text-xs text-gray-500">
+                        {STATE_LABELS[repo.state] || repo.state}
+                      </span>
+                    </div>
+                  ) : (
+                    repo.cached && (
+                      <p className="text-xs text-gray-500">Cached result</p>
+                    )
+                  )}
+                </div>
+
+                {repo.state === "done" &&
+                  (repo.totalSecrets === 0 ? (
+                    <span className="flex items-center text-sm text-green-700">
+                      <CheckCircle className="h-4 w-4 mr-1" />
+                      Clean
+                    </span>
+                  ) : (
+                    <div className="flex items-center gap-2">
+                      <div
+                        className="flex h-2 w-24 rounded overflow-hidden"
+                        title={SEVERITIES.map(
+                          (severity) =>
+                            `${repo.severityCounts[severity]} ${severity}`
+                        ).join(", ")}
+                      >
+                        {SEVERITY_BARS.map((bar) => (
+                          <div
+                            key={bar.id}
+                            className={bar.className}
+                            style={{
+                              width: `${(repo.severityCounts[bar.id] / repo.totalSecrets) * 100}%`,
+                            }}
+                          ></div>
+                        ))}
+                      </div>
+                      <span
+                        className={clsx(
+                          "px-2 py-0.5 rounded-full text-xs font-medium border",
+                          getSeverityColor(
+                            SEVERITIES.find(
+                              (severity) => repo.severityCounts[severity] > 0
+                            )
+                          )
+                        )}
+                      >
+                        {repo.totalSecrets} secret
+                        {repo.totalSecrets === 1 ? "" : "s"}
+                      </span>
+                    </div>
+                  ))}
+
+                {repo.state === "done" && repo.jobId && (
+                  <button
+                    onClick={() => onOpenScan(repo.jobId)}
+                    className="text-sm text-indigo-600 hover:underline"
+                  >
+                    View
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default BulkScan;
@@ -0,0 +1,200 @@
+import React, { useEffect } from "react";
+import { ExternalLink, GitCommit, User, Wrench, X } from "lucide-react";
+import clsx from "clsx";
+import {
+  INSPECTION_KINDS,
+  VERIFICATION_STATUSES,
+  getSeverityColor,
+} from "../lib/findings";
+import { getRemediation } from "../lib/remediation";
+
+const DetailRow = ({ label, children }) => (
+  <div className="flex py-1 text-sm">
+    <dt className="w-28 flex-shrink-0 text-gray-500">{label}</dt>
+    <dd className="text-gray-900 break-all">{children}</dd>
+  </div>
+);
+
+// Side panel with everything known about one finding: redacted code context,
+// commit metadata, links to the host and remediation steps for its type
+const FindingDetail = ({ finding, onClose }) => {
+  useEffect(() => {
+    const closeOnEscape = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", closeOnEscape);
+    return () => window.removeEventListener("keydown", closeOnEscape);
+  }, [onClose]);
+
+  const remediation = getRemediation(finding.ruleId);
+  const verification = finding.verified
+    ? VERIFICATION_STATUSES[finding.verified] || VERIFICATION_STATUSES.unknown
+    : null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose}></div>
+      <aside
+        role="dialog"
+        aria-label="Finding details"
+        className="relative w-full max-w-xl h-full bg-white shadow-xl overflow-y-auto p-6"
+      >
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h4 className="text-xl font-semibold text-gray-900">
+              {finding.secretType}
+            </h4>
+            <p className="text-sm text-gray-500">
+              {finding.ruleDescription || finding.ruleId}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            title="Close"
+            className="text-gray-400 hover:text-gray-700"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="flex gap-2 mb-6">
+          <span
+            className={clsx(
+              "px-3 py-1 rounded-full text-xs font-medium border",
+              getSeverityColor(finding.severity)
+            )}
+          >
+            {finding.severity.toUpperCase()}
+          </span>
+          {verification && (
+            <span
+              className={clsx(
+                "px-3 py-1 rounded-full text-xs font-medium border",
+                verification.className
+              )}
+            >
+              {verification.label}
+            </span>
+          )}
+        </div>
+
+        <h5 className="font-semibold text-gray-900 mb-2 break-all">
+          {finding.file}:{finding.lineNumber}
+        </h5>
+        {finding.inspection && (
+          <p className="text-sm text-gray-600 mb-2">
+            {INSPECTION_KINDS[finding.inspection.kind] || "Found in"}{" "}
+            <code className="font-mono text-xs">
+              {finding.inspection.path}
+              {finding.inspection.line ? `:${finding.inspection.line}` : ""}
+            </code>
+          </p>
+        )}
+        {finding.context ? (
+          <pre className="bg-gray-900 text-gray-100 text-xs rounded-lg p-3 mb-2 overflow-x-auto">
+            {finding.context.lines.map((line, index) => {
+              const lineNumber = finding.context.startLine + index;
+              return (
+                <div
+                  key={lineNumber}
+                  className={clsx(
+                    "flex",
+                    lineNumber === finding.lineNumber && "bg-red-900/60"
+                  )}
+                >
+                  <span className="w-10 flex-shrink-0 text-right pr-3 text-gray-500 select-none">
+                    {lineNumber}
+                  </span>
+                  <span className="whitespace-pre">{line}</span>
+                </div>
+              );
+            })}
+          </pre>
+        ) : (
+          <code className="block font-mono text-xs bg-gray-100 rounded px-2 py-1 mb-2 break-all">
+            {finding.snippet}
+          </code>
+        )}
+        {finding.links?.file && (
+          <a
+            href={finding.links.file}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center text-sm text-indigo-600 hover:underline mb-6"
+          >
+            View file at this commit
+            <ExternalLink className="h-3 w-3 ml-1" />
+          </a>
+        )}
+
+        <h5 className="font-semibold text-gray-900 mb-2 flex items-center">
+          <GitCommit className="h-4 w-4 text-gray-400 mr-2" />
+          Commit
+        </h5>
+        <dl className="mb-6">
+          <DetailRow label="Commit">
+            {finding.links?.commit ? (
+              <a
+                href={finding.links.commit}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="font-mono text-indigo-600 hover:underline"
+              >
+                {finding.commit}
+              </a>
+            ) : (
+              <span className="font-mono">{finding.commit || "—"}</span>
+            )}
+          </DetailRow>
+          {finding.author && (
+            <DetailRow label="Author">
+              <span className="inline-flex items-center">
+                <User className="h-3 w-3 text-gray-400 mr-1" />
+                {finding.author}
+              </span>
+            </DetailRow>
+          )}
+          {finding.date && (
+            <DetailRow label="Date">
+              {new Date(finding.date).toLocaleString()}
+            </DetailRow>
+          )}
+          {finding.commitMessage && (
+            <DetailRow label="Message">{finding.commitMessage}</DetailRow>
+          )}
+          {typeof finding.entropy === "number" && (
+            <DetailRow label="Entropy">{finding.entropy.toFixed(2)}</DetailRow>
+          )}
+          <DetailRow label="Fingerprint">
+            <span className="font-mono text-xs">{finding.fingerprint}</span>
+          </DetailRow>
+        </dl>
+
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <h5 className="font-semibold text-blue-900 mb-3 flex items-center">
+            <Wrench className="h-4 w-4 mr-2" />
+            {remediation.title}
+          </h5>
+          <ol className="list-decimal list-inside space-y-2 text-sm text-blue-800">
+            {remediation.steps.map((step) => (
+              <li key={step}>{step}</li>
+            ))}
+          </ol>
+          {remediation.link && (
+            <a
+              href={remediation.link}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center text-sm text-indigo-600 hover:underline mt-3"
+            >
+              Open provider settings
+              <ExternalLink className="h-3 w-3 ml-1" />
+            </a>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default FindingDetail;
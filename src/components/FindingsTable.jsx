@@ -0,0 +1,419 @@
+import React, { useMemo, useState } from "react";
+import {
+  ArrowDown,
+  ArrowUp,
+  ChevronDown,
+  ChevronRight,
+  Eye,
+  EyeOff,
+  FileText,
+  GitCommit,
+  Search,
+} from "lucide-react";
+import clsx from "clsx";
+import {
+  EMPTY_FILTERS,
+  VERIFICATION_STATUSES,
+  filterChoices,
+  filterFindings,
+  groupFindings,
+  getSeverityColor,
+  paginate,
+  sortFindings,
+} from "../lib/findings";
+
+// Rows per page, or groups per page when grouped
+const PAGE_SIZE = 50;
+const GROUPS_PER_PAGE = 20;
+
+const GROUPINGS = [
+  { id: "", label: "No grouping" },
+  { id: "file", label: "Group by file" },
+  { id: "commit", label: "Group by commit" },
+];
+
+const selectClassName =
+  "px-3 py-2 text-sm border border-gray-300 rounded-lg text-gray-700 bg-white";
+const headerClassName =
+  "text-left p-4 border-b border-gray-200 font-medium text-gray-700";
+const cellClassName = "p-4 border-b border-gray-100";
+
+// Findings of one scan with search, filters, sorting, grouping and pagination
+const FindingsTable = ({
+  findings,
+  showVerification,
+  newFingerprints = [],
+  onSelect,
+}) => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState({ column: "severity", direction: "asc" });
+  const [groupBy, setGroupBy] = useState("");
+  const [collapsedGroups, setCollapsedGroups] = useState(new Set());
+  const [page, setPage] = useState(1);
+  const [revealedFindings, setRevealedFindings] = useState(new Set());
+
+  const choices = useMemo(() => filterChoices(findings), [findings]);
+  const newSet = useMemo(() => new Set(newFingerprints), [newFingerprints]);
+  const visibleFindings = useMemo(
+    () => sortFindings(filterFindings(findings, filters), sort),
+    [findings, filters, sort]
+  );
+
+  const groups = groupBy ? groupFindings(visibleFindings, groupBy) : null;
+  const pageData = groups
+    ? paginate(groups, page, GROUPS_PER_PAGE)
+    : paginate(visibleFindings, page, PAGE_SIZE);
+
+  // Any change to what is shown starts again on the first page
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setPage(1);
+  };
+
+  const toggleSort = (column) => {
+    setSort(
+      sort.column === column
+        ? { column, direction: sort.direction === "asc" ? "desc" : "asc" }
+        : { column, direction: "asc" }
+    );
+    setPage(1);
+  };
+
+  const toggleSet = (set, setter, value) => {
+    const next = new Set(set);
+    if (next.has(value)) next.delete(value);
+    else next.add(value);
+    setter(next);
+  };
+
+  const sortableHeader = (column, label) => (
+    <th className={headerClassName}>
+      <button
+        onClick={() => toggleSort(column)}
+        className="flex items-center hover:text-indigo-600"
+      >
+        {label}
+        {sort.column === column &&
+          (sort.direction === "asc" ? (
+            <ArrowUp className="h-3 w-3 ml-1" />
+          ) : (
+            <ArrowDown className="h-3 w-3 ml-1" />
+          ))}
+      </button>
+    </th>
+  );
+
+  const hasFilters = Object.keys(EMPTY_FILTERS).some(
+    (field) => filters[field] !== EMPTY_FILTERS[field]
+  );
+  const columnCount = showVerification ? 7 : 6;
+
+  const renderRow = (finding) => {
+    const verification =
+      VERIFICATION_STATUSES[finding.verified] || VERIFICATION_STATUSES.unknown;
+
+    return (
+      <tr
+        key={finding.id}
+        onClick={() => onSelect(finding)}
+        className="hover:bg-gray-50 cursor-pointer"
+      >
+        <td className={cellClassName}>
+          <div className="flex items-center">
+            <FileText className="h-4 w-4 text-gray-400 mr-2" />
+            {finding.links?.file ? (
+              <a
+                href={finding.links.file}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={(e) => e.stopPropagation()}
+                className="font-mono text-sm text-indigo-600 hover:underline"
+              >
+                {finding.file}
+              </a>
+            ) : (
+              <span className="font-mono text-sm">{finding.file}</span>
+            )}
+          </div>
+        </td>
+        <td className={cellClassName}>
+          <span className="font-medium">{finding.secretType}</span>
+          {(finding.introduced || newSet.has(finding.fingerprint)) && (
+            <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-red-50 text-red-700 border border-red-200">
+              NEW
+            </span>
+          )}
+        </td>
+        <td className={cellClassName}>
+          <span
+            className={clsx(
+              "px-3 py-1 rounded-full text-xs font-medium border",
+              getSeverityColor(finding.severity)
+            )}
+          >
+            {finding.severity.toUpperCase()}
+          </span>
+        </td>
+        {showVerification && (
+          <td className={cellClassName}>
+            <span
+              className={clsx(
+                "px-3 py-1 rounded-full text-xs font-medium border",
+                verification.className
+              )}
+            >
+              {verification.label}
+            </span>
+          </td>
+        )}
+        <td className={cellClassName}>
+          <div className="flex items-center">
+            <GitCommit className="h-4 w-4 text-gray-400 mr-2" />
+            {finding.links?.commit ? (
+              <a
+                href={finding.links.commit}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={(e) => e.stopPropagation()}
+                className="font-mono text-sm text-indigo-600 hover:underline"
+              >
+                {finding.commit}
+              </a>
+            ) : (
+              <span className="font-mono text-sm">{finding.commit}</span>
+            )}
+          </div>
+          {finding.author && (
+            <div className="text-xs text-gray-500 mt-1">
+              {finding.author}
+              {finding.date &&
+                `, ${new Date(finding.date).toLocaleDateString()}`}
+            </div>
+          )}
+        </td>
+        <td className={cellClassName}>
+          <span className="text-gray-600">#{finding.lineNumber}</span>
+        </td>
+        <td className={cellClassName}>
+          <div className="flex items-center">
+            <code className="font-mono text-xs bg-gray-100 rounded px-2 py-1 break-all">
+              {revealedFindings.has(finding.id)
+                ? finding.rawSnippet
+                : finding.snippet}
+            </code>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                toggleSet(revealedFindings, setRevealedFindings, finding.id);
+              }}
+              disabled={finding.redacted !== false}
+              title={
+                finding.redacted !== false
+                  ? "Full values require an authorized reveal key"
+                  : revealedFindings.has(finding.id)
+                    ? "Hide secret"
+                    : "Reveal secret"
+              }
+              className="ml-2 text-gray-400 hover:text-indigo-600 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              {revealedFindings.has(finding.id) ? (
+                <EyeOff className="h-4 w-4" />
+              ) : (
+                <Eye className="h-4 w-4" />
+              )}
+            </button>
+          </div>
+        </td>
+      </tr>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row gap-3 mb-3">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="search"
+            value={filters.search}
+            onChange={(e) => updateFilters({ search: e.target.value })}
+            placeholder="Search file, type, commit, author or snippet"
+            className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          />
+        </div>
+        <input
+          type="text"
+          value={filters.path}
+          onChange={(e) => updateFilters({ path: e.target.value })}
+          placeholder="File path contains..."
+          className="md:w-56 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-4">
+        <select
+          value={filters.severity}
+          onChange={(e) => updateFilters({ severity: e.target.value })}
+          className={selectClassName}
+        >
+          <option value="">All severities</option>
+          {choices.severities.map((severity) => (
+            <option key={severity} value={severity}>
+              {severity[0].toUpperCase() + severity.slice(1)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.secretType}
+          onChange={(e) => updateFilters({ secretType: e.target.value })}
+          className={selectClassName}
+        >
+          <option value="">All secret types</option>
+          {choices.secretTypes.map((secretType) => (
+            <option key={secretType} value={secretType}>
+              {secretType}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.author}
+          onChange={(e) => updateFilters({ author: e.target.value })}
+          className={selectClassName}
+        >
+          <option value="">All authors</option>
+          {choices.authors.map((author) => (
+            <option key={author} value={author}>
+              {author}
+            </option>
+          ))}
+        </select>
+        {showVerification && (
+          <select
+            value={filters.verified}
+            onChange={(e) => updateFilters({ verified: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="">Any status</option>
+            {Object.entries(VERIFICATION_STATUSES).map(
+              ([status, { label }]) => (
+                <option key={status} value={status}>
+                  {label}
+                </option>
+              )
+            )}
+          </select>
+        )}
+        <select
+          value={groupBy}
+          onChange={(e) => {
+            setGroupBy(e.target.value);
+            setCollapsedGroups(new Set());
+            setPage(1);
+          }}
+          className={selectClassName}
+        >
+          {GROUPINGS.map((grouping) => (
+            <option key={grouping.id} value={grouping.id}>
+              {grouping.label}
+            </option>
+          ))}
+        </select>
+        {hasFilters && (
+          <button
+            onClick={() => updateFilters(EMPTY_FILTERS)}
+            className="px-3 py-2 text-sm text-indigo-600 hover:underline"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <p className="text-sm text-gray-500 mb-2">
+        Showing {visibleFindings.length} of {findings.length} finding
+        {findings.length === 1 ? "" : "s"}
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse">
+          <thead>
+            <tr className="bg-gray-50">
+              {sortableHeader("file", "File")}
+              {sortableHeader("secretType", "Secret Type")}
+              {sortableHeader("severity", "Severity")}
+              {showVerification && sortableHeader("verified", "Status")}
+              {sortableHeader("date", "Commit")}
+              {sortableHeader("lineNumber", "Line")}
+              <th className={headerClassName}>Snippet</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups
+              ? pageData.items.map((group) => {
+                  const collapsed = collapsedGroups.has(group.key);
+                  return (
+                    <React.Fragment key={group.key}>
+                      <tr className="bg-indigo-50">
+                        <td colSpan={columnCount} className="px-4 py-2">
+                          <button
+                            onClick={() =>
+                              toggleSet(
+                                collapsedGroups,
+                                setCollapsedGroups,
+                                group.key
+                              )
+                            }
+                            className="flex items-center text-sm font-medium text-indigo-900"
+                          >
+                            {collapsed ? (
+                              <ChevronRight className="h-4 w-4 mr-1" />
+                            ) : (
+                              <ChevronDown className="h-4 w-4 mr-1" />
+                            )}
+                            <span className="font-mono">{group.key}</span>
+                            <span className="ml-2 text-indigo-500">
+                              ({group.findings.length})
+                            </span>
+                          </button>
+                        </td>
+                      </tr>
+                      {!collapsed && group.findings.map(renderRow)}
+                    </React.Fragment>
+                  );
+                })
+              : pageData.items.map(renderRow)}
+          </tbody>
+        </table>
+      </div>
+
+      {visibleFindings.length === 0 && (
+        <p className="text-center text-gray-500 py-6">
+          No findings match the current filters.
+        </p>
+      )}
+
+      {pageData.pageCount > 1 && (
+        <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+          <button
+            onClick={() => setPage(pageData.page - 1)}
+            disabled={pageData.page === 1}
+            className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span>
+            Page {pageData.page} of {pageData.pageCount}
+          </span>
+          <button
+            onClick={() => setPage(pageData.page + 1)}
+            disabled={pageData.page === pageData.pageCount}
+            className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FindingsTable;
@@ -0,0 +1,195 @@
+import React, { useState } from "react";
+import { Copy, Download, Eraser, GitCommit } from "lucide-react";
+import { API_URL, apiError, authHeaders, describeError } from "../lib/api";
+
+// Offer text as a file download
+const saveFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const CodeBlock = ({ title, content, fileName }) => (
+  <div className="mb-4">
+    <div className="flex items-center justify-between mb-1">
+      <h6 className="text-sm font-semibold text-gray-800">{title}</h6>
+      <div className="flex gap-3 text-xs">
+        <button
+          onClick={() => navigator.clipboard.writeText(content)}
+          className="flex items-center text-indigo-600 hover:underline"
+        >
+          <Copy className="h-3 w-3 mr-1" />
+          Copy
+        </button>
+        <button
+          onClick={() => saveFile(content, fileName, "text/plain")}
+          className="flex items-center text-indigo-600 hover:underline"
+        >
+          <Download className="h-3 w-3 mr-1" />
+          {fileName}
+        </button>
+      </div>
+    </div>
+    <pre className="bg-gray-900 text-gray-100 text-xs rounded-lg p-3 overflow-x-auto max-h-64">
+      {content}
+    </pre>
+  </div>
+);
+
+// Purge plan for removing the scan's secrets from the repository history
+// (GET /scan/{id}/remediation or /scans/{id}/remediation)
+const FixHistory = ({ reportPath, accessToken, revealKey }) => {
+  const [plan, setPlan] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadPlan = async () => {
+    setIsLoading(true);
+    setError("");
+    try {
+      const headers = authHeaders(accessToken);
+      if (revealKey) headers["X-Reveal-Key"] = revealKey;
+
+      const response = await fetch(`${API_URL}/${reportPath}/remediation`, {
+        headers,
+      });
+      if (!response.ok) {
+        throw await apiError(response, "Failed to build the purge plan");
+      }
+      setPlan(await response.json());
+    } catch (err) {
+      setError(describeError(err, "Failed to build the purge plan"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 border border-gray-200 rounded-lg p-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h5 className="text-lg font-semibold text-gray-900 flex items-center">
+            <Eraser className="h-5 w-5 text-gray-400 mr-2" />
+            Fix history
+          </h5>
+          <p className="text-sm text-gray-600">
+            Rotating a key does not remove it from old commits. Generate a plan
+            to rewrite the history with git filter-repo.
+          </p>
+        </div>
+        {!plan && (
+          <button
+            onClick={loadPlan}
+            disabled={isLoading}
+            className="px-4 py-2 text-sm rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 flex-shrink-0 ml-4"
+          >
+            {isLoading ? "Generating..." : "Generate purge plan"}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+
+      {plan && (
+        <div className="mt-6">
+          <ol className="list-decimal list-inside space-y-1 text-sm text-gray-700 mb-6">
+            <li>Rotate every detected credential first.</li>
+            <li>
+              Run the script in an empty directory. It rewrites a fresh mirror
+              clone and stops before pushing.
+            </li>
+            <li>
+              Review the rewritten history, force-push it, and have
+              collaborators re-clone.
+            </li>
+            <li>Commit the .gitignore additions to keep the files out.</li>
+          </ol>
+
+          {plan.commits.length > 0 && (
+            <div className="mb-4">
+              <h6 className="text-sm font-semibold text-gray-800 mb-1">
+                Affected commits
+              </h6>
+              <ul className="text-sm text-gray-700 space-y-1">
+                {plan.commits.map((commit) => (
+                  <li key={commit.commit} className="flex items-start">
+                    <GitCommit className="h-4 w-4 text-gray-400 mr-2 mt-0.5 flex-shrink-0" />
+                    <span>
+                      <span className="font-mono">{commit.commit}</span>
+                      {commit.message && ` ${commit.message}`}
+                      <span className="text-gray-500">
+                        {" "}
+                        ({commit.files.join(", ")})
+                      </span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <p className="text-xs text-gray-500 mt-1">
+                The script lists the branches and tags containing them.
+              </p>
+            </div>
+          )}
+
+          {plan.removePaths.length > 0 && (
+            <div className="mb-4">
+              <h6 className="text-sm font-semibold text-gray-800 mb-1">
+                Files removed from every commit
+              </h6>
+              <p className="text-sm font-mono text-gray-700">
+                {plan.removePaths.join(", ")}
+              </p>
+            </div>
+          )}
+
+          {plan.unresolved.length > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-4 text-sm text-yellow-800">
+              <p className="font-semibold mb-1">
+                Add these values to the replacements by hand
+              </p>
+              <ul className="space-y-1">
+                {plan.unresolved.map((entry) => (
+                  <li key={`${entry.file}:${entry.lineNumber}:${entry.commit}`}>
+                    {entry.secretType} in{" "}
+                    <span className="font-mono">
+                      {entry.file}
+                      {entry.lineNumber ? `:${entry.lineNumber}` : ""}
+                    </span>
+                    : {entry.reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {plan.replacements && (
+            <CodeBlock
+              title="Replacement expressions (git filter-repo or BFG --replace-text)"
+              content={plan.replacements}
+              fileName="replacements.txt"
+            />
+          )}
+
+          {plan.gitignore.length > 0 && (
+            <CodeBlock
+              title=".gitignore additions"
+              content={`${plan.gitignore.join("\n")}\n`}
+              fileName="gitignore-additions.txt"
+            />
+          )}
+
+          <CodeBlock
+            title="Script"
+            content={plan.script}
+            fileName={`purge-${plan.repository.name}.sh`}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FixHistory;
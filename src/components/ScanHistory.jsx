@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from "react";
+import { History, Lock } from "lucide-react";
+import clsx from "clsx";
+import { API_URL, apiError, authHeaders, describeError } from "../lib/api";
+
+const SEVERITY_BARS = [
+  { id: "critical", className: "bg-red-800" },
+  { id: "high", className: "bg-red-500" },
+  { id: "medium", className: "bg-yellow-400" },
+  { id: "low", className: "bg-blue-400" },
+];
+
+// Past scans of a repository (GET /scans): finding counts over time and the
+// findings added or resolved since the previous scan
+const ScanHistory = ({
+  repoUrl,
+  accessToken,
+  activeScanId,
+  refreshKey,
+  onSelect,
+}) => {
+  const [scans, setScans] = useState([]);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      try {
+        const response = await fetch(
+          `${API_URL}/scans?repoUrl=${encodeURIComponent(repoUrl)}`,
+          { headers: authHeaders(accessToken) }
+        );
+        if (!response.ok) {
+          throw await apiError(response, "Failed to load scan history");
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setScans(data.scans);
+          setError("");
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(describeError(err, "Failed to load scan history"));
+        }
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [repoUrl, accessToken, refreshKey]);
+
+  if (error) {
+    return <p className="text-sm text-gray-500 mb-6">{error}</p>;
+  }
+  if (scans.length === 0) return null;
+
+  // Oldest first, so the chart reads left to right
+  const timeline = [...scans].reverse();
+  const maxTotal = Math.max(1, ...timeline.map((scan) => scan.totalSecrets));
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-6 mb-8">
+      <h4 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <History className="h-5 w-5 text-gray-400 mr-2" />
+        Scan History
+      </h4>
+
+      <div className="flex items-end gap-2 h-32 mb-2">
+        {timeline.map((scan) => (
+          <button
+            key={scan.id}
+            onClick={() => onSelect(scan.id)}
+            title={`${new Date(scan.scanDate).toLocaleString()}: ${scan.totalSecrets} finding${scan.totalSecrets === 1 ? "" : "s"}`}
+            className={clsx(
+              "flex-1 max-w-12 h-full flex flex-col justify-end rounded p-0.5",
+              scan.id === activeScanId
+                ? "ring-2 ring-indigo-500"
+                : "hover:bg-gray-100"
+            )}
+          >
+            {SEVERITY_BARS.map((severity) => (
+              <div
+                key={severity.id}
+                className={clsx("w-full", severity.className)}
+                style={{
+                  height: `${((scan.severityCounts?.[severity.id] || 0) / maxTotal) * 100}%`,
+                }}
+              ></div>
+            ))}
+          </button>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-400 mb-4">
+        <span>{new Date(timeline[0].scanDate).toLocaleDateString()}</span>
+        <span>
+          {new Date(
+            timeline[timeline.length - 1].scanDate
+          ).toLocaleDateString()}
+        </span>
+      </div>
+
+      <ul className="divide-y divide-gray-100">
+        {scans.map((scan) => (
+          <li key={scan.id}>
+            <button
+              onClick={() => onSelect(scan.id)}
+              className={clsx(
+                "w-full flex items-center justify-between py-2 px-2 text-sm text-left rounded",
+                scan.id === activeScanId ? "bg-indigo-50" : "hover:bg-gray-50"
+              )}
+            >
+              <span className="flex items-center text-gray-700">
+                {scan.private && (
+                  <Lock className="h-3 w-3 text-gray-400 mr-1" />
+                )}
+                {new Date(scan.scanDate).toLocaleString()}
+                {scan.scope && (
+                  <span className="text-gray-400 ml-2">{scan.scope}</span>
+                )}
+              </span>
+              <span className="flex items-center gap-2">
+                <span className="text-gray-700">
+                  {scan.totalSecrets} finding
+                  {scan.totalSecrets === 1 ? "" : "s"}
+                </span>
+                {scan.previousScanId && scan.newFindings > 0 && (
+                  <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-50 text-red-700 border border-red-200">
+                    +{scan.newFindings} new
+                  </span>
+                )}
+                {scan.resolvedFindings > 0 && (
+                  <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-50 text-green-700 border border-green-200">
+                    −{scan.resolvedFindings} resolved
+                  </span>
+                )}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ScanHistory;
@@ -0,0 +1,297 @@
+import React, { useState } from "react";
+import { ChevronDown, ChevronRight, SlidersHorizontal } from "lucide-react";
+
+const DEPTH_CHOICES = [
+  { value: "50", label: "Last 50 commits" },
+  { value: "500", label: "Last 500 commits" },
+  { value: "full", label: "Full history" },
+];
+
+const CUSTOM_RULES_PLACEHOLDER = `[
+  { "id": "acme-api-token", "regex": "\\b(acme_[a-z0-9]{32})\\b", "keywords": ["acme_"],
+    "type": "ACME API Token", "severity": "high", "entropy": 3.5 }
+]`;
+
+const inputClassName =
+  "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 disabled:bg-gray-100";
+
+const ScanOptions = ({ options, onChange, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [baselineError, setBaselineError] = useState("");
+
+  const update = (changes) => onChange({ ...options, ...changes });
+  const hasRange = Boolean(options.since.trim() || options.until.trim());
+
+  // Only the fingerprints of a previous report are needed as a baseline
+  const loadBaseline = async (file) => {
+    setBaselineError("");
+    if (!file) {
+      update({ baseline: null });
+      return;
+    }
+
+    try {
+      const report = JSON.parse(await file.text());
+      if (!Array.isArray(report.findings)) {
+        throw new Error("Not a SecretSniffer JSON report");
+      }
+      update({
+        baseline: report.findings
+          .map((finding) => finding.fingerprint)
+          .filter(Boolean),
+      });
+    } catch (err) {
+      setBaselineError(err.message || "Could not read baseline report");
+      update({ baseline: null });
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center text-sm font-medium text-gray-700 hover:text-indigo-600"
+      >
+        {isOpen ? (
+          <ChevronDown className="h-4 w-4 mr-1" />
+        ) : (
+          <ChevronRight className="h-4 w-4 mr-1" />
+        )}
+        <SlidersHorizontal className="h-4 w-4 mr-2" />
+        Advanced options
+      </button>
+
+      {isOpen && (
+        <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <div>
+            <label
+              htmlFor="scan-depth"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              History depth
+            </label>
+            <select
+              id="scan-depth"
+              value={hasRange ? "full" : options.depth}
+              onChange={(e) => update({ depth: e.target.value })}
+              className={inputClassName}
+              disabled={disabled || hasRange}
+            >
+              {DEPTH_CHOICES.map((choice) => (
+                <option key={choice.value} value={choice.value}>
+                  {choice.label}
+                </option>
+              ))}
+            </select>
+            {hasRange && (
+              <p className="text-xs text-gray-500 mt-1">
+                Commit ranges always use the full history.
+              </p>
+            )}
+            <label className="flex items-center mt-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={options.incremental && !hasRange}
+                onChange={(e) => update({ incremental: e.target.checked })}
+                className="mr-2"
+                disabled={disabled || hasRange}
+              />
+              Only new commits since the last scan
+            </label>
+          </div>
+
+          <div>
+            <label
+              htmlFor="scan-branch"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Branch or tag
+            </label>
+            <input
+              id="scan-branch"
+              type="text"
+              value={options.branch}
+              onChange={(e) => update({ branch: e.target.value })}
+              placeholder="Default branch"
+              className={inputClassName}
+              disabled={disabled || options.allBranches}
+            />
+            <label className="flex items-center mt-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={options.allBranches}
+                onChange={(e) => update({ allBranches: e.target.checked })}
+                className="mr-2"
+                disabled={disabled}
+              />
+              Scan all branches
+            </label>
+          </div>
+
+          <div>
+            <label
+              htmlFor="scan-since"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Since commit
+            </label>
+            <input
+              id="scan-since"
+              type="text"
+              value={options.since}
+              onChange={(e) => update({ since: e.target.value })}
+              placeholder="e.g. a1b2c3d (exclusive)"
+              className={inputClassName}
+              disabled={disabled}
+            />
+          </div>
+
+          <div>
+            <label
+              htmlFor="scan-until"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Until commit
+            </label>
+            <input
+              id="scan-until"
+              type="text"
+              value={options.until}
+              onChange={(e) => update({ until: e.target.value })}
+              placeholder="HEAD"
+              className={inputClassName}
+              disabled={disabled || options.allBranches}
+            />
+          </div>
+
+          <div>
+            <label
+              htmlFor="ignore-paths"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Ignore paths
+            </label>
+            <textarea
+              id="ignore-paths"
+              rows={3}
+              value={options.ignorePaths}
+              onChange={(e) => update({ ignorePaths: e.target.value })}
+              placeholder={"One regular expression per line, e.g.\n^test/fixtures/"}
+              className={inputClassName}
+              disabled={disabled}
+            />
+          </div>
+
+          <div>
+            <label
+              htmlFor="baseline-report"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Baseline report
+            </label>
+            <input
+              id="baseline-report"
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => loadBaseline(e.target.files[0])}
+              className="w-full text-sm text-gray-700"
+              disabled={disabled}
+            />
+            <p
+              className={
+                baselineError
+                  ? "text-xs text-red-600 mt-1"
+                  : "text-xs text-gray-500 mt-1"
+              }
+            >
+              {baselineError ||
+                (options.baseline
+                  ? `${options.baseline.length} known findings will be skipped.`
+                  : "Only report findings not in a previous JSON report.")}
+            </p>
+          </div>
+
+          <div className="md:col-span-2">
+            <label
+              htmlFor="custom-rules"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Custom rules{" "}
+              <span className="font-normal text-gray-500">(JSON)</span>
+            </label>
+            <textarea
+              id="custom-rules"
+              rows={4}
+              value={options.customRules}
+              onChange={(e) => update({ customRules: e.target.value })}
+              placeholder={CUSTOM_RULES_PLACEHOLDER}
+              className={`${inputClassName} font-mono text-xs`}
+              disabled={disabled}
+            />
+          </div>
+
+          <div className="md:col-span-2">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={options.verify}
+                onChange={(e) => update({ verify: e.target.checked })}
+                className="mr-2"
+                disabled={disabled}
+              />
+              Verify detected credentials with their provider
+            </label>
+            <p className="text-xs text-gray-500 mt-1">
+              Checks whether GitHub, Slack, Stripe and AWS credentials are still
+              active. The secret is sent to the provider it belongs to. Needs
+              the reveal key below unless the server verifies every scan.
+            </p>
+          </div>
+
+          <div className="md:col-span-2">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={options.inspect}
+                onChange={(e) => update({ inspect: e.target.checked })}
+                className="mr-2"
+                disabled={disabled}
+              />
+              Deep inspection
+            </label>
+            <p className="text-xs text-gray-500 mt-1">
+              Also looks inside committed archives, Jupyter notebook outputs,
+              base64 and hex encoded strings and .env, properties and YAML
+              values. Slower on large repositories.
+            </p>
+          </div>
+
+          <div className="md:col-span-2">
+            <label
+              htmlFor="reveal-key"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Reveal key{" "}
+              <span className="font-normal text-gray-500">
+                (authorized users only)
+              </span>
+            </label>
+            <input
+              id="reveal-key"
+              type="password"
+              autoComplete="off"
+              value={options.revealKey}
+              onChange={(e) => update({ revealKey: e.target.value })}
+              placeholder="Leave empty to keep secret values redacted"
+              className={inputClassName}
+              disabled={disabled}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScanOptions;
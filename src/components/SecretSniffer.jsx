@@ -4,76 +4,310 @@ import {
   Shield,
   AlertTriangle,
   CheckCircle,
-  Github,
+  GitBranch,
+  Building2,
   Clock,
+  RefreshCw,
+  Download,
   FileText,
-  GitCommit,
 } from "lucide-react";
 import clsx from "clsx";
+import AccessTokenInput from "./AccessTokenInput";
+import ArchiveDropZone from "./ArchiveDropZone";
+import BulkScan from "./BulkScan";
+import ScanOptions from "./ScanOptions";
+import ScanHistory from "./ScanHistory";
+import FindingsTable from "./FindingsTable";
+import FindingDetail from "./FindingDetail";
+import FixHistory from "./FixHistory";
+import {
+  API_URL,
+  apiError,
+  authHeaders as tokenHeaders,
+  describeError,
+  describeScanError,
+  jobError,
+} from "../lib/api";
+import { DEFAULT_SCAN_OPTIONS, toScanRequestOptions } from "../lib/scanOptions";
+import { SEVERITIES, summarizeFindings } from "../lib/findings";
+import { GENERAL_REMEDIATION } from "../lib/remediation";
+const POLL_INTERVAL_MS = 1500;
+
+// Labels for the scan job states reported by GET /scan/{id}
+const PHASE_LABELS = {
+  queued: "Queued...",
+  cloning: "Cloning repository...",
+  scanning: "Scanning for secrets...",
+  inspecting: "Inspecting archives and encoded content...",
+  formatting: "Preparing report...",
+  verifying: "Verifying credentials...",
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Report formats offered by GET /scan/{id}?format=... and GET /scans/{id}?format=...
+const REPORT_FORMATS = [
+  { id: "sarif", label: "SARIF" },
+  { id: "csv", label: "CSV" },
+  { id: "json", label: "JSON" },
+];
+
+const MODES = [
+  { id: "single", label: "Repository", icon: GitBranch },
+  { id: "bulk", label: "Organization", icon: Building2 },
+];
+
+// Loose client-side check; the API validates the URL against each git host
+const isRepositoryUrl = (value) => {
+  try {
+    const url = new URL(value.trim());
+    return ["https:", "file:"].includes(url.protocol);
+  } catch {
+    return false;
+  }
+};
 
 const SecretSniffer = () => {
+  // Single repository scan or bulk scan of an organization
+  const [mode, setMode] = useState("single");
   const [repoUrl, setRepoUrl] = useState("");
+  // Access token for private repositories; kept in memory only, never persisted
+  const [accessToken, setAccessToken] = useState("");
+  const [scanOptions, setScanOptions] = useState(DEFAULT_SCAN_OPTIONS);
   const [isScanning, setIsScanning] = useState(false);
+  const [scanStatus, setScanStatus] = useState(null);
   const [scanResults, setScanResults] = useState(null);
+  // Id of the scan shown and the API path its reports are downloaded from
+  // (scan/{id} for a finished job, scans/{id} for one loaded from history)
+  const [scanId, setScanId] = useState(null);
+  const [reportPath, setReportPath] = useState(null);
+  // Findings added and resolved since the previous scan of the repository
+  const [scanChanges, setScanChanges] = useState(null);
+  const [selectedFinding, setSelectedFinding] = useState(null);
+  const [downloadError, setDownloadError] = useState("");
   const [error, setError] = useState("");
 
-  // Real API scan function
-  const scanRepository = async (url) => {
-    const apiUrl = import.meta.env.VITE_API_URL || "http://localhost:7071/api";
+  // Start a scan job and poll it until it finishes
+  // `force` skips the API's result cache for unchanged repositories
+  const scanRepository = async (url, token, options, force = false) => {
+    const authHeaders = tokenHeaders(token);
+    if (options.revealKey.trim()) {
+      authHeaders["X-Reveal-Key"] = options.revealKey.trim();
+    }
 
-    const response = await fetch(`${apiUrl}/scan`, {
+    const response = await fetch(`${API_URL}/scan`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
+        ...authHeaders,
       },
-      body: JSON.stringify({ repoUrl: url }),
+      body: JSON.stringify({
+        repoUrl: url,
+        ...toScanRequestOptions(options),
+        ...(force ? { force: true } : {}),
+      }),
+    });
+
+    if (!response.ok) {
+      throw await apiError(response, "Failed to scan repository");
+    }
+
+    return pollScanJob(await response.json(), authHeaders);
+  };
+
+  // Upload an archive and poll its scan job; scanned as files since there is no history
+  const scanArchive = async (file, token, options) => {
+    const { allowlist, rules, verify, inspect } = toScanRequestOptions(options);
+    const form = new FormData();
+    form.append("file", file);
+    form.append(
+      "options",
+      JSON.stringify({ allowlist, rules, verify, inspect })
+    );
+
+    const authHeaders = tokenHeaders(token);
+    if (options.revealKey.trim()) {
+      authHeaders["X-Reveal-Key"] = options.revealKey.trim();
+    }
+
+    const response = await fetch(`${API_URL}/uploads`, {
+      method: "POST",
+      headers: authHeaders,
+      body: form,
+    });
+
+    if (!response.ok) {
+      throw await apiError(response, "Failed to scan archive");
+    }
+
+    return pollScanJob(await response.json(), authHeaders);
+  };
+
+  // Poll a scan job until it finishes
+  const pollScanJob = async (initialJob, authHeaders) => {
+    let job = initialJob;
+    setScanStatus(job);
+
+    while (job.state !== "done") {
+      if (job.state === "failed") {
+        throw jobError(job, "Failed to scan repository");
+      }
+
+      await sleep(POLL_INTERVAL_MS);
+
+      const statusResponse = await fetch(`${API_URL}/scan/${job.id}`, {
+        headers: authHeaders,
+      });
+      if (!statusResponse.ok) {
+        throw await apiError(statusResponse, "Failed to fetch scan status");
+      }
+
+      job = await statusResponse.json();
+      setScanStatus(job);
+    }
+
+    return job;
+  };
+
+  // Fetch a scan from the history; resolves to null if it is not stored
+  const fetchStoredScan = async (id) => {
+    const response = await fetch(`${API_URL}/scans/${id}`, {
+      headers: tokenHeaders(accessToken.trim()),
     });
+    if (response.status === 404) return null;
 
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || "Failed to scan repository");
+      throw await apiError(response, "Failed to load stored scan");
+    }
+    return response.json();
+  };
+
+  const changesOf = (record) =>
+    record?.previousScanId ? record.changes : null;
+
+  // Show a scan picked from the history view
+  const openStoredScan = async (id) => {
+    setError("");
+    try {
+      const record = await fetchStoredScan(id);
+      if (!record) throw new Error("The stored scan no longer exists");
+
+      setScanResults(record.result);
+      setScanId(record.id);
+      setReportPath(`scans/${record.id}`);
+      setScanChanges(changesOf(record));
+      setSelectedFinding(null);
+      setDownloadError("");
+    } catch (err) {
+      setError(describeError(err, "Failed to load stored scan"));
+    }
+  };
+
+  // Show the result of a finished scan job, e.g. one repository of a bulk scan
+  const openScanJob = async (id) => {
+    setError("");
+    setMode("single");
+    try {
+      const response = await fetch(`${API_URL}/scan/${id}`, {
+        headers: tokenHeaders(accessToken.trim()),
+      });
+      if (!response.ok) {
+        throw await apiError(response, "Failed to load scan");
+      }
+
+      const job = await response.json();
+      setRepoUrl(job.result.repository.url);
+      setScanResults(job.result);
+      setScanId(job.id);
+      setReportPath(`scan/${job.id}`);
+      setScanChanges(null);
+      setSelectedFinding(null);
+      setDownloadError("");
+
+      fetchStoredScan(job.id)
+        .then((record) => setScanChanges(changesOf(record)))
+        .catch(() => setScanChanges(null));
+    } catch (err) {
+      setError(describeError(err, "Failed to load scan"));
     }
+  };
+
+  // Fetch a redacted report from the API and hand it to the browser as a file
+  const downloadReport = async (format) => {
+    setDownloadError("");
+    try {
+      const response = await fetch(`${API_URL}/${reportPath}?format=${format}`, {
+        headers: tokenHeaders(accessToken.trim()),
+      });
+      if (!response.ok) {
+        throw await apiError(response, "Failed to download report");
+      }
 
-    return await response.json();
+      const fileName =
+        /filename="([^"]+)"/.exec(
+          response.headers.get("Content-Disposition") || ""
+        )?.[1] || `${scanResults.repoName}-secrets.${format}`;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setDownloadError(describeError(err, "Failed to download report"));
+    }
   };
 
-  const handleScan = async () => {
+  const handleScan = async (force = false) => {
     if (!repoUrl.trim()) {
-      setError("Please enter a GitHub repository URL");
+      setError("Please enter a repository URL");
       return;
     }
 
-    if (!repoUrl.includes("github.com")) {
-      setError("Please enter a valid GitHub URL");
+    if (!isRepositoryUrl(repoUrl)) {
+      setError("Please enter a valid https:// repository URL");
       return;
     }
 
+    await runScan(() =>
+      scanRepository(repoUrl, accessToken.trim(), scanOptions, force)
+    );
+  };
+
+  const handleUpload = (file) =>
+    runScan(() => scanArchive(file, accessToken.trim(), scanOptions));
+
+  // Clear the previous result, run a scan job and show its result
+  const runScan = async (startJob) => {
     setError("");
     setIsScanning(true);
+    setScanStatus(null);
     setScanResults(null);
+    setScanId(null);
+    setReportPath(null);
+    setScanChanges(null);
+    setSelectedFinding(null);
+    setDownloadError("");
 
     try {
-      const results = await scanRepository(repoUrl);
-      setScanResults(results);
+      const job = await startJob();
+      setScanResults(job.result);
+      setScanId(job.id);
+      setReportPath(`scan/${job.id}`);
+
+      // History is optional; the scan result stands on its own without it
+      fetchStoredScan(job.id)
+        .then((record) => setScanChanges(changesOf(record)))
+        .catch(() => setScanChanges(null));
     } catch (err) {
-      setError("Failed to scan repository. Please try again.");
+      setError(describeScanError(err));
     } finally {
       setIsScanning(false);
+      setScanStatus(null);
     }
   };
 
-  const getSeverityColor = (severity) => {
-    switch (severity) {
-      case "high":
-        return "text-red-600 bg-red-50 border-red-200";
-      case "medium":
-        return "text-yellow-600 bg-yellow-50 border-yellow-200";
-      case "low":
-        return "text-blue-600 bg-blue-50 border-blue-200";
-      default:
-        return "text-gray-600 bg-gray-50 border-gray-200";
-    }
-  };
+  const summary = scanResults ? summarizeFindings(scanResults.findings) : null;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
@@ -88,251 +322,404 @@ const SecretSniffer = () => {
             Git Forensics as a Service
           </p>
           <p className="text-gray-500 max-w-2xl mx-auto">
-            Scan your GitHub repositories for leaked secrets and sensitive
-            information. Get detailed reports with commit history and
+            Scan your GitHub, GitLab, Bitbucket and Azure Repos repositories
+            for leaked secrets and sensitive information. Get detailed reports with commit history and
             remediation suggestions.
           </p>
         </div>
 
         {/* Scan Interface */}
         <div className="max-w-4xl mx-auto">
-          <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
-            <h2 className="text-2xl font-semibold text-gray-900 mb-6">
-              Scan Repository
-            </h2>
-
-            <div className="flex flex-col sm:flex-row gap-4 mb-4">
-              <div className="flex-1">
-                <label
-                  htmlFor="repo-url"
-                  className="block text-sm font-medium text-gray-700 mb-2"
-                >
-                  GitHub Repository URL
-                </label>
-                <div className="relative">
-                  <Github className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
-                  <input
-                    id="repo-url"
-                    type="url"
-                    value={repoUrl}
-                    onChange={(e) => setRepoUrl(e.target.value)}
-                    placeholder="https://github.com/username/repository"
-                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                    disabled={isScanning}
-                  />
-                </div>
-              </div>
-
+          <div className="flex justify-center gap-2 mb-6">
+            {MODES.map((choice) => (
               <button
-                onClick={handleScan}
-                disabled={isScanning}
+                key={choice.id}
+                onClick={() => setMode(choice.id)}
                 className={clsx(
-                  "px-8 py-3 rounded-lg font-medium flex items-center justify-center transition-all",
-                  isScanning
-                    ? "bg-gray-400 cursor-not-allowed"
-                    : "bg-indigo-600 hover:bg-indigo-700 transform hover:scale-105"
+                  "px-4 py-2 rounded-lg text-sm font-medium flex items-center shadow-sm",
+                  mode === choice.id
+                    ? "bg-indigo-600 text-white"
+                    : "bg-white text-gray-700 hover:bg-indigo-50"
                 )}
               >
-                {isScanning ? (
-                  <>
-                    <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                    Scanning...
-                  </>
-                ) : (
-                  <>
-                    <Search className="h-5 w-5 mr-2" />
-                    Scan Now
-                  </>
-                )}
+                <choice.icon className="h-4 w-4 mr-2" />
+                {choice.label}
               </button>
-            </div>
+            ))}
+          </div>
 
-            {error && (
-              <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center">
-                <AlertTriangle className="h-5 w-5 text-red-500 mr-2" />
-                <span className="text-red-700">{error}</span>
-              </div>
-            )}
+          {/* Kept mounted while hidden so a running bulk scan keeps its progress */}
+          <div className={clsx(mode !== "bulk" && "hidden")}>
+            <BulkScan
+              accessToken={accessToken}
+              revealKey={scanOptions.revealKey.trim()}
+              onAccessTokenChange={setAccessToken}
+              onOpenScan={openScanJob}
+            />
           </div>
 
-          {/* Scan Results */}
-          {scanResults && (
-            <div className="bg-white rounded-xl shadow-lg p-8">
-              <div className="flex items-center justify-between mb-6">
-                <div>
-                  <h3 className="text-2xl font-semibold text-gray-900">
-                    Scan Results
-                  </h3>
-                  <p className="text-gray-600">
-                    Repository: {scanResults.repoName}
-                  </p>
-                </div>
-                <div className="text-right">
-                  <div className="flex items-center text-gray-500 mb-1">
-                    <Clock className="h-4 w-4 mr-1" />
-                    {new Date(scanResults.scanDate).toLocaleString()}
+          <div className={clsx(mode !== "single" && "hidden")}>
+            <div className="bg-white rounded-xl shadow-lg p-8 mb-8">
+              <h2 className="text-2xl font-semibold text-gray-900 mb-6">
+                Scan Repository
+              </h2>
+
+              <div className="flex flex-col sm:flex-row gap-4 mb-4">
+                <div className="flex-1">
+                  <label
+                    htmlFor="repo-url"
+                    className="block text-sm font-medium text-gray-700 mb-2"
+                  >
+                    Repository URL
+                  </label>
+                  <div className="relative">
+                    <GitBranch className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+                    <input
+                      id="repo-url"
+                      type="url"
+                      value={repoUrl}
+                      onChange={(e) => setRepoUrl(e.target.value)}
+                      placeholder="https://github.com/owner/repository"
+                      className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                      disabled={isScanning}
+                    />
                   </div>
                 </div>
+
+                <button
+                  onClick={() => handleScan()}
+                  disabled={isScanning}
+                  className={clsx(
+                    "px-8 py-3 rounded-lg font-medium flex items-center justify-center transition-all",
+                    isScanning
+                      ? "bg-gray-400 cursor-not-allowed"
+                      : "bg-indigo-600 hover:bg-indigo-700 transform hover:scale-105"
+                  )}
+                >
+                  {isScanning ? (
+                    <>
+                      <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
+                      {PHASE_LABELS[scanStatus?.state] || "Starting scan..."}
+                    </>
+                  ) : (
+                    <>
+                      <Search className="h-5 w-5 mr-2" />
+                      Scan Now
+                    </>
+                  )}
+                </button>
               </div>
 
-              {/* Summary Cards */}
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-                <div className="bg-gradient-to-r from-red-500 to-red-600 rounded-lg p-6 text-white">
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <p className="text-red-100">Total Secrets</p>
-                      <p className="text-3xl font-bold">
-                        {scanResults.totalSecrets}
-                      </p>
-                    </div>
-                    <AlertTriangle className="h-10 w-10 text-red-200" />
+              <div className="flex items-center gap-3 mb-4 text-sm text-gray-400">
+                <div className="flex-1 border-t border-gray-200"></div>
+                or scan an archive
+                <div className="flex-1 border-t border-gray-200"></div>
+              </div>
+
+              <ArchiveDropZone
+                onFile={handleUpload}
+                onReject={setError}
+                disabled={isScanning}
+              />
+
+              <AccessTokenInput
+                value={accessToken}
+                onChange={setAccessToken}
+                disabled={isScanning}
+              />
+
+              <ScanOptions
+                options={scanOptions}
+                onChange={setScanOptions}
+                disabled={isScanning}
+              />
+
+              {isScanning && scanStatus && (
+                <div className="mb-4">
+                  <div className="flex justify-between text-sm text-gray-600 mb-1">
+                    <span>{PHASE_LABELS[scanStatus.state]}</span>
+                    <span>{scanStatus.progress}%</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-indigo-600 h-2 rounded-full transition-all"
+                      style={{ width: `${scanStatus.progress}%` }}
+                    ></div>
                   </div>
                 </div>
+              )}
 
-                <div className="bg-gradient-to-r from-blue-500 to-blue-600 rounded-lg p-6 text-white">
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <p className="text-blue-100">Files Affected</p>
-                      <p className="text-3xl font-bold">
-                        {scanResults.findings.length}
-                      </p>
-                    </div>
-                    <FileText className="h-10 w-10 text-blue-200" />
-                  </div>
+              {error && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center">
+                  <AlertTriangle className="h-5 w-5 text-red-500 mr-2" />
+                  <span className="text-red-700">{error}</span>
                 </div>
+              )}
+            </div>
 
-                <div className="bg-gradient-to-r from-green-500 to-green-600 rounded-lg p-6 text-white">
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <p className="text-green-100">Status</p>
-                      <p className="text-lg font-semibold">
-                        {scanResults.totalSecrets === 0
-                          ? "Clean"
-                          : "Needs Review"}
+            {/* Scan Results */}
+            {scanResults && (
+              <div className="bg-white rounded-xl shadow-lg p-8">
+                <div className="flex items-center justify-between mb-6">
+                  <div>
+                    <h3 className="text-2xl font-semibold text-gray-900">
+                      Scan Results
+                    </h3>
+                    <p className="text-gray-600">
+                      Repository:{" "}
+                      {scanResults.repository &&
+                      /^https?:/.test(scanResults.repository.url) ? (
+                        <a
+                          href={scanResults.repository.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-indigo-600 hover:underline"
+                        >
+                          {scanResults.repository.owner
+                            ? `${scanResults.repository.owner}/${scanResults.repository.name}`
+                            : scanResults.repository.name}
+                        </a>
+                      ) : (
+                        scanResults.repoName
+                      )}
+                      {scanResults.repository && (
+                        <span className="text-gray-400">
+                          {" "}
+                          on {scanResults.repository.providerName}
+                        </span>
+                      )}
+                    </p>
+                    {scanResults.scope && (
+                      <p className="text-sm text-gray-500">
+                        Scope: {scanResults.scope.description}
                       </p>
+                    )}
+                    {scanResults.suppressed?.total > 0 && (
+                      <p className="text-sm text-gray-500">
+                        {scanResults.suppressed.total} finding
+                        {scanResults.suppressed.total === 1 ? "" : "s"}{" "}
+                        suppressed ({scanResults.suppressed.allowlist}{" "}
+                        allowlisted, {scanResults.suppressed.baseline} in
+                        baseline)
+                      </p>
+                    )}
+                  </div>
+                  <div className="text-right">
+                    <div className="flex items-center justify-end text-gray-500 mb-2">
+                      <Clock className="h-4 w-4 mr-1" />
+                      {new Date(scanResults.scanDate).toLocaleString()}
                     </div>
-                    {scanResults.totalSecrets === 0 ? (
-                      <CheckCircle className="h-10 w-10 text-green-200" />
-                    ) : (
-                      <AlertTriangle className="h-10 w-10 text-green-200" />
+                    {scanResults.cached && (
+                      <div className="flex items-center justify-end gap-2 mb-2 text-sm">
+                        <span
+                          className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600 border border-gray-200"
+                          title={`Cached ${new Date(scanResults.cachedAt).toLocaleString()}${scanResults.headCommit ? ` for commit ${scanResults.headCommit.slice(0, 7)}` : ""}`}
+                        >
+                          Cached result
+                        </span>
+                        <button
+                          onClick={() => handleScan(true)}
+                          disabled={isScanning}
+                          className="flex items-center text-indigo-600 hover:underline disabled:opacity-40"
+                        >
+                          <RefreshCw className="h-3 w-3 mr-1" />
+                          Rescan
+                        </button>
+                      </div>
+                    )}
+                    {reportPath && (
+                      <div className="flex items-center justify-end gap-2">
+                        <Download className="h-4 w-4 text-gray-400" />
+                        {REPORT_FORMATS.map((format) => (
+                          <button
+                            key={format.id}
+                            onClick={() => downloadReport(format.id)}
+                            className="px-3 py-1 text-sm border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+                          >
+                            {format.label}
+                          </button>
+                        ))}
+                      </div>
                     )}
                   </div>
                 </div>
-              </div>
 
-              {/* Findings Table */}
-              {scanResults.findings.length > 0 ? (
-                <div>
-                  <h4 className="text-lg font-semibold text-gray-900 mb-4">
-                    Secret Findings
-                  </h4>
-                  <div className="overflow-x-auto">
-                    <table className="w-full border-collapse">
-                      <thead>
-                        <tr className="bg-gray-50">
-                          <th className="text-left p-4 border-b border-gray-200 font-medium text-gray-700">
-                            File
-                          </th>
-                          <th className="text-left p-4 border-b border-gray-200 font-medium text-gray-700">
-                            Secret Type
-                          </th>
-                          <th className="text-left p-4 border-b border-gray-200 font-medium text-gray-700">
-                            Severity
-                          </th>
-                          <th className="text-left p-4 border-b border-gray-200 font-medium text-gray-700">
-                            Commit
-                          </th>
-                          <th className="text-left p-4 border-b border-gray-200 font-medium text-gray-700">
-                            Line
-                          </th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {scanResults.findings.map((finding) => (
-                          <tr key={finding.id} className="hover:bg-gray-50">
-                            <td className="p-4 border-b border-gray-100">
-                              <div className="flex items-center">
-                                <FileText className="h-4 w-4 text-gray-400 mr-2" />
-                                <span className="font-mono text-sm">
-                                  {finding.file}
-                                </span>
-                              </div>
-                            </td>
-                            <td className="p-4 border-b border-gray-100">
-                              <span className="font-medium">
-                                {finding.secretType}
-                              </span>
-                            </td>
-                            <td className="p-4 border-b border-gray-100">
-                              <span
-                                className={clsx(
-                                  "px-3 py-1 rounded-full text-xs font-medium border",
-                                  getSeverityColor(finding.severity)
-                                )}
-                              >
-                                {finding.severity.toUpperCase()}
-                              </span>
-                            </td>
-                            <td className="p-4 border-b border-gray-100">
-                              <div className="flex items-center">
-                                <GitCommit className="h-4 w-4 text-gray-400 mr-2" />
-                                <span className="font-mono text-sm">
-                                  {finding.commit}
-                                </span>
-                              </div>
-                            </td>
-                            <td className="p-4 border-b border-gray-100">
-                              <span className="text-gray-600">
-                                #{finding.lineNumber}
-                              </span>
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
+                {downloadError && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center">
+                    <AlertTriangle className="h-5 w-5 text-red-500 mr-2" />
+                    <span className="text-red-700">{downloadError}</span>
                   </div>
+                )}
 
-                  {/* Remediation Suggestions */}
-                  <div className="mt-8 bg-blue-50 border border-blue-200 rounded-lg p-6">
-                    <h5 className="text-lg font-semibold text-blue-900 mb-3">
-                      🔧 Remediation Suggestions
+                {scanResults.incremental && (
+                  <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-4 mb-6 text-indigo-900">
+                    Incremental scan: {scanResults.incremental.introduced} finding
+                    {scanResults.incremental.introduced === 1 ? "" : "s"}{" "}
+                    introduced since commit{" "}
+                    <span className="font-mono">
+                      {scanResults.incremental.baseCommit.slice(0, 7)}
+                    </span>
+                    {scanResults.incremental.baseScanDate &&
+                      `, ${scanResults.incremental.carriedOver} carried over from the scan of ${new Date(scanResults.incremental.baseScanDate).toLocaleString()}`}
+                    .
+                  </div>
+                )}
+
+                {scanResults.scope?.depth && (
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6 flex items-center text-yellow-800">
+                    <AlertTriangle className="h-5 w-5 mr-2 flex-shrink-0" />
+                    <span>
+                      Only the last {scanResults.scope.depth} commits were
+                      scanned. Secrets committed earlier are not covered; choose
+                      "Full history" under Advanced options to scan everything.
+                    </span>
+                  </div>
+                )}
+
+                {/* Summary Cards */}
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+                  <div className="bg-gradient-to-r from-red-500 to-red-600 rounded-lg p-6 text-white">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <p className="text-red-100">Total Secrets</p>
+                        <p className="text-3xl font-bold">
+                          {scanResults.totalSecrets}
+                        </p>
+                        <p className="text-xs text-red-100">
+                          {SEVERITIES.filter(
+                            (severity) => summary.bySeverity[severity] > 0
+                          )
+                            .map(
+                              (severity) =>
+                                `${summary.bySeverity[severity]} ${severity}`
+                            )
+                            .join(" · ")}
+                        </p>
+                      </div>
+                      <AlertTriangle className="h-10 w-10 text-red-200" />
+                    </div>
+                  </div>
+
+                  <div className="bg-gradient-to-r from-blue-500 to-blue-600 rounded-lg p-6 text-white">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <p className="text-blue-100">Files Affected</p>
+                        <p className="text-3xl font-bold">
+                          {summary.files}
+                        </p>
+                      </div>
+                      <FileText className="h-10 w-10 text-blue-200" />
+                    </div>
+                  </div>
+
+                  <div className="bg-gradient-to-r from-green-500 to-green-600 rounded-lg p-6 text-white">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <p className="text-green-100">Status</p>
+                        <p className="text-lg font-semibold">
+                          {scanResults.totalSecrets === 0
+                            ? "Clean"
+                            : "Needs Review"}
+                        </p>
+                      </div>
+                      {scanResults.totalSecrets === 0 ? (
+                        <CheckCircle className="h-10 w-10 text-green-200" />
+                      ) : (
+                        <AlertTriangle className="h-10 w-10 text-green-200" />
+                      )}
+                    </div>
+                  </div>
+                </div>
+
+                {scanResults.repository && (
+                  <ScanHistory
+                    repoUrl={scanResults.repository.url}
+                    accessToken={accessToken.trim()}
+                    activeScanId={scanId}
+                    refreshKey={scanId}
+                    onSelect={openStoredScan}
+                  />
+                )}
+
+                {scanChanges?.resolved.length > 0 && (
+                  <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-8">
+                    <h5 className="font-semibold text-green-900 mb-2">
+                      Resolved since the previous scan
                     </h5>
-                    <ul className="space-y-2 text-blue-800">
-                      <li>
-                        • Add sensitive files to `.gitignore` to prevent future
-                        commits
-                      </li>
-                      <li>
-                        • Rotate any exposed API keys, passwords, or tokens
-                        immediately
-                      </li>
-                      <li>• Use environment variables for configuration</li>
-                      <li>
-                        • Consider using a secrets management service like Azure
-                        Key Vault
-                      </li>
-                      <li>
-                        • Run pre-commit hooks to catch secrets before they're
-                        committed
-                      </li>
+                    <ul className="space-y-1 text-sm text-green-800">
+                      {scanChanges.resolved.map((finding) => (
+                        <li key={finding.fingerprint}>
+                          {finding.secretType} in{" "}
+                          <span className="font-mono">
+                            {finding.file}:{finding.lineNumber}
+                          </span>
+                        </li>
+                      ))}
                     </ul>
                   </div>
-                </div>
-              ) : (
-                <div className="text-center py-12">
-                  <CheckCircle className="h-16 w-16 text-green-500 mx-auto mb-4" />
-                  <h4 className="text-xl font-semibold text-gray-900 mb-2">
-                    🎉 No Secrets Found!
-                  </h4>
-                  <p className="text-gray-600">
-                    Your repository appears to be clean of leaked secrets.
-                  </p>
-                </div>
-              )}
-            </div>
-          )}
+                )}
+
+                {/* Findings Table */}
+                {scanResults.findings.length > 0 ? (
+                  <div>
+                    <h4 className="text-lg font-semibold text-gray-900 mb-4">
+                      Secret Findings
+                    </h4>
+                    <FindingsTable
+                      key={scanId}
+                      findings={scanResults.findings}
+                      showVerification={Boolean(scanResults.verification)}
+                      newFingerprints={scanChanges?.added}
+                      onSelect={setSelectedFinding}
+                    />
+
+                    {/* Remediation Suggestions */}
+                    <div className="mt-8 bg-blue-50 border border-blue-200 rounded-lg p-6">
+                      <h5 className="text-lg font-semibold text-blue-900 mb-3">
+                        🔧 Remediation Suggestions
+                      </h5>
+                      <ul className="space-y-2 text-blue-800">
+                        {GENERAL_REMEDIATION.map((step) => (
+                          <li key={step}>• {step}</li>
+                        ))}
+                      </ul>
+                      <p className="text-sm text-blue-700 mt-3">
+                        Select a finding for steps specific to its secret type.
+                      </p>
+                    </div>
+
+                    {reportPath && !scanResults.scope?.noGit && (
+                      <FixHistory
+                        key={reportPath}
+                        reportPath={reportPath}
+                        accessToken={accessToken.trim()}
+                        revealKey={scanOptions.revealKey.trim()}
+                      />
+                    )}
+                  </div>
+                ) : (
+                  <div className="text-center py-12">
+                    <CheckCircle className="h-16 w-16 text-green-500 mx-auto mb-4" />
+                    <h4 className="text-xl font-semibold text-gray-900 mb-2">
+                      🎉 No Secrets Found!
+                    </h4>
+                    <p className="text-gray-600">
+                      Your repository appears to be clean of leaked secrets.
+                    </p>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
         </div>
 
+        {selectedFinding && (
+          <FindingDetail
+            finding={selectedFinding}
+            onClose={() => setSelectedFinding(null)}
+          />
+        )}
+
         {/* Footer */}
         <div className="text-center mt-16 text-gray-500">
           <p>Built with ❤️ for secure development practices</p>
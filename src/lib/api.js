@@ -0,0 +1,61 @@
+export const API_URL =
+  import.meta.env.VITE_API_URL || "http://localhost:7071/api";
+
+// Authorization header for private repositories, if a token was entered
+export const authHeaders = (token) =>
+  token ? { Authorization: `Bearer ${token}` } : {};
+
+// Error for a failed API response, carrying the status and the API's message;
+// the wait from Retry-After is added to rate limit and busy responses. The
+// correlation id lets the operator find the request in the API's logs.
+export const apiError = async (response, fallback) => {
+  let data = {};
+  try {
+    data = await response.json();
+  } catch {
+    // Not a JSON error body (e.g. a gateway error page)
+  }
+
+  const error = new Error(data.message || fallback);
+  error.status = response.status;
+  error.retryAfter = Number(response.headers.get("Retry-After")) || null;
+  error.correlationId = response.headers.get("X-Correlation-Id");
+  return error;
+};
+
+// Error for a scan job that failed, tagged with the id of the request that started it
+export const jobError = (job, fallback) => {
+  const error = new Error(job.error?.message || fallback);
+  error.correlationId = job.error?.correlationId || null;
+  return error;
+};
+
+// Message of a failed request, with its reference for support if the API sent one
+export const describeError = (err, fallback) => {
+  const message = err.message || fallback;
+  return err.correlationId
+    ? `${message} (reference: ${err.correlationId})`
+    : message;
+};
+
+// Message shown for a failed scan request
+export const describeScanError = (err) => {
+  if (err instanceof TypeError) {
+    // fetch rejects without a response on network and CORS failures
+    return "Could not reach the scan API. Check your connection, or ask the operator to allow this site's origin.";
+  }
+  const message = describeError(
+    err,
+    "Failed to scan repository. Please try again."
+  );
+  switch (err.status) {
+    case 429:
+      return `Rate limit reached. ${message}`;
+    case 503:
+      return `Scanner busy. ${message}`;
+    case 413:
+      return `Too large to scan. ${message}`;
+    default:
+      return message;
+  }
+};
@@ -0,0 +1,162 @@
+// Client-side helpers for browsing the findings of a scan result
+
+export const SEVERITIES = ["critical", "high", "medium", "low"];
+
+const SEVERITY_RANK = Object.fromEntries(
+  SEVERITIES.map((severity, index) => [severity, index])
+);
+
+// Outcome of live verification, as set on findings when `verify` was requested
+export const VERIFICATION_STATUSES = {
+  active: {
+    label: "Active",
+    className: "text-red-700 bg-red-50 border-red-300",
+  },
+  revoked: {
+    label: "Revoked",
+    className: "text-green-700 bg-green-50 border-green-200",
+  },
+  unknown: {
+    label: "Unverified",
+    className: "text-gray-600 bg-gray-50 border-gray-200",
+  },
+};
+
+// How a secret found by deep inspection was hidden (finding.inspection.kind)
+export const INSPECTION_KINDS = {
+  archive: "Inside an archive committed as",
+  notebook: "In a notebook cell or output of",
+  base64: "Base64 encoded in",
+  hex: "Hex encoded in",
+  config: "Configuration value in",
+};
+
+export const getSeverityColor = (severity) => {
+  switch (severity) {
+    case "critical":
+      return "text-white bg-red-700 border-red-800";
+    case "high":
+      return "text-red-600 bg-red-50 border-red-200";
+    case "medium":
+      return "text-yellow-600 bg-yellow-50 border-yellow-200";
+    case "low":
+      return "text-blue-600 bg-blue-50 border-blue-200";
+    default:
+      return "text-gray-600 bg-gray-50 border-gray-200";
+  }
+};
+
+export const EMPTY_FILTERS = {
+  search: "",
+  severity: "",
+  secretType: "",
+  author: "",
+  path: "",
+  verified: "",
+};
+
+// Distinct files and per-severity counts for the summary cards
+export const summarizeFindings = (findings) => {
+  const bySeverity = Object.fromEntries(
+    SEVERITIES.map((severity) => [severity, 0])
+  );
+  for (const finding of findings) {
+    bySeverity[finding.severity] = (bySeverity[finding.severity] || 0) + 1;
+  }
+
+  return {
+    total: findings.length,
+    files: new Set(findings.map((finding) => finding.file)).size,
+    bySeverity,
+  };
+};
+
+// Values offered in the filter drop-downs
+export const filterChoices = (findings) => {
+  const distinct = (field) =>
+    [
+      ...new Set(findings.map((finding) => finding[field]).filter(Boolean)),
+    ].sort((a, b) => a.localeCompare(b));
+
+  return {
+    severities: SEVERITIES.filter((severity) =>
+      findings.some((finding) => finding.severity === severity)
+    ),
+    secretTypes: distinct("secretType"),
+    authors: distinct("author"),
+  };
+};
+
+const SEARCH_FIELDS = [
+  "file",
+  "secretType",
+  "ruleId",
+  "commit",
+  "author",
+  "snippet",
+];
+
+export const filterFindings = (findings, filters) => {
+  const search = filters.search.trim().toLowerCase();
+  const path = filters.path.trim().toLowerCase();
+
+  return findings.filter(
+    (finding) =>
+      (!filters.severity || finding.severity === filters.severity) &&
+      (!filters.secretType || finding.secretType === filters.secretType) &&
+      (!filters.author || finding.author === filters.author) &&
+      (!filters.verified || finding.verified === filters.verified) &&
+      (!path || (finding.file || "").toLowerCase().includes(path)) &&
+      (!search ||
+        SEARCH_FIELDS.some((field) =>
+          String(finding[field] ?? "")
+            .toLowerCase()
+            .includes(search)
+        ))
+  );
+};
+
+const comparators = {
+  file: (a, b) =>
+    (a.file || "").localeCompare(b.file || "") || a.lineNumber - b.lineNumber,
+  secretType: (a, b) => (a.secretType || "").localeCompare(b.secretType || ""),
+  severity: (a, b) =>
+    (SEVERITY_RANK[a.severity] ?? SEVERITIES.length) -
+    (SEVERITY_RANK[b.severity] ?? SEVERITIES.length),
+  verified: (a, b) => (a.verified || "").localeCompare(b.verified || ""),
+  lineNumber: (a, b) => (a.lineNumber || 0) - (b.lineNumber || 0),
+  date: (a, b) => Date.parse(a.date || 0) - Date.parse(b.date || 0),
+};
+
+// Stable sort by one column; ties keep the scan's order
+export const sortFindings = (findings, { column, direction }) => {
+  const compare = comparators[column];
+  if (!compare) return findings;
+
+  const sign = direction === "desc" ? -1 : 1;
+  return findings
+    .map((finding, index) => ({ finding, index }))
+    .sort((a, b) => sign * compare(a.finding, b.finding) || a.index - b.index)
+    .map(({ finding }) => finding);
+};
+
+// Sections of findings sharing a file or commit, in order of first appearance
+export const groupFindings = (findings, groupBy) => {
+  const groups = new Map();
+  for (const finding of findings) {
+    const key = finding[groupBy] || "(none)";
+    if (!groups.has(key)) groups.set(key, { key, findings: [] });
+    groups.get(key).findings.push(finding);
+  }
+  return [...groups.values()];
+};
+
+export const paginate = (items, page, pageSize) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(page, 1), pageCount);
+  return {
+    items: items.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pageCount,
+  };
+};
@@ -0,0 +1,136 @@
+// Remediation guidance per detection rule, keyed by the same rule ids the API
+// maps to secret types (mapSecretType); unknown rules get the general steps
+
+export const GENERAL_REMEDIATION = [
+  "Add sensitive files to `.gitignore` to prevent future commits",
+  "Rotate any exposed API keys, passwords, or tokens immediately",
+  "Use environment variables for configuration",
+  "Consider using a secrets management service like Azure Key Vault",
+  "Run pre-commit hooks to catch secrets before they're committed",
+];
+
+const REMOVE_FROM_HISTORY =
+  "Remove the value from the repository history (git filter-repo or BFG) and force-push, then ask collaborators to re-clone";
+
+const githubToken = {
+  title: "Revoke the GitHub token",
+  link: "https://github.com/settings/tokens",
+  steps: [
+    "Revoke the token under Settings → Developer settings → Personal access tokens (or the OAuth/GitHub App settings it belongs to)",
+    "Review the account's security log and the audit log of organizations the token could access",
+    "Create a replacement with the narrowest scopes and an expiry date",
+    "Store it as an Actions/Codespaces secret or in your secrets manager",
+    REMOVE_FROM_HISTORY,
+  ],
+};
+
+const slackToken = {
+  title: "Rotate the Slack token",
+  link: "https://api.slack.com/apps",
+  steps: [
+    "Open the app under api.slack.com/apps → OAuth & Permissions and revoke or regenerate the token",
+    "Check the workspace access logs for use of the token",
+    "Reinstall the app if the token was revoked, and load the new token from your secrets manager",
+    REMOVE_FROM_HISTORY,
+  ],
+};
+
+const catalog = {
+  "aws-access-token": {
+    title: "Deactivate the AWS access key",
+    link: "https://console.aws.amazon.com/iam/home#/security_credentials",
+    steps: [
+      "Create a new access key for the IAM user and switch your workloads to it",
+      "Deactivate, then delete the exposed key in IAM → Users → Security credentials",
+      "Review CloudTrail for API calls made with the key ID since it was committed",
+      "Prefer IAM roles or short-lived credentials (SSO, OIDC federation) over long-lived keys",
+      REMOVE_FROM_HISTORY,
+    ],
+  },
+  "github-pat": githubToken,
+  "github-fine-grained-pat": githubToken,
+  "github-oauth": githubToken,
+  "github-app-token": githubToken,
+  "slack-bot-token": slackToken,
+  "slack-user-token": slackToken,
+  "slack-webhook-url": {
+    title: "Replace the Slack webhook",
+    link: "https://api.slack.com/apps",
+    steps: [
+      "Remove the incoming webhook under the app's Incoming Webhooks settings",
+      "Add a new webhook URL and keep it outside the repository",
+      REMOVE_FROM_HISTORY,
+    ],
+  },
+  "discord-bot-token": {
+    title: "Reset the Discord bot token",
+    link: "https://discord.com/developers/applications",
+    steps: [
+      "Reset the token on the application's Bot page in the Discord developer portal",
+      "Update the bot's deployment with the new token from your secrets manager",
+      REMOVE_FROM_HISTORY,
+    ],
+  },
+  "stripe-access-token": {
+    title: "Roll the Stripe API key",
+    link: "https://dashboard.stripe.com/apikeys",
+    steps: [
+      "Roll the key in the Stripe dashboard under Developers → API keys",
+      "Review recent API requests in the dashboard logs for unexpected activity",
+      "Prefer restricted keys with only the permissions the integration needs",
+      REMOVE_FROM_HISTORY,
+    ],
+  },
+  "gcp-api-key": {
+    title: "Regenerate the Google Cloud API key",
+    link: "https://console.cloud.google.com/apis/credentials",
+    steps: [
+      "Regenerate or delete the key under APIs & Services → Credentials",
+      "Restrict the replacement key to the APIs and referrers/IPs that need it",
+      "Check billing and API usage for unexpected calls",
+      REMOVE_FROM_HISTORY,
+    ],
+  },
+  "private-key": {
+    title: "Replace the private key",
+    steps: [
+      "Generate a new key pair and deploy the new public key or certificate",
+      "Revoke the old certificate or remove the old public key from every authorized_keys file, host and service that trusts it",
+      "Treat anything signed or encrypted with the old key as compromised",
+      REMOVE_FROM_HISTORY,
+    ],
+  },
+  jwt: {
+    title: "Invalidate the JWT",
+    steps: [
+      "Check whether the token is still within its expiry (exp claim) and revoke the session it belongs to",
+      "If it grants long-lived access, rotate the signing key so all tokens signed with it are rejected",
+      "Never commit tokens captured from logs, tests or browser sessions",
+      REMOVE_FROM_HISTORY,
+    ],
+  },
+  "database-password": {
+    title: "Change the database password",
+    steps: [
+      "Change the password of the database user and update every application using it",
+      "Review database logs for connections from unknown hosts",
+      "Restrict network access to the database and prefer managed identities where available",
+      REMOVE_FROM_HISTORY,
+    ],
+  },
+  "generic-api-key": {
+    title: "Rotate the credential",
+    steps: [
+      "Identify the service the value belongs to from the surrounding code",
+      "Revoke or regenerate it in that service and update its consumers",
+      "Load the replacement from an environment variable or secrets manager",
+      REMOVE_FROM_HISTORY,
+    ],
+  },
+};
+
+export const getRemediation = (ruleId) =>
+  catalog[ruleId] || {
+    title: "Rotate the secret",
+    steps: GENERAL_REMEDIATION,
+  };
@@ -0,0 +1,55 @@
+export const DEFAULT_SCAN_OPTIONS = {
+  depth: "50",
+  branch: "",
+  allBranches: false,
+  since: "",
+  until: "",
+  // Sent as the X-Reveal-Key header, never in the request body
+  revealKey: "",
+  // Newline separated path patterns to ignore
+  ignorePaths: "",
+  // Previously downloaded JSON report; its findings are not reported again
+  baseline: null,
+  // JSON array of custom detection rules
+  customRules: "",
+  // Check detected credentials against their provider's API
+  verify: false,
+  // Also unpack committed archives, notebooks, encoded strings and config values
+  inspect: false,
+  // Only scan the commits since the latest stored scan of the repository
+  incremental: false,
+};
+
+// Request body fields for the scan API, leaving out anything left blank
+export const toScanRequestOptions = (options) => {
+  const request = { depth: options.depth };
+  if (options.allBranches) request.allBranches = true;
+  else if (options.branch.trim()) request.branch = options.branch.trim();
+  if (options.since.trim()) request.since = options.since.trim();
+  if (options.until.trim() && !options.allBranches) {
+    request.until = options.until.trim();
+  }
+  if (options.incremental && !request.since && !request.until) {
+    request.incremental = true;
+  }
+  if (options.revealKey.trim()) request.revealSecrets = true;
+  if (options.verify) request.verify = true;
+  if (options.inspect) request.inspect = true;
+
+  const paths = options.ignorePaths
+    .split("\n")
+    .map((path) => path.trim())
+    .filter(Boolean);
+  if (paths.length > 0) request.allowlist = { paths };
+  if (options.baseline) request.baseline = options.baseline;
+
+  if (options.customRules.trim()) {
+    try {
+      request.rules = JSON.parse(options.customRules);
+    } catch {
+      throw new Error("Custom rules must be a valid JSON array");
+    }
+  }
+
+  return request;
+};